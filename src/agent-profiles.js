@@ -0,0 +1,227 @@
+/**
+ * AgentProfileRegistry - Perfiles de agente con nombre (presets de sesión)
+ *
+ * Un perfil reúne lo que cada flujo de N8N repetía al crear una sesión:
+ * instrucciones, voz, configuración Realtime, herramientas y saludo inicial.
+ * Las sesiones se crean con `{ "profile": "ventas" }` (más overrides opcionales)
+ * y guardan el nombre y la versión del perfil con el que se crearon.
+ *
+ * Cada cambio incrementa `version`: las sesiones activas siguen con la copia
+ * que recibieron al crearse, y getSession muestra qué versión usa cada una.
+ *
+ * Los perfiles se guardan en PROFILES_FILE (JSON) y se administran con /api/v1/profiles.
+ */
+
+import { readFileSync } from 'fs';
+import { mkdir, writeFile, rename } from 'fs/promises';
+import { dirname, resolve } from 'path';
+import { log } from './utils/logger.js';
+import { normalizeTools } from './utils/tools.js';
+import { normalizeSessionConfig, pickSessionConfig, validateVoice } from './utils/session-config.js';
+
+const PROFILE_NAME_REGEX = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+/**
+ * Registro persistido de un perfil:
+ * {
+ *   name, description, version, instructions, voice, config, tools, greeting,
+ *   created_at, updated_at
+ * }
+ * `config` solo tiene los campos que el perfil fija (el resto usa los defaults).
+ */
+
+export class AgentProfileRegistry {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - Archivo JSON de perfiles (vacío = solo en memoria)
+   */
+  constructor({ file = '' } = {}) {
+    this.file = file ? resolve(file) : null;
+    this.profiles = new Map(); // name → registro
+    this._writes = Promise.resolve();
+    this.onChange = null;      // () => void, tras guardar un cambio (el modo cluster avisa a los demás workers)
+    if (this.file) this._load();
+  }
+
+  get(name) {
+    return this.profiles.get(name) || null;
+  }
+
+  list() {
+    return [...this.profiles.values()];
+  }
+
+  /**
+   * Crea un perfil (versión 1)
+   */
+  async create(fields = {}) {
+    const { name } = fields;
+    if (typeof name !== 'string' || !PROFILE_NAME_REGEX.test(name)) {
+      throw invalid('name', 'debe tener 1-64 caracteres en minúsculas (letras, números, _ o -)');
+    }
+    if (this.profiles.has(name)) throw new Error(`El perfil ya existe: ${name}`);
+
+    const now = new Date().toISOString();
+    const profile = {
+      name,
+      ...normalizeProfileFields(fields, DEFAULT_PROFILE_FIELDS),
+      version: 1,
+      created_at: now,
+      updated_at: now,
+    };
+    this.profiles.set(name, profile);
+    await this._save();
+    this.onChange?.();
+    log.info(`[Profiles] Perfil creado: ${name}`);
+    return profile;
+  }
+
+  /**
+   * Modifica un perfil. Si algún campo cambia, se incrementa la versión.
+   */
+  async update(name, changes = {}) {
+    const profile = this._getProfile(name);
+    const fields = normalizeProfileFields(changes, profile);
+    const changed = Object.keys(fields).some((field) => JSON.stringify(fields[field]) !== JSON.stringify(profile[field]));
+    if (!changed) return profile;
+
+    Object.assign(profile, fields, { version: profile.version + 1, updated_at: new Date().toISOString() });
+    await this._save();
+    this.onChange?.();
+    log.info(`[Profiles] Perfil actualizado: ${name} (versión ${profile.version})`);
+    return profile;
+  }
+
+  /**
+   * Elimina un perfil. Las sesiones creadas con él no cambian.
+   */
+  async delete(name) {
+    const profile = this._getProfile(name);
+    this.profiles.delete(name);
+    await this._save();
+    this.onChange?.();
+    log.info(`[Profiles] Perfil eliminado: ${name}`);
+    return profile;
+  }
+
+  /**
+   * Vuelve a leer PROFILES_FILE (otro proceso del cluster modificó los perfiles)
+   */
+  reload() {
+    if (!this.file) return;
+    this.profiles.clear();
+    this._load();
+  }
+
+  _getProfile(name) {
+    const profile = this.profiles.get(name);
+    if (!profile) throw new Error(`Perfil no encontrado: ${name}`);
+    return profile;
+  }
+
+  // Lectura síncrona: los perfiles tienen que estar disponibles antes del primer request
+  _load() {
+    let data;
+    try {
+      data = JSON.parse(readFileSync(this.file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw new Error(`No se pudo leer PROFILES_FILE (${this.file}): ${err.message}`);
+    }
+    for (const profile of data.profiles || []) {
+      this.profiles.set(profile.name, profile);
+    }
+    log.info(`[Profiles] ${this.profiles.size} perfiles cargados de ${this.file}`);
+  }
+
+  // Escritura atómica (archivo temporal + rename), en orden
+  _save() {
+    if (!this.file) return Promise.resolve();
+    const content = JSON.stringify({ profiles: this.list() }, null, 2);
+    const write = this._writes.catch(() => {}).then(async () => {
+      await mkdir(dirname(this.file), { recursive: true });
+      const tmpPath = `${this.file}.${process.pid}.tmp`;
+      await writeFile(tmpPath, content, { mode: 0o600 });
+      await rename(tmpPath, this.file);
+    });
+    this._writes = write;
+    return write;
+  }
+}
+
+const DEFAULT_PROFILE_FIELDS = {
+  description: null,
+  instructions: null,
+  voice: null,
+  config: {},
+  tools: [],
+  greeting: null,
+};
+
+/**
+ * Vista pública de un perfil. Los headers de las herramientas pueden tener
+ * credenciales: solo se muestran sus nombres.
+ */
+export function toPublicProfile(profile) {
+  return {
+    ...profile,
+    tools: profile.tools.map(({ headers, ...tool }) => ({
+      ...tool,
+      ...(headers && { headers: Object.keys(headers) }),
+    })),
+  };
+}
+
+/**
+ * Campos de un perfil presentes en un body (la configuración Realtime va al nivel
+ * superior, igual que en POST /sessions)
+ */
+export function pickProfileFields(body = {}) {
+  const { name, description, instructions, voice, tools, greeting } = body;
+  const config = pickSessionConfig(body);
+  return {
+    name, description, instructions, voice, tools, greeting,
+    ...(Object.keys(config).length > 0 && { config }),
+  };
+}
+
+// undefined = sin cambios; null borra el valor (la sesión usa el default del bridge)
+function normalizeProfileFields(fields, base) {
+  const description = fields.description !== undefined ? fields.description : base.description;
+  if (description !== null && (typeof description !== 'string' || description.length > 500)) {
+    throw invalid('description', 'debe ser un texto de hasta 500 caracteres o null');
+  }
+
+  const instructions = fields.instructions !== undefined ? fields.instructions : base.instructions;
+  if (instructions !== null && (typeof instructions !== 'string' || !instructions.trim())) {
+    throw invalid('instructions', 'debe ser un texto no vacío o null');
+  }
+
+  const voice = fields.voice !== undefined ? fields.voice : base.voice;
+  if (voice !== null) validateVoice(voice);
+
+  // Los campos de configuración que llegan reemplazan a los del perfil; se validan como en POST /sessions
+  const config = { ...base.config, ...fields.config };
+  normalizeSessionConfig(config);
+
+  const tools = fields.tools !== undefined ? (fields.tools ?? []) : base.tools;
+  normalizeTools(tools);
+
+  const greeting = fields.greeting !== undefined ? fields.greeting : base.greeting;
+  if (greeting !== null && (typeof greeting !== 'string' || !greeting.trim() || greeting.length > 1000)) {
+    throw invalid('greeting', 'debe ser un texto de 1 a 1000 caracteres o null');
+  }
+
+  return { description, instructions, voice, config, tools, greeting };
+}
+
+function invalid(field, reason) {
+  return new Error(`El campo "${field}" es inválido: ${reason}`);
+}
+
+/**
+ * Crea el registro de perfiles configurado por variables de entorno
+ */
+export function createAgentProfileRegistry() {
+  return new AgentProfileRegistry({ file: process.env.PROFILES_FILE ?? './data/profiles.json' });
+}
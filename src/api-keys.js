@@ -0,0 +1,311 @@
+/**
+ * ApiKeyRegistry - Claves de API por cliente (multi-tenant)
+ *
+ * Cada clave tiene un nombre, scopes, un máximo de sesiones simultáneas
+ * (default: MAX_SESSIONS), límites de requests propios (default: RATE_LIMIT_*) y,
+ * opcionalmente, su propia API key de OpenAI y modelo. Las claves se guardan
+ * en API_KEYS_FILE (JSON) y se administran con /api/v1/admin/keys.
+ *
+ * Scopes:
+ * - chat: solo POST /api/v1/chat
+ * - sessions: API de sesiones, audio en vivo y Twilio (incluye chat)
+ * - admin: todo, incluidas las sesiones de otras claves, /usage global, /metrics y la gestión de claves
+ *
+ * BRIDGE_API_TOKEN sigue funcionando como clave raíz (id "root", scope admin).
+ * Sin BRIDGE_API_TOKEN ni claves registradas la autenticación está desactivada
+ * (solo para desarrollo local) y todo request actúa como la clave raíz.
+ *
+ * Del token solo se guarda el hash SHA-256: se muestra una única vez al crearlo.
+ * La API key de OpenAI de cada cliente sí se guarda en claro: protege el archivo.
+ */
+
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { readFileSync } from 'fs';
+import { mkdir, writeFile, rename } from 'fs/promises';
+import { dirname, resolve } from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { log } from './utils/logger.js';
+import { parseRate } from './utils/rate-limit.js';
+
+export const API_KEY_SCOPES = ['chat', 'sessions', 'admin'];
+
+export const ROOT_KEY_ID = 'root';
+
+const RATE_LIMIT_NAMES = ['sessions', 'turns', 'chat'];
+
+/**
+ * Registro persistido de una clave:
+ * {
+ *   id, name, scopes, max_sessions, rate_limits, openai_api_key, model,
+ *   token_hash, token_prefix, created_at, updated_at
+ * }
+ */
+
+export class ApiKeyRegistry {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - Archivo JSON de claves (vacío = solo en memoria)
+   * @param {string} options.rootToken - Token de la clave raíz (BRIDGE_API_TOKEN)
+   */
+  constructor({ file = '', rootToken = '' } = {}) {
+    this.file = file ? resolve(file) : null;
+    this.rootTokenHash = rootToken ? hashToken(rootToken) : null;
+    this.keys = new Map();       // id → registro
+    this.byTokenHash = new Map(); // token_hash → id
+    this._writes = Promise.resolve();
+    this.onChange = null;         // () => void, tras guardar un cambio (el modo cluster avisa a los demás workers)
+    if (this.file) this._load();
+  }
+
+  // Con al menos una clave (raíz o registrada) todo request debe autenticarse
+  get authRequired() {
+    return !!this.rootTokenHash || this.keys.size > 0;
+  }
+
+  /**
+   * Resuelve la clave de un token
+   * @returns {Object|null} Registro de la clave, o null si el token no es válido
+   */
+  authenticate(token) {
+    if (!this.authRequired) return ROOT_KEY;
+    if (!token) return null;
+
+    const hash = hashToken(token);
+    if (this.rootTokenHash && timingSafeEqual(Buffer.from(hash), Buffer.from(this.rootTokenHash))) {
+      return ROOT_KEY;
+    }
+    const id = this.byTokenHash.get(hash);
+    return id ? this.keys.get(id) : null;
+  }
+
+  get(id) {
+    if (id === ROOT_KEY_ID) return ROOT_KEY;
+    return this.keys.get(id) || null;
+  }
+
+  list() {
+    return [...this.keys.values()];
+  }
+
+  /**
+   * Crea una clave nueva
+   * @returns {Promise<{key, token}>} El token en claro solo se devuelve aquí
+   */
+  async create(fields = {}) {
+    const token = `rvb_${randomBytes(24).toString('base64url')}`;
+    const now = new Date().toISOString();
+    const key = {
+      id: `key_${uuidv4().replace(/-/g, '').slice(0, 16)}`,
+      ...normalizeKeyFields(fields, DEFAULT_KEY_FIELDS),
+      token_hash: hashToken(token),
+      token_prefix: token.slice(0, 12),
+      created_at: now,
+      updated_at: now,
+    };
+
+    this.keys.set(key.id, key);
+    this.byTokenHash.set(key.token_hash, key.id);
+    await this._save();
+    this.onChange?.();
+    log.info(`[ApiKeys] Clave creada: ${key.id} (${key.name})`);
+    return { key, token };
+  }
+
+  /**
+   * Modifica los campos de una clave (el token no cambia)
+   */
+  async update(id, changes = {}) {
+    const key = this._getKey(id);
+    Object.assign(key, normalizeKeyFields(changes, key), { updated_at: new Date().toISOString() });
+    await this._save();
+    this.onChange?.();
+    return key;
+  }
+
+  /**
+   * Revoca una clave. Sus sesiones siguen existiendo (solo admin puede verlas o cerrarlas).
+   */
+  async delete(id) {
+    const key = this._getKey(id);
+    this.keys.delete(id);
+    this.byTokenHash.delete(key.token_hash);
+    await this._save();
+    this.onChange?.();
+    log.info(`[ApiKeys] Clave revocada: ${id} (${key.name})`);
+    return key;
+  }
+
+  /**
+   * Vuelve a leer API_KEYS_FILE (otro proceso del cluster modificó las claves)
+   */
+  reload() {
+    if (!this.file) return;
+    this.keys.clear();
+    this.byTokenHash.clear();
+    this._load();
+  }
+
+  _getKey(id) {
+    const key = this.keys.get(id);
+    if (!key) throw new Error(`Clave no encontrada: ${id}`);
+    return key;
+  }
+
+  // Lectura síncrona: las claves tienen que estar disponibles antes del primer request
+  _load() {
+    let data;
+    try {
+      data = JSON.parse(readFileSync(this.file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw new Error(`No se pudo leer API_KEYS_FILE (${this.file}): ${err.message}`);
+    }
+    for (const key of data.keys || []) {
+      this.keys.set(key.id, key);
+      this.byTokenHash.set(key.token_hash, key.id);
+    }
+    log.info(`[ApiKeys] ${this.keys.size} claves cargadas de ${this.file}`);
+  }
+
+  // Escritura atómica (archivo temporal + rename), en orden
+  _save() {
+    if (!this.file) return Promise.resolve();
+    const content = JSON.stringify({ keys: this.list() }, null, 2);
+    const write = this._writes.catch(() => {}).then(async () => {
+      await mkdir(dirname(this.file), { recursive: true });
+      const tmpPath = `${this.file}.${process.pid}.tmp`;
+      await writeFile(tmpPath, content, { mode: 0o600 });
+      await rename(tmpPath, this.file);
+    });
+    this._writes = write;
+    return write;
+  }
+}
+
+const ROOT_KEY = Object.freeze({
+  id: ROOT_KEY_ID,
+  name: 'BRIDGE_API_TOKEN',
+  scopes: ['admin'],
+  max_sessions: null,
+  rate_limits: null,
+  openai_api_key: null,
+  model: null,
+});
+
+const DEFAULT_KEY_FIELDS = {
+  name: null,
+  scopes: ['sessions'],
+  max_sessions: null,
+  rate_limits: null,
+  openai_api_key: null,
+  model: null,
+};
+
+/**
+ * ¿La clave tiene el scope? admin incluye todos; sessions incluye chat.
+ */
+export function hasScope(key, scope) {
+  if (!key) return false;
+  return key.scopes.includes('admin') ||
+    key.scopes.includes(scope) ||
+    (scope === 'chat' && key.scopes.includes('sessions'));
+}
+
+/**
+ * ¿La clave puede ver y operar la sesión? Solo su creadora, o una clave admin.
+ * @param {Object} key
+ * @param {string|null} ownerId - owner_id de la sesión
+ */
+export function canAccessSession(key, ownerId) {
+  return hasScope(key, 'admin') || key.id === ownerId;
+}
+
+/**
+ * Vista pública de una clave (sin hash del token ni API key de OpenAI)
+ */
+export function toPublicKey(key) {
+  return {
+    id: key.id,
+    name: key.name,
+    scopes: key.scopes,
+    max_sessions: key.max_sessions,
+    rate_limits: key.rate_limits,
+    model: key.model,
+    has_openai_api_key: !!key.openai_api_key,
+    token_prefix: key.token_prefix || null,
+    created_at: key.created_at || null,
+    updated_at: key.updated_at || null,
+  };
+}
+
+function normalizeKeyFields(fields, base) {
+  const name = fields.name ?? base.name;
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    throw invalid('name', 'debe ser un texto de 1 a 100 caracteres');
+  }
+
+  const scopes = fields.scopes ?? base.scopes;
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((s) => !API_KEY_SCOPES.includes(s))) {
+    throw invalid('scopes', `debe ser una lista con ${API_KEY_SCOPES.join(', ')}`);
+  }
+
+  // null = el default de MAX_SESSIONS
+  const maxSessions = fields.max_sessions !== undefined ? fields.max_sessions : base.max_sessions;
+  if (maxSessions !== null && (!Number.isInteger(maxSessions) || maxSessions < 0)) {
+    throw invalid('max_sessions', 'debe ser un entero >= 0 (0 = sin límite) o null');
+  }
+
+  // { sessions, turns, chat } con "<cantidad>/<periodo>"; los que falten usan RATE_LIMIT_*
+  const rateLimits = fields.rate_limits !== undefined ? fields.rate_limits : base.rate_limits;
+  if (rateLimits !== null) {
+    if (typeof rateLimits !== 'object' || Array.isArray(rateLimits) ||
+        Object.keys(rateLimits).some((name) => !RATE_LIMIT_NAMES.includes(name))) {
+      throw invalid('rate_limits', `debe ser un objeto con ${RATE_LIMIT_NAMES.join(', ')} o null`);
+    }
+    for (const [name, rate] of Object.entries(rateLimits)) {
+      parseRate(String(rate), `rate_limits.${name}`);
+    }
+  }
+
+  // null borra el valor (se usa el global de .env)
+  const openaiApiKey = fields.openai_api_key !== undefined ? fields.openai_api_key : base.openai_api_key;
+  if (openaiApiKey !== null && (typeof openaiApiKey !== 'string' || !openaiApiKey.trim())) {
+    throw invalid('openai_api_key', 'debe ser un texto o null');
+  }
+
+  const model = fields.model !== undefined ? fields.model : base.model;
+  if (model !== null && (typeof model !== 'string' || !/^[\w.-]{1,100}$/.test(model))) {
+    throw invalid('model', 'debe ser el nombre de un modelo Realtime o null');
+  }
+
+  return {
+    name: name.trim(),
+    scopes: [...new Set(scopes)],
+    max_sessions: maxSessions,
+    rate_limits: rateLimits && Object.fromEntries(Object.entries(rateLimits).map(([name, rate]) => [name, String(rate)])),
+    openai_api_key: openaiApiKey,
+    model,
+  };
+}
+
+function hashToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+function invalid(field, reason) {
+  return new Error(`El campo "${field}" es inválido: ${reason}`);
+}
+
+/**
+ * Crea el registro de claves configurado por variables de entorno
+ */
+export function createApiKeyRegistry() {
+  const registry = new ApiKeyRegistry({
+    file: process.env.API_KEYS_FILE ?? './data/api-keys.json',
+    rootToken: process.env.BRIDGE_API_TOKEN || '',
+  });
+  if (!registry.authRequired) {
+    log.warn('[ApiKeys] Sin BRIDGE_API_TOKEN ni claves registradas: autenticación desactivada (solo desarrollo)');
+  }
+  return registry;
+}
@@ -0,0 +1,55 @@
+/**
+ * Modo cluster: varios procesos del bridge detrás del mismo puerto
+ *
+ * Uso:
+ *   npm run start:cluster
+ *   CLUSTER_WORKERS=4 node src/cluster.js
+ *
+ * Cada worker es un src/server.js completo que atiende sus propias sesiones; los
+ * requests de una sesión que vive en otro worker se le reenvían por 127.0.0.1
+ * (ver src/cluster/). Requiere un store compartido por los workers: el de
+ * archivos (SESSION_STORE=file) en el mismo disco.
+ */
+
+import 'dotenv/config';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { ClusterPrimary } from './cluster/cluster-primary.js';
+import { log } from './utils/logger.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const PORT = parseInt(process.env.PORT || '3030');
+const WORKERS = parseInt(process.env.CLUSTER_WORKERS || '0') || os.availableParallelism?.() || os.cpus().length;
+const INTERNAL_PORT = parseInt(process.env.CLUSTER_INTERNAL_PORT || String(PORT + 10000));
+
+if (process.env.SESSION_STORE === 'memory' && WORKERS > 1) {
+  log.warn('[Cluster] SESSION_STORE=memory: cada worker tiene su propio store, una sesión desconectada ' +
+    '(por inactividad o reinicio) solo se restaura si el request llega al mismo worker');
+}
+if (process.env.API_KEYS_FILE === '') {
+  log.warn('[Cluster] API_KEYS_FILE vacío: las claves creadas en un worker no existen en los demás');
+}
+if (process.env.PROFILES_FILE === '') {
+  log.warn('[Cluster] PROFILES_FILE vacío: los perfiles creados en un worker no existen en los demás');
+}
+if (process.env.USAGE_LOG_FILE === '') {
+  log.warn('[Cluster] USAGE_LOG_FILE vacío: GET /usage solo suma el consumo del worker que atiende el request');
+}
+
+const primary = new ClusterPrimary({
+  exec: join(__dirname, 'server.js'),
+  workers: WORKERS,
+  internalPort: INTERNAL_PORT,
+});
+primary.start();
+
+async function shutdown(signal) {
+  log.info(`[Cluster] Recibida señal ${signal}, deteniendo workers...`);
+  await primary.stop();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
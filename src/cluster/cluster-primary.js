@@ -0,0 +1,172 @@
+/**
+ * ClusterPrimary - Proceso principal del modo cluster
+ *
+ * Levanta CLUSTER_WORKERS procesos de src/server.js que comparten el puerto público
+ * (node:cluster reparte las conexiones). Cada sesión activa vive en un único worker,
+ * su dueño: el que abrió el WebSocket con OpenAI. El primary guarda el mapa
+ * session_id → worker y lo comparte por IPC:
+ *
+ * - claim:   un worker va a abrir una sesión (falla si otro worker ya la tiene, o si la
+ *            clave de API llegó a su límite de sesiones sumando todo el cluster)
+ * - release: el worker cerró la conexión de la sesión
+ * - lookup:  a qué worker reenviar un request de una sesión
+ * - collect: ejecuta una acción en todos los workers y junta los resultados
+ *            (listado de sesiones, /health, recarga de claves)
+ * - rate-limit: consume un token de un bucket de rate limiting; los buckets son
+ *            del cluster, así un límite no se multiplica por la cantidad de workers
+ *
+ * Cada worker escucha además en 127.0.0.1:CLUSTER_INTERNAL_PORT + índice, por donde
+ * recibe los requests reenviados (ver cluster-worker.js). Un worker que termina se
+ * vuelve a levantar con el mismo índice; sus sesiones quedan en el store y se
+ * restauran en el worker que reciba el próximo request.
+ */
+
+import cluster from 'cluster';
+import { randomBytes } from 'crypto';
+import { IpcChannel } from './ipc-channel.js';
+import { log } from '../utils/logger.js';
+import { TokenBucketLimiter } from '../utils/rate-limit.js';
+
+// Espera antes de volver a levantar un worker que terminó (crece si se cae en seguida)
+const RESTART_BASE_DELAY_MS = 1000;
+const RESTART_MAX_DELAY_MS = 30000;
+const STABLE_UPTIME_MS = 10000;
+
+// Espera máxima del cierre ordenado de los workers
+const SHUTDOWN_TIMEOUT_MS = 12000;
+
+export class ClusterPrimary {
+  /**
+   * @param {Object} options
+   * @param {string} options.exec - Script de los workers (src/server.js)
+   * @param {number} options.workers - Cantidad de workers
+   * @param {number} options.internalPort - Puerto interno del worker 0 (el worker N usa internalPort + N)
+   */
+  constructor({ exec, workers, internalPort }) {
+    this.exec = exec;
+    this.size = workers;
+    this.internalPort = internalPort;
+    this.secret = randomBytes(24).toString('hex'); // autentica los requests reenviados entre workers
+    this.slots = [];           // índice → { worker, channel, startedAt, restarts }
+    this.owners = new Map();   // session_id → { worker: índice, ownerId }
+    this.rateLimiter = new TokenBucketLimiter(); // buckets de rate limiting de todos los workers
+    this.stopping = false;
+  }
+
+  start() {
+    cluster.setupPrimary({ exec: this.exec });
+    for (let index = 0; index < this.size; index++) this._fork(index);
+    log.info(`[Cluster] Primary ${process.pid}: ${this.size} workers`);
+  }
+
+  /**
+   * Detiene los workers (cada uno cierra sus sesiones, que quedan en el store)
+   */
+  stop() {
+    this.stopping = true;
+    const alive = this.slots.filter((slot) => slot?.worker && !slot.worker.isDead());
+    if (alive.length === 0) return Promise.resolve();
+    return new Promise((resolve) => {
+      let remaining = alive.length;
+      const timer = setTimeout(() => {
+        log.error('[Cluster] Cierre forzado de workers por timeout');
+        for (const { worker } of alive) worker.process.kill('SIGKILL');
+        resolve();
+      }, SHUTDOWN_TIMEOUT_MS);
+      for (const { worker } of alive) {
+        worker.once('exit', () => {
+          if (--remaining === 0) {
+            clearTimeout(timer);
+            resolve();
+          }
+        });
+        worker.process.kill('SIGTERM');
+      }
+    });
+  }
+
+  _fork(index) {
+    const previous = this.slots[index];
+    const worker = cluster.fork({
+      CLUSTER_WORKER_INDEX: String(index),
+      CLUSTER_WORKERS: String(this.size),
+      CLUSTER_INTERNAL_PORT: String(this.internalPort),
+      CLUSTER_SECRET: this.secret,
+    });
+    const channel = new IpcChannel(worker);
+    const slot = { worker, channel, startedAt: Date.now(), restarts: previous?.restarts ?? 0 };
+    this.slots[index] = slot;
+
+    channel.handle('claim', (payload) => this._claim(index, payload));
+    channel.handle('release', ({ sessionId }) => this._release(index, sessionId));
+    channel.handle('lookup', ({ sessionId }) => this._lookup(sessionId));
+    channel.handle('collect', ({ action, payload }) => this._collect(action, payload));
+    channel.handle('rate-limit', ({ id, rate }) => this.rateLimiter.take(id, rate));
+
+    worker.on('exit', (code, signal) => this._onExit(index, slot, code, signal));
+  }
+
+  _onExit(index, slot, code, signal) {
+    slot.channel.close(`El worker ${index} terminó`);
+    let released = 0;
+    for (const [sessionId, owner] of this.owners) {
+      if (owner.worker === index) {
+        this.owners.delete(sessionId);
+        released++;
+      }
+    }
+    if (this.stopping) return;
+
+    // Un worker que se cae apenas arranca no se reinicia en un bucle sin pausa
+    slot.restarts = Date.now() - slot.startedAt > STABLE_UPTIME_MS ? 0 : slot.restarts + 1;
+    const delay = Math.min(RESTART_MAX_DELAY_MS, RESTART_BASE_DELAY_MS * 2 ** slot.restarts);
+    log.error(`[Cluster] Worker ${index} (pid ${slot.worker.process.pid}) terminó (${signal || `código ${code}`}); ` +
+      `${released} sesiones liberadas. Reiniciando en ${delay}ms...`);
+    setTimeout(() => {
+      if (!this.stopping) this._fork(index);
+    }, delay);
+  }
+
+  _claim(index, { sessionId, ownerId = null, limit = 0 }) {
+    const current = this.owners.get(sessionId);
+    if (current && current.worker !== index && this._isAlive(current.worker)) {
+      return { claimed: false, worker: current.worker };
+    }
+    if (limit > 0 && !current) {
+      let owned = 0;
+      for (const owner of this.owners.values()) if (owner.ownerId === ownerId) owned++;
+      if (owned >= limit) return { claimed: false, limitReached: true };
+    }
+    this.owners.set(sessionId, { worker: index, ownerId });
+    return { claimed: true };
+  }
+
+  _release(index, sessionId) {
+    if (this.owners.get(sessionId)?.worker === index) this.owners.delete(sessionId);
+    return true;
+  }
+
+  _lookup(sessionId) {
+    const owner = this.owners.get(sessionId);
+    if (!owner || !this._isAlive(owner.worker)) return null;
+    return { worker: owner.worker, internal_port: this.internalPort + owner.worker };
+  }
+
+  // Un worker que no responde a tiempo aparece con `error` (el resto del resultado sigue siendo útil)
+  _collect(action, payload) {
+    return Promise.all(this.slots.map(async (slot, index) => {
+      const entry = { worker: index, pid: slot.worker.process.pid };
+      if (!this._isAlive(index)) return { ...entry, error: 'Worker reiniciándose' };
+      try {
+        return { ...entry, result: await slot.channel.request(action, payload) };
+      } catch (err) {
+        return { ...entry, error: err.message };
+      }
+    }));
+  }
+
+  _isAlive(index) {
+    const worker = this.slots[index]?.worker;
+    return !!worker && !worker.isDead() && worker.isConnected();
+  }
+}
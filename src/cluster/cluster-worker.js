@@ -0,0 +1,271 @@
+/**
+ * ClusterWorker - Lado worker del modo cluster (ver cluster-primary.js)
+ *
+ * - Reclama y libera en el primary las sesiones que abre y cierra su SessionManager
+ * - Reenvía al worker dueño los requests HTTP y los WebSockets de sesiones que no
+ *   viven en este proceso (/api/v1/sessions/:id/... y /api/v1/twilio/media-stream/:id)
+ * - Escucha en 127.0.0.1 los requests que le reenvían los otros workers
+ * - Ejecuta las acciones que le pide el primary (listado de sesiones, estado, etc.)
+ *
+ * Los requests reenviados llevan el secreto del cluster y la IP del cliente original
+ * (para que el rate limiting por IP siga funcionando en el worker dueño).
+ */
+
+import cluster from 'cluster';
+import http from 'http';
+import net from 'net';
+import { IpcChannel } from './ipc-channel.js';
+import { log } from '../utils/logger.js';
+
+const SECRET_HEADER = 'x-bridge-cluster-secret';
+const CLIENT_IP_HEADER = 'x-bridge-client-ip';
+const FORWARDED_BY_HEADER = 'x-bridge-forwarded-by';
+
+// Rutas cuyo primer segmento variable es un session_id
+const SESSION_PATHS = [
+  /^\/api\/v1\/sessions\/([^/]+)/,
+  /^\/api\/v1\/twilio\/media-stream\/([^/]+)/,
+];
+
+export class ClusterWorker {
+  /**
+   * @param {Object} options
+   * @param {number} options.index - Índice del worker (0..workers-1)
+   * @param {number} options.workers - Cantidad de workers del cluster
+   * @param {number} options.internalPort - Puerto interno del worker 0
+   * @param {string} options.secret - Secreto compartido de los requests reenviados
+   */
+  constructor({ index, workers, internalPort, secret }) {
+    this.index = index;
+    this.workers = workers;
+    this.internalPort = internalPort + index;
+    this.secret = secret;
+    this.channel = new IpcChannel(process);
+    this.internalServer = null;
+  }
+
+  handle(action, handler) {
+    this.channel.handle(action, handler);
+  }
+
+  /**
+   * Reclama una sesión para este worker antes de abrir su conexión con OpenAI
+   * @param {string} sessionId
+   * @param {Object} options
+   * @param {string|null} options.ownerId - Clave de API dueña
+   * @param {number} options.limit - Sesiones activas permitidas para la clave en todo el cluster (0 = sin límite)
+   * @returns {Promise<{claimed: boolean, worker?: number, limitReached?: boolean}>}
+   */
+  claim(sessionId, { ownerId = null, limit = 0 } = {}) {
+    return this.channel.request('claim', { sessionId, ownerId, limit });
+  }
+
+  release(sessionId) {
+    this.channel.request('release', { sessionId }).catch((err) => {
+      log.warn(`[Cluster] No se pudo liberar la sesión ${sessionId}:`, err.message);
+    });
+  }
+
+  /**
+   * Worker dueño de una sesión, si es otro
+   * @returns {Promise<{worker, internal_port}|null>} null si la sesión es de este worker o de ninguno
+   */
+  async lookup(sessionId) {
+    const owner = await this.channel.request('lookup', { sessionId });
+    return owner && owner.worker !== this.index ? owner : null;
+  }
+
+  /**
+   * Limiter para createRateLimitMiddleware con los buckets del primary: los límites
+   * se cuentan en todo el cluster, no en cada worker
+   * @returns {{take: (id: string, rate: Object) => Promise<{allowed, retryAfterMs, remaining}>}}
+   */
+  rateLimiter() {
+    return { take: (id, rate) => this.channel.request('rate-limit', { id, rate }) };
+  }
+
+  /**
+   * Ejecuta una acción registrada con handle() en todos los workers (incluido este)
+   * @returns {Promise<Array<{worker, pid, result?, error?}>>}
+   */
+  collect(action, payload = {}) {
+    return this.channel.request('collect', { action, payload });
+  }
+
+  /**
+   * Middleware de Express: reenvía los requests de sesiones de otro worker.
+   * Va antes de express.json() para reenviar el body sin leerlo.
+   */
+  forwardRequests() {
+    return (req, res, next) => {
+      const sessionId = !req.clusterForwarded && sessionIdFromPath(req.path);
+      if (!sessionId) return next();
+      this.lookup(sessionId)
+        .then((owner) => (owner ? this._proxyRequest(req, res, owner) : next()))
+        .catch((err) => {
+          log.warn(`[Cluster] No se pudo consultar el dueño de ${sessionId}:`, err.message);
+          next();
+        });
+    };
+  }
+
+  /**
+   * Reenvía al worker dueño un request cuyo body ya se leyó: el caso de un request que
+   * llegó antes de que la sesión tuviera dueño y perdió la carrera por restaurarla
+   * contra otro worker. El body (ya interpretado) se reenvía como JSON.
+   * @returns {Promise<boolean>} false si la sesión no tiene dueño en otro worker
+   */
+  async forwardParsed(req, res, sessionId) {
+    const owner = await this.lookup(sessionId);
+    if (!owner) return false;
+    const hasBody = req.body !== undefined && Object.keys(req.body).length > 0;
+    this._proxyRequest(req, res, owner, hasBody ? Buffer.from(JSON.stringify(req.body)) : null);
+    return true;
+  }
+
+  /**
+   * Envuelve el manejador de upgrades: los WebSockets de sesiones de otro worker
+   * se conectan directamente con él
+   * @param {Function} handleLocally - (req, socket, head) => void
+   */
+  forwardUpgrades(handleLocally) {
+    return (req, socket, head) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      const sessionId = sessionIdFromPath(pathname);
+      if (!sessionId) return handleLocally(req, socket, head);
+      this.lookup(sessionId)
+        .then((owner) => (owner ? this._proxyUpgrade(req, socket, head, owner) : handleLocally(req, socket, head)))
+        .catch((err) => {
+          log.warn(`[Cluster] No se pudo consultar el dueño de ${sessionId}:`, err.message);
+          handleLocally(req, socket, head);
+        });
+    };
+  }
+
+  /**
+   * Escucha en 127.0.0.1 los requests y WebSockets reenviados por los otros workers
+   * @param {Function} app - Handler HTTP (la app de Express)
+   * @param {Function} handleUpgrade - (req, socket, head) => void, sin reenvío
+   */
+  listenInternal(app, handleUpgrade) {
+    const authorized = (req) => req.headers[SECRET_HEADER] === this.secret;
+    this.internalServer = http.createServer((req, res) => {
+      if (!authorized(req)) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'Request interno sin el secreto del cluster' }));
+        return;
+      }
+      req.clusterForwarded = true;
+      // La IP del cliente original (propia del request: tiene prioridad sobre el getter de Express)
+      const clientIp = req.headers[CLIENT_IP_HEADER];
+      if (clientIp) Object.defineProperty(req, 'ip', { value: clientIp, configurable: true });
+      app(req, res);
+    });
+    this.internalServer.on('upgrade', (req, socket, head) => {
+      if (!authorized(req)) {
+        socket.write('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+      handleUpgrade(req, socket, head);
+    });
+    return new Promise((resolve, reject) => {
+      this.internalServer.once('error', reject);
+      this.internalServer.listen(this.internalPort, '127.0.0.1', () => resolve(this.internalPort));
+    });
+  }
+
+  close() {
+    this.internalServer?.close();
+    this.channel.close();
+  }
+
+  _forwardHeaders(headers, clientIp) {
+    return {
+      ...headers,
+      [SECRET_HEADER]: this.secret,
+      [CLIENT_IP_HEADER]: clientIp || '',
+      [FORWARDED_BY_HEADER]: String(this.index),
+    };
+  }
+
+  // Con `body`, el request ya se leyó y se reenvía ese body (JSON) en vez del original
+  _proxyRequest(req, res, owner, body = null) {
+    log.debug(`[Cluster] ${req.method} ${req.path} → worker ${owner.worker}`);
+    const headers = this._forwardHeaders(req.headers, req.ip);
+    if (req.readableEnded || body) {
+      for (const name of ['content-length', 'transfer-encoding', 'content-encoding', 'content-type']) delete headers[name];
+      if (body) Object.assign(headers, { 'content-type': 'application/json', 'content-length': String(body.length) });
+    }
+    const upstream = http.request({
+      host: '127.0.0.1',
+      port: owner.internal_port,
+      method: req.method,
+      path: req.originalUrl,
+      headers,
+    }, (response) => {
+      res.writeHead(response.statusCode, response.headers);
+      response.pipe(res);
+    });
+    upstream.on('error', (err) => {
+      log.warn(`[Cluster] Error reenviando ${req.method} ${req.path} al worker ${owner.worker}:`, err.message);
+      if (res.headersSent) return res.destroy();
+      res.status(502).json({ success: false, error: `No se pudo contactar al worker ${owner.worker} de la sesión` });
+    });
+    // El cliente cortó (ej: un stream SSE): se corta también el request reenviado
+    res.on('close', () => {
+      if (!res.writableFinished) upstream.destroy();
+    });
+    if (req.readableEnded || body) upstream.end(body || undefined);
+    else req.pipe(upstream);
+  }
+
+  _proxyUpgrade(req, socket, head, owner) {
+    log.debug(`[Cluster] WS ${req.url} → worker ${owner.worker}`);
+    const upstream = net.connect(owner.internal_port, '127.0.0.1', () => {
+      const headers = this._forwardHeaders({}, socket.remoteAddress);
+      const lines = [`${req.method} ${req.url} HTTP/${req.httpVersion}`];
+      for (let i = 0; i < req.rawHeaders.length; i += 2) {
+        if (!req.rawHeaders[i].toLowerCase().startsWith('x-bridge-')) lines.push(`${req.rawHeaders[i]}: ${req.rawHeaders[i + 1]}`);
+      }
+      for (const [name, value] of Object.entries(headers)) lines.push(`${name}: ${value}`);
+      upstream.write(lines.join('\r\n') + '\r\n\r\n');
+      if (head?.length) upstream.write(head);
+      socket.pipe(upstream).pipe(socket);
+    });
+    upstream.on('error', (err) => {
+      log.warn(`[Cluster] Error reenviando WebSocket ${req.url} al worker ${owner.worker}:`, err.message);
+      socket.destroy();
+    });
+    socket.on('error', () => upstream.destroy());
+    socket.on('close', () => upstream.destroy());
+    upstream.on('close', () => socket.destroy());
+  }
+}
+
+function sessionIdFromPath(path) {
+  for (const pattern of SESSION_PATHS) {
+    const match = path.match(pattern);
+    if (match) {
+      try {
+        return decodeURIComponent(match[1]);
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * ClusterWorker del proceso actual, o null si el bridge no corre en modo cluster
+ */
+export function createClusterWorker() {
+  if (!cluster.isWorker || !process.env.CLUSTER_SECRET) return null;
+  return new ClusterWorker({
+    index: parseInt(process.env.CLUSTER_WORKER_INDEX),
+    workers: parseInt(process.env.CLUSTER_WORKERS),
+    internalPort: parseInt(process.env.CLUSTER_INTERNAL_PORT),
+    secret: process.env.CLUSTER_SECRET,
+  });
+}
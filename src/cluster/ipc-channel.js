@@ -0,0 +1,98 @@
+/**
+ * IpcChannel - Request/response sobre el canal IPC de node:cluster
+ *
+ * Envuelve `process` (en un worker) o un `Worker` (en el primary) para que cada
+ * lado pueda pedir una acción al otro y esperar su resultado:
+ *
+ *   channel.handle('sessions', (filters) => manager.listLocalSessions(filters));
+ *   const sessions = await channel.request('sessions', { ownerId });
+ *
+ * Los handlers pueden ser async; un error en el handler rechaza el request del otro lado.
+ */
+
+import { log } from '../utils/logger.js';
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+export class IpcChannel {
+  /**
+   * @param {process|Worker} target - Objeto con send() y eventos 'message'
+   * @param {Object} options
+   * @param {number} options.timeoutMs - Espera máxima de cada request
+   */
+  constructor(target, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    this.target = target;
+    this.timeoutMs = timeoutMs;
+    this.handlers = new Map(); // acción → (payload) => resultado
+    this.pending = new Map();  // id → { resolve, reject, timeout }
+    this.nextId = 1;
+    this._onMessage = (message) => this._receive(message);
+    target.on('message', this._onMessage);
+  }
+
+  handle(action, handler) {
+    this.handlers.set(action, handler);
+  }
+
+  /**
+   * Pide una acción al otro lado del canal
+   * @returns {Promise<*>} Resultado del handler remoto
+   */
+  request(action, payload = {}) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      const timeout = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Timeout esperando "${action}" por IPC (${this.timeoutMs}ms)`));
+      }, this.timeoutMs);
+      this.pending.set(id, { resolve, reject, timeout });
+      this._send({ cluster: 'request', id, action, payload }, (err) => {
+        clearTimeout(timeout);
+        this.pending.delete(id);
+        reject(new Error(`No se pudo enviar "${action}" por IPC: ${err.message}`));
+      });
+    });
+  }
+
+  // El otro lado terminó: los requests en vuelo no van a tener respuesta
+  close(reason = 'Canal IPC cerrado') {
+    this.target.off('message', this._onMessage);
+    for (const { reject, timeout } of this.pending.values()) {
+      clearTimeout(timeout);
+      reject(new Error(reason));
+    }
+    this.pending.clear();
+  }
+
+  async _receive(message) {
+    if (message?.cluster === 'response') {
+      const pending = this.pending.get(message.id);
+      if (!pending) return;
+      this.pending.delete(message.id);
+      clearTimeout(pending.timeout);
+      if (message.error) pending.reject(new Error(message.error));
+      else pending.resolve(message.result);
+      return;
+    }
+    if (message?.cluster !== 'request') return;
+
+    const handler = this.handlers.get(message.action);
+    let response;
+    try {
+      if (!handler) throw new Error(`Acción IPC desconocida: ${message.action}`);
+      response = { cluster: 'response', id: message.id, result: await handler(message.payload) };
+    } catch (err) {
+      response = { cluster: 'response', id: message.id, error: err.message };
+    }
+    this._send(response, (err) => log.debug(`[Cluster] No se pudo responder "${message.action}" por IPC:`, err.message));
+  }
+
+  // Con callback, un canal cerrado no emite 'error' en el proceso
+  _send(message, onError) {
+    try {
+      this.target.send(message, (err) => err && onError(err));
+    } catch (err) {
+      onError(err);
+    }
+  }
+}
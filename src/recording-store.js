@@ -0,0 +1,307 @@
+/**
+ * RecordingStore - Grabación de sesiones (opt-in con `record: true`)
+ *
+ * Cada sesión grabada guarda dos pistas PCM16 24kHz mono en RECORDINGS_DIR:
+ * - user: el audio de entrada (POST /audio, audio en vivo y Twilio)
+ * - assistant: los deltas de audio de las respuestas de OpenAI
+ *
+ * Las pistas se alinean en una línea de tiempo común: cada fragmento se escribe
+ * en el instante en que se envió o llegó (relativo al inicio de la grabación),
+ * rellenando con silencio los huecos. Un turno HTTP y la respuesta del asistente
+ * nunca se solapan con la pista contraria; el audio en vivo del usuario sí
+ * (barge-in). El tiempo en que la sesión estuvo cerrada no se graba.
+ *
+ * Las grabaciones quedan en disco al cerrar la sesión y se eliminan después de
+ * RECORDING_RETENTION_MS sin modificaciones.
+ */
+
+import { mkdir, readFile, writeFile, appendFile, readdir, stat, rm, open } from 'fs/promises';
+import { join, resolve } from 'path';
+import { Readable } from 'stream';
+import { log } from './utils/logger.js';
+import { createWavHeader } from './utils/audio.js';
+
+export const RECORDING_TRACKS = ['user', 'assistant'];
+
+const SAMPLE_RATE = 24000;
+const BYTES_PER_MS = (SAMPLE_RATE * 2) / 1000; // PCM16 mono
+
+// Bytes por pista que se leen en cada bloque al generar el WAV (~1s de audio)
+const READ_CHUNK_BYTES = SAMPLE_RATE * 2;
+
+// Cada cuánto se eliminan las grabaciones vencidas
+const PRUNE_INTERVAL_MS = 3600000;
+
+/**
+ * Metadata persistida de una grabación (meta.json):
+ * { session_id, owner_id, sample_rate, started_at }
+ */
+
+export class RecordingStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directorio de las grabaciones
+   * @param {number} options.retentionMs - Antigüedad máxima sin modificaciones (0 = sin límite)
+   */
+  constructor({ dir, retentionMs = 0 }) {
+    this.dir = resolve(dir);
+    this.retentionMs = retentionMs;
+    this.active = new Map();   // session_id → { ready, queue, clockStart, fixedClock, bytes }
+    this._stopping = new Map(); // session_id → escrituras pendientes de una grabación terminada
+    this._pruneInterval = setInterval(() => this._pruneInBackground(), PRUNE_INTERVAL_MS);
+    this._pruneInterval.unref();
+  }
+
+  /**
+   * Empieza (o retoma) la grabación de una sesión
+   * @param {string} sessionId
+   * @param {Object} options
+   * @param {string|null} options.ownerId - Clave de API dueña de la sesión
+   * @param {string} options.startedAt - Inicio de la línea de tiempo (ISO; default: ahora). Con el
+   *   mismo origen que los offsets del historial de la sesión, ambos coinciden. Al retomar una
+   *   grabación sin startedAt, la línea de tiempo sigue donde terminó el audio
+   * @param {boolean} options.reset - Descarta una grabación previa con el mismo session_id (sesión nueva)
+   */
+  start(sessionId, { ownerId = null, startedAt = null, reset = false } = {}) {
+    if (this.active.has(sessionId)) return;
+    const clockStart = startedAt ? new Date(startedAt).getTime() : Date.now();
+    const recording = { clockStart, fixedClock: !!startedAt, bytes: { user: 0, assistant: 0 } };
+    // Si la sesión se acaba de cerrar, se espera a que terminen sus escrituras
+    const previous = this._stopping.get(sessionId) || Promise.resolve();
+    recording.ready = previous.then(() => this._open(sessionId, recording, { ownerId, reset }));
+    recording.queue = recording.ready.catch((err) => {
+      log.warn(`[Recording ${sessionId}] No se pudo iniciar la grabación:`, err.message);
+    });
+    this.active.set(sessionId, recording);
+  }
+
+  /**
+   * Agrega audio a una pista
+   * @param {string} sessionId
+   * @param {string} track - user | assistant
+   * @param {Buffer} pcm - PCM16 24kHz mono
+   * @param {Object} options
+   * @param {boolean} options.sequential - No empezar antes de que termine el audio de la otra pista
+   */
+  append(sessionId, track, pcm, { sequential = true } = {}) {
+    const recording = this.active.get(sessionId);
+    if (!recording || !pcm?.length) return;
+    const at = Date.now();
+    recording.queue = recording.queue
+      .then(() => this._write(sessionId, recording, track, pcm, at, sequential))
+      .catch((err) => log.warn(`[Recording ${sessionId}] No se pudo escribir audio:`, err.message));
+  }
+
+  /**
+   * Termina la grabación de la sesión (los archivos quedan en disco)
+   */
+  stop(sessionId) {
+    const recording = this.active.get(sessionId);
+    if (!recording) return Promise.resolve();
+    this.active.delete(sessionId);
+    const pending = recording.queue.finally(() => {
+      if (this._stopping.get(sessionId) === pending) this._stopping.delete(sessionId);
+    });
+    this._stopping.set(sessionId, pending);
+    return pending;
+  }
+
+  /**
+   * Info de una grabación
+   * @returns {Promise<{session_id, owner_id, sample_rate, started_at, updated_at, active, tracks}|null>}
+   */
+  async get(sessionId) {
+    await (this.active.get(sessionId)?.queue || this._stopping.get(sessionId));
+    return this._read(sessionId);
+  }
+
+  /**
+   * Genera el WAV de una grabación por streaming, sin cargarla completa en memoria
+   * @param {string} sessionId
+   * @param {string} track - stereo (usuario a la izquierda, asistente a la derecha) | user | assistant
+   * @returns {Promise<{contentLength, stream}|null>}
+   */
+  async openWav(sessionId, track = 'stereo') {
+    const recording = await this.get(sessionId);
+    if (!recording) return null;
+    const dir = this._dir(sessionId);
+
+    if (track !== 'stereo') {
+      const { bytes } = recording.tracks[track];
+      return {
+        contentLength: 44 + bytes,
+        stream: Readable.from(readTrack(join(dir, `${track}.pcm`), createWavHeader(bytes, SAMPLE_RATE), bytes)),
+      };
+    }
+
+    // La pista más corta se completa con silencio hasta el final de la otra
+    const trackBytes = Math.max(recording.tracks.user.bytes, recording.tracks.assistant.bytes);
+    return {
+      contentLength: 44 + trackBytes * 2,
+      stream: Readable.from(readStereo(dir, createWavHeader(trackBytes * 2, SAMPLE_RATE, 2), trackBytes)),
+    };
+  }
+
+  /**
+   * Elimina las grabaciones sin modificaciones por más de retentionMs
+   * @returns {Promise<number>} Cantidad de grabaciones eliminadas
+   */
+  async prune() {
+    if (!this.retentionMs) return 0;
+    let entries;
+    try {
+      entries = await readdir(this.dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return 0;
+      throw err;
+    }
+
+    let removed = 0;
+    const cutoff = Date.now() - this.retentionMs;
+    for (const entry of entries) {
+      const sessionId = Buffer.from(entry, 'base64url').toString();
+      if (this.active.has(sessionId) || this._stopping.has(sessionId)) continue;
+      const recording = await this._read(sessionId).catch(() => null);
+      const updatedAt = recording ? new Date(recording.updated_at).getTime() : 0;
+      if (updatedAt < cutoff) {
+        await rm(join(this.dir, entry), { recursive: true, force: true });
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // Lee la metadata y el tamaño de las pistas, sin esperar escrituras pendientes
+  async _read(sessionId) {
+    const dir = this._dir(sessionId);
+    let meta;
+    try {
+      meta = JSON.parse(await readFile(join(dir, 'meta.json'), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+
+    const tracks = {};
+    let updatedAt = new Date(meta.started_at).getTime();
+    for (const track of RECORDING_TRACKS) {
+      const info = await stat(join(dir, `${track}.pcm`)).catch(() => null);
+      const bytes = info?.size || 0;
+      tracks[track] = { bytes, duration_ms: Math.round(bytes / BYTES_PER_MS) };
+      if (info) updatedAt = Math.max(updatedAt, info.mtimeMs);
+    }
+
+    return {
+      ...meta,
+      updated_at: new Date(updatedAt).toISOString(),
+      active: this.active.has(sessionId),
+      tracks,
+    };
+  }
+
+  async _open(sessionId, recording, { ownerId, reset }) {
+    const dir = this._dir(sessionId);
+    if (reset) await rm(dir, { recursive: true, force: true });
+    await mkdir(dir, { recursive: true });
+
+    const existing = reset ? null : await this._read(sessionId).catch(() => null);
+    if (existing) {
+      // Se retoma donde terminó: el tiempo que la sesión estuvo cerrada no se rellena con silencio
+      recording.bytes = { user: existing.tracks.user.bytes, assistant: existing.tracks.assistant.bytes };
+      if (!recording.fixedClock) {
+        const endMs = Math.max(recording.bytes.user, recording.bytes.assistant) / BYTES_PER_MS;
+        recording.clockStart = Date.now() - endMs;
+      }
+      return;
+    }
+
+    await writeFile(join(dir, 'meta.json'), JSON.stringify({
+      session_id: sessionId,
+      owner_id: ownerId,
+      sample_rate: SAMPLE_RATE,
+      started_at: new Date(recording.clockStart).toISOString(),
+    }));
+    log.info(`[Recording ${sessionId}] Grabación iniciada`);
+  }
+
+  async _write(sessionId, recording, track, pcm, at, sequential) {
+    const other = track === 'user' ? 'assistant' : 'user';
+    let position = toSampleBoundary((at - recording.clockStart) * BYTES_PER_MS);
+    if (sequential) position = Math.max(position, recording.bytes[other]);
+
+    const silence = Math.max(0, position - recording.bytes[track]);
+    const audio = pcm.subarray(0, toSampleBoundary(pcm.length));
+    const chunk = silence > 0 ? Buffer.concat([Buffer.alloc(silence), audio]) : audio;
+
+    recording.bytes[track] += chunk.length;
+    await appendFile(join(this._dir(sessionId), `${track}.pcm`), chunk);
+  }
+
+  _pruneInBackground() {
+    this.prune()
+      .then((removed) => removed > 0 && log.info(`[Recording] ${removed} grabaciones vencidas eliminadas`))
+      .catch((err) => log.warn('[Recording] No se pudieron eliminar grabaciones vencidas:', err.message));
+  }
+
+  // El session_id lo elige el cliente: se codifica para que sea un nombre de directorio seguro
+  _dir(sessionId) {
+    return join(this.dir, Buffer.from(sessionId).toString('base64url'));
+  }
+}
+
+function toSampleBoundary(bytes) {
+  return Math.max(0, Math.floor(bytes / 2) * 2);
+}
+
+async function* readTrack(path, header, bytes) {
+  yield header;
+  const file = await open(path).catch(() => null);
+  try {
+    for (let offset = 0; offset < bytes; offset += READ_CHUNK_BYTES) {
+      yield await readBlock(file, offset, Math.min(READ_CHUNK_BYTES, bytes - offset));
+    }
+  } finally {
+    await file?.close();
+  }
+}
+
+async function* readStereo(dir, header, trackBytes) {
+  yield header;
+  const user = await open(join(dir, 'user.pcm')).catch(() => null);
+  const assistant = await open(join(dir, 'assistant.pcm')).catch(() => null);
+  try {
+    for (let offset = 0; offset < trackBytes; offset += READ_CHUNK_BYTES) {
+      const length = Math.min(READ_CHUNK_BYTES, trackBytes - offset);
+      const left = await readBlock(user, offset, length);
+      const right = await readBlock(assistant, offset, length);
+      const frames = Buffer.alloc(length * 2);
+      for (let i = 0; i < length; i += 2) {
+        frames.writeInt16LE(left.readInt16LE(i), i * 2);
+        frames.writeInt16LE(right.readInt16LE(i), i * 2 + 2);
+      }
+      yield frames;
+    }
+  } finally {
+    await user?.close();
+    await assistant?.close();
+  }
+}
+
+// Lo que falta al final de la pista (o una pista sin audio) se lee como silencio
+async function readBlock(file, offset, length) {
+  const block = Buffer.alloc(length);
+  if (file) await file.read(block, 0, length, offset);
+  return block;
+}
+
+/**
+ * Crea el store de grabaciones configurado por variables de entorno
+ */
+export function createRecordingStore() {
+  const store = new RecordingStore({
+    dir: process.env.RECORDINGS_DIR || './data/recordings',
+    retentionMs: parseInt(process.env.RECORDING_RETENTION_MS || '2592000000'), // 30 días
+  });
+  store._pruneInBackground();
+  return store;
+}
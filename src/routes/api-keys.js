@@ -0,0 +1,99 @@
+/**
+ * Administración de claves de API (requiere scope admin)
+ *
+ * POST   /admin/keys             → Crear clave (el token se muestra una sola vez)
+ * GET    /admin/keys             → Listar claves
+ * GET    /admin/keys/:id         → Info de una clave
+ * POST   /admin/keys/:id/update  → Cambiar nombre, scopes, límites, API key de OpenAI o modelo
+ * DELETE /admin/keys/:id         → Revocar clave
+ */
+
+import { Router } from 'express';
+import { log } from '../utils/logger.js';
+import { toPublicKey, ROOT_KEY_ID } from '../api-keys.js';
+
+export function createApiKeysRouter(apiKeys) {
+  const router = Router();
+
+  // ─────────────────────────────────────────────
+  //  POST /admin/keys - Crear clave
+  // ─────────────────────────────────────────────
+  /**
+   * Body (JSON):
+   * {
+   *   "name": "Proyecto Tienda",             // requerido
+   *   "scopes": ["sessions"],                // chat | sessions | admin (default: ["sessions"])
+   *   "max_sessions": 10,                    // sesiones simultáneas (0 = sin límite, null = MAX_SESSIONS)
+   *   "rate_limits": { "turns": "60/min" },   // opcional: sessions, turns, chat (default: RATE_LIMIT_*)
+   *   "openai_api_key": "sk-...",            // opcional, factura a la cuenta del cliente
+   *   "model": "gpt-4o-mini-realtime-preview" // opcional, modelo por defecto de sus sesiones
+   * }
+   */
+  router.post('/', async (req, res) => {
+    try {
+      const { name, scopes, max_sessions, rate_limits, openai_api_key, model } = req.body || {};
+      const { key, token } = await apiKeys.create({ name, scopes, max_sessions, rate_limits, openai_api_key, model });
+      res.status(201).json({
+        success: true,
+        key: toPublicKey(key),
+        token,
+        message: '⚠️ Guarda el token: no se vuelve a mostrar.',
+      });
+    } catch (err) {
+      log.error('[API] Error creando clave:', err.message);
+      const status = err.message.includes('inválid') ? 400 : 500;
+      res.status(status).json({ success: false, error: err.message });
+    }
+  });
+
+  // ─────────────────────────────────────────────
+  //  GET /admin/keys - Listar claves
+  // ─────────────────────────────────────────────
+  router.get('/', (req, res) => {
+    const keys = apiKeys.list().map(toPublicKey);
+    res.json({ success: true, keys, total: keys.length });
+  });
+
+  // ─────────────────────────────────────────────
+  //  GET /admin/keys/:id - Info de una clave
+  // ─────────────────────────────────────────────
+  router.get('/:id', (req, res) => {
+    // La clave raíz (BRIDGE_API_TOKEN) no se administra por la API: tampoco aparece en el listado
+    const key = req.params.id !== ROOT_KEY_ID && apiKeys.get(req.params.id);
+    if (!key) {
+      return res.status(404).json({ success: false, error: 'Clave no encontrada' });
+    }
+    res.json({ success: true, key: toPublicKey(key) });
+  });
+
+  // ─────────────────────────────────────────────
+  //  POST /admin/keys/:id/update - Modificar clave
+  // ─────────────────────────────────────────────
+  router.post('/:id/update', async (req, res) => {
+    try {
+      const { name, scopes, max_sessions, rate_limits, openai_api_key, model } = req.body || {};
+      const key = await apiKeys.update(req.params.id, { name, scopes, max_sessions, rate_limits, openai_api_key, model });
+      res.json({ success: true, key: toPublicKey(key) });
+    } catch (err) {
+      log.error('[API] Error actualizando clave:', err.message);
+      const status = err.message.includes('no encontrada') ? 404 :
+                     err.message.includes('inválid') ? 400 : 500;
+      res.status(status).json({ success: false, error: err.message });
+    }
+  });
+
+  // ─────────────────────────────────────────────
+  //  DELETE /admin/keys/:id - Revocar clave
+  // ─────────────────────────────────────────────
+  router.delete('/:id', async (req, res) => {
+    try {
+      const key = await apiKeys.delete(req.params.id);
+      res.json({ success: true, key: toPublicKey(key), message: 'Clave revocada' });
+    } catch (err) {
+      const status = err.message.includes('no encontrada') ? 404 : 500;
+      res.status(status).json({ success: false, error: err.message });
+    }
+  });
+
+  return router;
+}
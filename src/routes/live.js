@@ -0,0 +1,146 @@
+/**
+ * Endpoint WebSocket full-duplex para audio en vivo
+ *
+ * WS /api/v1/sessions/:id/live
+ *
+ * El cliente transmite el micrófono de forma continua y el server VAD de OpenAI
+ * decide los turnos (manos libres, sin push-to-talk).
+ *
+ * Cliente → Bridge:
+ *   - Frames binarios: PCM16 24kHz mono raw
+ *   - { "type": "audio", "audio": "<PCM16 base64>" }
+ *   - { "type": "commit" }   → cierra el turno manualmente y pide respuesta
+ *   - { "type": "cancel" }   → cancela la respuesta en curso
+ *
+ * Bridge → Cliente (JSON):
+ *   - { "type": "ready", "session_id", "audio_format": "pcm16", "sample_rate": 24000 }
+ *   - { "type": "speech_started" } → el usuario empezó a hablar: cortar la reproducción
+ *   - { "type": "speech_stopped" }
+ *   - { "type": "input_transcript", "transcript" }
+ *   - { "type": "audio.delta", "delta": "<PCM16 base64>" }
+ *   - { "type": "transcript.delta", "delta" } / { "type": "text.delta", "delta" }
+ *   - { "type": "response.done", "response_text" }
+ *   - { "type": "error", "error" }
+ *   - { "type": "session.reconnecting", "reason" } / { "type": "session.reconnected", "reconnect_count" }
+ *     → se cayó la conexión con OpenAI; el audio enviado mientras reconecta se descarta
+ *   - { "type": "session.closed", "reason" }
+ *
+ * Autenticación: header Authorization / X-API-Token, o `?token=` (los navegadores
+ * no pueden enviar headers en un WebSocket).
+ */
+
+import { WebSocketServer } from 'ws';
+import { log } from '../utils/logger.js';
+import { canAccessSession } from '../api-keys.js';
+
+const LIVE_PATH = /^\/api\/v1\/sessions\/([^/]+)\/live\/?$/;
+
+/**
+ * Crea el manejador de upgrades para el endpoint en vivo
+ * @param {SessionManager} sessionManager
+ * @param {Object} options
+ * @param {Function} options.authenticate - (req, url) => clave de API, o null si no es válida
+ * @returns {Function} (req, socket, head) => boolean (true si la ruta le corresponde)
+ */
+export function createLiveUpgradeHandler(sessionManager, { authenticate }) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 5 * 1024 * 1024 });
+
+  return (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(LIVE_PATH);
+    if (!match) return false;
+
+    const key = authenticate(req, url);
+    if (!key) {
+      rejectUpgrade(socket, 401, 'Unauthorized');
+      return true;
+    }
+
+    // Una sesión de otra clave responde igual que una inexistente.
+    // La sesión puede estar persistida pero inactiva: se restaura antes del upgrade.
+    const sessionId = decodeURIComponent(match[1]);
+    sessionManager.getSessionOwner(sessionId)
+      .then((ownerId) => {
+        if (ownerId === undefined || !canAccessSession(key, ownerId)) return null;
+        return sessionManager.restoreSession(sessionId);
+      })
+      .then((session) => {
+        if (!session) {
+          rejectUpgrade(socket, 404, 'Not Found');
+          return;
+        }
+        wss.handleUpgrade(req, socket, head, (client) => {
+          handleLiveClient(client, sessionId, sessionManager);
+        });
+      })
+      .catch((err) => {
+        log.error(`[Session ${sessionId}] No se pudo restaurar para el cliente en vivo:`, err.message);
+        if (err.message.startsWith('Límite de sesiones')) {
+          rejectUpgrade(socket, 429, 'Too Many Requests');
+        } else {
+          rejectUpgrade(socket, 502, 'Bad Gateway');
+        }
+      });
+    return true;
+  };
+}
+
+function handleLiveClient(client, sessionId, sessionManager) {
+  const send = (event) => {
+    if (client.readyState === client.OPEN) {
+      client.send(JSON.stringify(event));
+    }
+  };
+
+  let detach;
+  try {
+    detach = sessionManager.attachLiveListener(sessionId, (event) => {
+      send(event);
+      if (event.type === 'session.closed') {
+        client.close(1000, 'Sesión cerrada');
+      }
+    });
+  } catch (err) {
+    send({ type: 'error', error: err.message });
+    client.close(1011, 'Sesión no disponible');
+    return;
+  }
+
+  send({ type: 'ready', session_id: sessionId, audio_format: 'pcm16', sample_rate: 24000 });
+
+  client.on('message', (data, isBinary) => {
+    try {
+      if (isBinary) {
+        sessionManager.appendAudio(sessionId, Buffer.from(data).toString('base64'));
+        return;
+      }
+
+      const message = JSON.parse(data.toString());
+      switch (message.type) {
+        case 'audio':
+          if (message.audio) sessionManager.appendAudio(sessionId, message.audio);
+          break;
+        case 'commit':
+          sessionManager.commitAudio(sessionId);
+          break;
+        case 'cancel':
+          sessionManager.cancelResponse(sessionId);
+          break;
+        default:
+          send({ type: 'error', error: `Tipo de mensaje no soportado: ${message.type}` });
+      }
+    } catch (err) {
+      send({ type: 'error', error: err.message });
+    }
+  });
+
+  client.on('close', () => detach());
+  client.on('error', (err) => {
+    log.warn(`[Session ${sessionId}] Error en cliente en vivo:`, err.message);
+  });
+}
+
+function rejectUpgrade(socket, status, message) {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
@@ -0,0 +1,135 @@
+/**
+ * Perfiles de agente (presets de sesión con nombre; ver agent-profiles.js)
+ *
+ * GET    /profiles               → Listar perfiles
+ * GET    /profiles/:name         → Info de un perfil y sus sesiones activas por versión
+ * POST   /profiles               → Crear perfil (requiere scope admin)
+ * POST   /profiles/:name/update  → Modificar perfil; incrementa la versión (requiere scope admin)
+ * DELETE /profiles/:name         → Eliminar perfil (requiere scope admin)
+ *
+ * Las sesiones se crean con POST /sessions { "profile": "<name>", ... }.
+ */
+
+import { Router } from 'express';
+import { log } from '../utils/logger.js';
+import { hasScope } from '../api-keys.js';
+import { toPublicProfile, pickProfileFields } from '../agent-profiles.js';
+
+/**
+ * @param {AgentProfileRegistry} profiles
+ * @param {SessionManager} sessionManager
+ */
+export function createProfilesRouter(profiles, sessionManager) {
+  const router = Router();
+
+  // Las claves con scope sessions usan los perfiles; solo admin los modifica
+  const requireAdmin = (req, res, next) => {
+    if (!hasScope(req.apiKey, 'admin')) {
+      return res.status(403).json({
+        success: false,
+        error: `La clave "${req.apiKey.name}" no tiene el scope "admin"`,
+      });
+    }
+    next();
+  };
+
+  // ─────────────────────────────────────────────
+  //  GET /profiles - Listar perfiles
+  // ─────────────────────────────────────────────
+  router.get('/', (req, res) => {
+    const list = profiles.list().map(toPublicProfile);
+    res.json({ success: true, profiles: list, total: list.length });
+  });
+
+  // ─────────────────────────────────────────────
+  //  GET /profiles/:name - Info de un perfil
+  // ─────────────────────────────────────────────
+  /**
+   * Respuesta: { success, profile, active_sessions: { "<version>": [session_id, ...] } }
+   * Las sesiones activas son las de la clave (admin ve todas): las que están en una
+   * versión anterior a `profile.version` siguen con el prompt viejo.
+   */
+  router.get('/:name', async (req, res) => {
+    try {
+      const profile = profiles.get(req.params.name);
+      if (!profile) {
+        return res.status(404).json({ success: false, error: 'Perfil no encontrado' });
+      }
+      const sessions = await sessionManager.listSessions({
+        profile: profile.name,
+        ...(!hasScope(req.apiKey, 'admin') && { ownerId: req.apiKey.id }),
+      });
+      const activeSessions = {};
+      for (const session of sessions) {
+        (activeSessions[session.profile.version] ??= []).push(session.session_id);
+      }
+      res.json({ success: true, profile: toPublicProfile(profile), active_sessions: activeSessions });
+    } catch (err) {
+      log.error('[API] Error consultando perfil:', err.message);
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // ─────────────────────────────────────────────
+  //  POST /profiles - Crear perfil
+  // ─────────────────────────────────────────────
+  /**
+   * Body (JSON):
+   * {
+   *   "name": "ventas",                           // requerido: minúsculas, números, _ o -
+   *   "description": "Agente de ventas de la tienda", // opcional
+   *   "instructions": "Eres un agente de ventas...",  // opcional (default: DEFAULT_INSTRUCTIONS)
+   *   "voice": "coral",                           // opcional (default: OPENAI_VOICE)
+   *   "greeting": "¡Hola! Soy Ana, ¿en qué te ayudo?", // opcional, primer mensaje del asistente
+   *   "tools": [...],                             // opcional, igual que en POST /sessions
+   *   "turn_detection": { ... },                  // opcional, configuración Realtime
+   *   "temperature": 0.7                          // (mismos campos que POST /sessions)
+   * }
+   */
+  router.post('/', requireAdmin, async (req, res) => {
+    try {
+      const profile = await profiles.create(pickProfileFields(req.body || {}));
+      res.status(201).json({ success: true, profile: toPublicProfile(profile) });
+    } catch (err) {
+      log.error('[API] Error creando perfil:', err.message);
+      const status = err.message.includes('ya existe') ? 409 :
+                     err.message.includes('inválid') ? 400 : 500;
+      res.status(status).json({ success: false, error: err.message });
+    }
+  });
+
+  // ─────────────────────────────────────────────
+  //  POST /profiles/:name/update - Modificar perfil
+  // ─────────────────────────────────────────────
+  /**
+   * Body: los campos a cambiar (null borra instructions, voice, greeting o description).
+   * Las sesiones activas no cambian; las nuevas usan la versión nueva.
+   */
+  router.post('/:name/update', requireAdmin, async (req, res) => {
+    try {
+      const { name, ...changes } = pickProfileFields(req.body || {});
+      const profile = await profiles.update(req.params.name, changes);
+      res.json({ success: true, profile: toPublicProfile(profile) });
+    } catch (err) {
+      log.error('[API] Error actualizando perfil:', err.message);
+      const status = err.message.includes('no encontrado') ? 404 :
+                     err.message.includes('inválid') ? 400 : 500;
+      res.status(status).json({ success: false, error: err.message });
+    }
+  });
+
+  // ─────────────────────────────────────────────
+  //  DELETE /profiles/:name - Eliminar perfil
+  // ─────────────────────────────────────────────
+  router.delete('/:name', requireAdmin, async (req, res) => {
+    try {
+      const profile = await profiles.delete(req.params.name);
+      res.json({ success: true, profile: toPublicProfile(profile), message: 'Perfil eliminado' });
+    } catch (err) {
+      const status = err.message.includes('no encontrado') ? 404 : 500;
+      res.status(status).json({ success: false, error: err.message });
+    }
+  });
+
+  return router;
+}
@@ -5,43 +5,120 @@
  * BASE URL: http://localhost:3030/api/v1
  * 
  * POST   /sessions              → Crear nueva sesión
- * GET    /sessions              → Listar sesiones activas
+ * GET    /sessions              → Listar sesiones activas (?profile= filtra por perfil de agente)
  * GET    /sessions/:id          → Info de una sesión
  * DELETE /sessions/:id          → Cerrar sesión
  * POST   /sessions/:id/text     → Enviar texto, recibir respuesta
  * POST   /sessions/:id/audio    → Enviar audio, recibir respuesta
  * POST   /sessions/:id/update   → Actualizar instrucciones
- * GET    /sessions/:id/history  → Historial de conversación
+ * GET    /sessions/:id/history  → Historial de conversación (JSON o ?format=txt|markdown|csv|srt|vtt)
+ * GET    /sessions/:id/recording → Grabación en WAV (sesiones creadas con record: true)
+ * GET    /sessions/:id/items    → Items de la conversación en OpenAI
+ * POST   /sessions/:id/items    → Insertar un mensaje sin pedir respuesta
+ * DELETE /sessions/:id/items/:itemId          → Eliminar un item
+ * POST   /sessions/:id/items/:itemId/truncate → Truncar el audio de una respuesta
+ *
+ * /text y /audio aceptan `?stream=true` (o `Accept: text/event-stream`)
+ * para recibir la respuesta como Server-Sent Events a medida que se genera.
  */
 
 import { Router } from 'express';
+import { pipeline } from 'stream/promises';
 import { log } from '../utils/logger.js';
-import { pcm16ToWavBase64, wavBase64ToPcm16Base64, isValidBase64 } from '../utils/audio.js';
+import {
+  pcm16ToWavBase64,
+  isValidBase64,
+  resolveAudioFormat,
+  decodeAudioBase64ToPcm16,
+  encodePcm16Base64ToAudio,
+  createAudioEncoder,
+  parseAudioFormat,
+} from '../utils/audio.js';
+import { wantsEventStream, openEventStream } from '../utils/sse.js';
+import { pickSessionConfig } from '../utils/session-config.js';
+import { canAccessSession, hasScope } from '../api-keys.js';
+import { TRANSCRIPT_FORMATS, resolveTranscriptFormat, formatTranscript } from '../utils/transcript.js';
 
-export function createSessionsRouter(sessionManager) {
+/**
+ * @param {SessionManager} sessionManager
+ * @param {Object} options
+ * @param {Function} options.rateLimit - (nombre) => middleware de rate limiting ("sessions" | "turns")
+ * @param {ClusterWorker|null} options.cluster - En modo cluster, para reenviar al worker que ganó
+ *   la restauración de una sesión
+ */
+export function createSessionsRouter(sessionManager, { rateLimit, cluster = null }) {
   const router = Router();
 
+  // Cada clave solo ve sus propias sesiones (salvo admin): una sesión ajena responde
+  // igual que una inexistente. Las sesiones persistidas que no están activas
+  // (ej: tras un reinicio del bridge) se reabren antes de atender las rutas que envían
+  // algo a OpenAI. Las lecturas (info, historial, items, grabación) salen del store y
+  // cerrar la sesión no necesita reconectar.
+  router.param('id', async (req, res, next, id) => {
+    try {
+      const ownerId = await sessionManager.getSessionOwner(id);
+      if (ownerId !== undefined && !canAccessSession(req.apiKey, ownerId)) {
+        return res.status(404).json({ success: false, error: 'Sesión no encontrada' });
+      }
+      const closing = req.method === 'DELETE' && req.path.split('/').length === 2; // DELETE /:id
+      if (closing || req.method === 'GET') return next();
+      await sessionManager.restoreSession(id);
+      next();
+    } catch (err) {
+      // Otro worker restauró la sesión al mismo tiempo: el request se atiende allí
+      if (cluster && err.message.includes('en otro worker') && await cluster.forwardParsed(req, res, id).catch(() => false)) return;
+      log.error(`[API] Error restaurando sesión ${id}:`, err.message);
+      const status = err.message.startsWith('Límite de sesiones') ? 429 : 502;
+      res.status(status).json({ success: false, error: `No se pudo restaurar la sesión: ${err.message}` });
+    }
+  });
+
   // ─────────────────────────────────────────────
   //  POST /sessions - Crear nueva sesión
   // ─────────────────────────────────────────────
   /**
    * Body (JSON):
    * {
-   *   "instructions": "Eres un agente de ventas...",  // opcional
+   *   "profile": "ventas",                            // opcional, perfil de agente (GET /profiles);
+   *                                                   // los demás campos lo sobrescriben
+   *   "instructions": "Atiendes a {{metadata.customer_name}}...", // opcional; admite variables
+   *                                                   // (ver utils/templates.js)
    *   "voice": "alloy",                               // opcional
+   *   "greeting": "¡Hola! ¿En qué te ayudo?",         // opcional, primer mensaje del asistente (null = sin saludo)
    *   "session_id": "mi-sesion-123",                  // opcional, para ID personalizado
-   *   "metadata": { "user_id": "123", "canal": "whatsapp" }  // opcional
+   *   "metadata": { "user_id": "123", "canal": "whatsapp" }, // opcional
+   *   "tools": [{                                     // opcional, function calling
+   *     "name": "consultar_pedido",
+   *     "description": "Consulta el estado de un pedido",
+   *     "parameters": { "type": "object", "properties": { "numero": { "type": "string" } } },
+   *     "webhook_url": "https://n8n.midominio.com/webhook/consultar-pedido"
+   *   }],
+   *   "turn_detection": { "type": "semantic_vad", "eagerness": "low" }, // opcional, configuración
+   *   "temperature": 0.7,                              // Realtime: ver utils/session-config.js
+   *   "max_response_output_tokens": 500,
+   *   "transcription": { "model": "whisper-1", "language": "es" },
+   *   "noise_reduction": "near_field",
+   *   "modalities": ["text", "audio"],
+   *   "webhook_url": "https://n8n.midominio.com/webhook/eventos-voz", // opcional, eventos del ciclo de vida
+   *   "record": true                                   // opcional, graba el audio (GET /sessions/:id/recording)
    * }
    */
-  router.post('/', async (req, res) => {
+  router.post('/', rateLimit('sessions'), async (req, res) => {
     try {
-      const { instructions, voice, session_id, metadata } = req.body || {};
+      const { profile, instructions, voice, greeting, session_id, metadata, tools, webhook_url, record } = req.body || {};
 
       const result = await sessionManager.createSession({
+        profile,
+        greeting,
         instructions,
         voice,
         sessionId: session_id,
         metadata,
+        tools,
+        webhookUrl: webhook_url,
+        config: pickSessionConfig(req.body),
+        owner: req.apiKey,
+        record,
       });
 
       log.info(`[API] Sesión creada: ${result.session_id}`);
@@ -53,36 +130,53 @@ export function createSessionsRouter(sessionManager) {
           send_text: `POST /api/v1/sessions/${result.session_id}/text`,
           send_audio: `POST /api/v1/sessions/${result.session_id}/audio`,
           get_history: `GET /api/v1/sessions/${result.session_id}/history`,
+          ...(result.record && { get_recording: `GET /api/v1/sessions/${result.session_id}/recording` }),
           close: `DELETE /api/v1/sessions/${result.session_id}`,
         },
       });
     } catch (err) {
       log.error('[API] Error creando sesión:', err.message);
-      res.status(500).json({ success: false, error: err.message });
+      const status = err.message.includes('inválid') ? 400 :
+                     err.message.includes('ya está en uso') ? 409 :
+                     err.message.startsWith('Límite de sesiones') ? 429 : 500;
+      res.status(status).json({ success: false, error: err.message });
     }
   });
 
   // ─────────────────────────────────────────────
-  //  GET /sessions - Listar sesiones activas
+  //  GET /sessions - Listar sesiones activas (de la clave; admin ve todas)
   // ─────────────────────────────────────────────
-  router.get('/', (req, res) => {
-    const sessions = sessionManager.listSessions();
-    res.json({
-      success: true,
-      sessions,
-      total: sessions.length,
-    });
+  router.get('/', async (req, res) => {
+    try {
+      const sessions = await sessionManager.listSessions({
+        ...(!hasScope(req.apiKey, 'admin') && { ownerId: req.apiKey.id }),
+        ...(req.query.profile && { profile: String(req.query.profile) }),
+      });
+      res.json({
+        success: true,
+        sessions,
+        total: sessions.length,
+      });
+    } catch (err) {
+      log.error('[API] Error listando sesiones:', err.message);
+      res.status(500).json({ success: false, error: err.message });
+    }
   });
 
   // ─────────────────────────────────────────────
   //  GET /sessions/:id - Info de sesión
   // ─────────────────────────────────────────────
-  router.get('/:id', (req, res) => {
-    const session = sessionManager.getSession(req.params.id);
-    if (!session) {
-      return res.status(404).json({ success: false, error: 'Sesión no encontrada' });
+  // Una sesión guardada que no está conectada aparece con status "closed"
+  router.get('/:id', async (req, res) => {
+    try {
+      const session = await sessionManager.getSessionInfo(req.params.id);
+      if (!session) {
+        return res.status(404).json({ success: false, error: 'Sesión no encontrada' });
+      }
+      res.json({ success: true, session });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
     }
-    res.json({ success: true, session });
   });
 
   // ─────────────────────────────────────────────
@@ -107,7 +201,10 @@ export function createSessionsRouter(sessionManager) {
    * Body (JSON):
    * {
    *   "message": "¿Cuál es el precio del producto X?",
-   *   "return_audio": false    // opcional, si quieres audio de respuesta
+   *   "return_audio": false,   // opcional, si quieres audio de respuesta
+   *   "response_audio_format": "ulaw_8000", // opcional, default "pcm16" (24kHz)
+   *   "response_schema": { "type": "object", ... }, // opcional: respuesta en JSON con este JSON Schema
+   *   "max_retries": 2         // opcional, reintentos si no cumple (default RESPONSE_SCHEMA_MAX_RETRIES)
    * }
    * 
    * Respuesta:
@@ -118,13 +215,23 @@ export function createSessionsRouter(sessionManager) {
    *   "session_id": "...",
    *   "request_id": "...",
    *   "audio_base64": "...",   // solo si return_audio=true
-   *   "audio_format": "pcm16",
-   *   "audio_wav_base64": "..." // WAV listo para reproducir, solo si return_audio=true
+   *   "audio_format": "pcm16",   // el pedido en response_audio_format
+   *   "audio_sample_rate": 24000,
+   *   "audio_wav_base64": "...", // WAV PCM16 24kHz listo para reproducir, solo si return_audio=true
+   *   "tool_calls": [...],       // solo si el modelo ejecutó herramientas en este turno
+   *   "response_json": {...},    // solo con response_schema: la respuesta interpretada y validada
+   *   "schema_retries": 0        // solo con response_schema: reintentos que hicieron falta
    * }
+   *
+   * Streaming (?stream=true): eventos SSE text.delta, transcript.delta, audio.delta,
+   * tool_call, schema_retry (descartar el texto recibido hasta ahora) y un evento
+   * final done con el mismo resumen (sin el audio completo).
+   * Los audio.delta llegan en response_audio_format (salvo "wav": PCM16 24kHz).
    */
-  router.post('/:id/text', async (req, res) => {
+  router.post('/:id/text', rateLimit('turns'), async (req, res) => {
+    let stream = null;
     try {
-      const { message, return_audio } = req.body || {};
+      const { message, return_audio, response_audio_format, response_schema, max_retries } = req.body || {};
 
       if (!message || typeof message !== 'string' || message.trim() === '') {
         return res.status(400).json({
@@ -133,20 +240,33 @@ export function createSessionsRouter(sessionManager) {
         });
       }
 
+      const outputFormat = parseAudioFormat(response_audio_format, 'response_audio_format');
+
+      stream = wantsEventStream(req) ? openEventStream(res) : null;
+      const audioEvents = stream && transcodeAudioEvents(stream.send, outputFormat);
+
       const result = await sessionManager.sendText(req.params.id, message.trim(), {
         returnAudio: !!return_audio,
+        responseSchema: response_schema,
+        maxRetries: max_retries,
+        onEvent: audioEvents?.send,
       });
 
-      // Si hay audio, también proveer versión WAV lista para usar
-      if (result.audio_base64) {
-        result.audio_wav_base64 = pcm16ToWavBase64(result.audio_base64);
+      applyResponseAudioFormat(result, outputFormat);
+      if (stream) {
+        audioEvents.flush();
+        return stream.done(result);
       }
 
       res.json({ success: true, ...result });
     } catch (err) {
       log.error('[API] Error enviando texto:', err.message);
-      const status = err.message.includes('no encontrada') ? 404 :
-                     err.message.includes('Timeout') ? 408 : 500;
+      // Primero 502: el mensaje incluye el texto del modelo, que puede contener cualquier cosa
+      const status = err.message.startsWith('Respuesta fuera del schema') ? 502 :
+                     err.message.includes('no encontrada') ? 404 :
+                     err.message.includes('Timeout') ? 408 :
+                     err.message.includes('inválid') ? 400 : 500;
+      if (stream?.fail(status, err.message)) return;
       res.status(status).json({ success: false, error: err.message });
     }
   });
@@ -157,9 +277,11 @@ export function createSessionsRouter(sessionManager) {
   /**
    * Body (JSON):
    * {
-   *   "audio_base64": "UklGRiQ...",    // PCM16 o WAV en base64
-   *   "audio_format": "wav",            // "pcm16" (default) o "wav"
-   *   "return_audio": true              // opcional, default true
+   *   "audio_base64": "UklGRiQ...",    // audio en base64
+   *   "audio_format": "wav",            // "pcm16" (24kHz, default), "pcm16_8000|16000|44100|48000",
+   *                                     // "ulaw_8000", "alaw_8000" o "wav"
+   *   "return_audio": true,             // opcional, default: true si la sesión tiene modalities con "audio"
+   *   "response_audio_format": "pcm16"  // opcional, mismos valores que audio_format
    * }
    * 
    * Respuesta:
@@ -167,14 +289,21 @@ export function createSessionsRouter(sessionManager) {
    *   "success": true,
    *   "response_text": "Respuesta del asistente...",
    *   "input_transcript": "Lo que dijo el usuario (transcripción)...",
-   *   "audio_base64": "...",        // PCM16 si return_audio=true
-   *   "audio_wav_base64": "...",    // WAV listo para reproducir
+   *   "audio_base64": "...",        // en response_audio_format, si return_audio=true
+   *   "audio_format": "pcm16",
+   *   "audio_sample_rate": 24000,
+   *   "audio_wav_base64": "...",    // WAV PCM16 24kHz listo para reproducir
+   *   "tool_calls": [...],          // solo si el modelo ejecutó herramientas
    *   "duration_ms": 2100
    * }
+   *
+   * Streaming (?stream=true): igual que /text, más el evento input_transcript
+   * con la transcripción del audio del usuario.
    */
-  router.post('/:id/audio', async (req, res) => {
+  router.post('/:id/audio', rateLimit('turns'), async (req, res) => {
+    let stream = null;
     try {
-      const { audio_base64, audio_format, return_audio } = req.body || {};
+      const { audio_base64, audio_format, return_audio, response_audio_format } = req.body || {};
 
       if (!audio_base64) {
         return res.status(400).json({
@@ -190,63 +319,157 @@ export function createSessionsRouter(sessionManager) {
         });
       }
 
-      // Convertir WAV a PCM16 si es necesario
-      let pcm16Base64 = audio_base64;
-      if (audio_format === 'wav') {
-        pcm16Base64 = wavBase64ToPcm16Base64(audio_base64);
-      }
+      const inputFormat = parseAudioFormat(audio_format, 'audio_format');
+      const outputFormat = parseAudioFormat(response_audio_format, 'response_audio_format');
+
+      // OpenAI recibe siempre PCM16 24kHz mono: G.711, otros sample rates y WAV
+      // (cualquier canal o formato de muestra soportado por parseWav) se convierten aquí
+      const pcm16Base64 = decodeAudioBase64ToPcm16(audio_base64, inputFormat);
+
+      stream = wantsEventStream(req) ? openEventStream(res) : null;
+      const audioEvents = stream && transcodeAudioEvents(stream.send, outputFormat);
 
       const result = await sessionManager.sendAudio(req.params.id, pcm16Base64, {
-        returnAudio: return_audio !== false,
+        returnAudio: return_audio, // default: según las modalities de la sesión
+        onEvent: audioEvents?.send,
       });
 
-      if (result.audio_base64) {
-        result.audio_wav_base64 = pcm16ToWavBase64(result.audio_base64);
+      applyResponseAudioFormat(result, outputFormat);
+      if (stream) {
+        audioEvents.flush();
+        return stream.done(result);
       }
 
       res.json({ success: true, ...result });
     } catch (err) {
       log.error('[API] Error enviando audio:', err.message);
       const status = err.message.includes('no encontrada') ? 404 :
-                     err.message.includes('Timeout') ? 408 : 500;
+                     err.message.includes('Timeout') ? 408 :
+                     err.message.includes('inválid') ||
+                     err.message.startsWith('Audio WAV') ? 400 : 500;
+      if (stream?.fail(status, err.message)) return;
       res.status(status).json({ success: false, error: err.message });
     }
   });
 
   // ─────────────────────────────────────────────
-  //  POST /sessions/:id/update - Actualizar instrucciones
+  //  POST /sessions/:id/update - Actualizar instrucciones y configuración
   // ─────────────────────────────────────────────
   /**
-   * Body (JSON):
+   * Body (JSON), todos opcionales pero al menos uno:
    * {
    *   "instructions": "Nueva personalidad: eres un experto en marketing...",
-   *   "voice": "nova"   // opcional, cambiar voz (solo afecta futuras respuestas)
+   *   "metadata": { "plan": "pro", "canal": null }, // se combina con la actual (null borra la clave)
+   *   "voice": "coral",   // solo antes de que el asistente responda con audio
+   *   "turn_detection": { "type": "server_vad", "silence_duration_ms": 800 },
+   *   "temperature": 0.9,
+   *   ...                 // mismos campos de configuración que POST /sessions
    * }
+   *
+   * Respuesta: { success, session_id, updated: ["instructions", ...], config: {...} }
+   * Si se renderizaron las instrucciones (cambiaron ellas o la metadata que usan),
+   * incluye `missing_variables`.
    */
   router.post('/:id/update', async (req, res) => {
     try {
-      const { instructions, voice } = req.body || {};
+      const { instructions, voice, metadata } = req.body || {};
+      const changes = { instructions, voice, metadata, ...pickSessionConfig(req.body || {}) };
 
-      if (!instructions && !voice) {
+      if (Object.values(changes).every((value) => value === undefined)) {
         return res.status(400).json({
           success: false,
-          error: 'Provee al menos "instructions" o "voice" para actualizar',
+          error: 'Provee al menos un campo para actualizar ("instructions", "voice", "metadata" o configuración de la sesión)',
         });
       }
 
-      if (instructions) {
-        await sessionManager.updateInstructions(req.params.id, instructions);
-      }
+      const result = await sessionManager.updateSession(req.params.id, changes);
 
       res.json({
         success: true,
         message: 'Sesión actualizada',
-        session_id: req.params.id,
-        updated: { instructions: !!instructions, voice: !!voice },
+        ...result,
       });
     } catch (err) {
       log.error('[API] Error actualizando sesión:', err.message);
-      const status = err.message.includes('no encontrada') ? 404 : 500;
+      const status = err.message.includes('no encontrada') ? 404 :
+                     err.message.includes('inválid') ? 400 : 500;
+      res.status(status).json({ success: false, error: err.message });
+    }
+  });
+
+  // ─────────────────────────────────────────────
+  //  POST /sessions/:id/handoff - Transferir a otro agente
+  // ─────────────────────────────────────────────
+  /**
+   * Body (JSON), el nuevo agente: un perfil y/o sus campos (los campos sobrescriben al perfil)
+   * {
+   *   "profile": "facturacion",              // opcional
+   *   "instructions": "Eres el agente de facturación...", // requerido si el perfil no tiene
+   *   "voice": "echo",                       // opcional (default: la del perfil o la actual)
+   *   "tools": [...],                        // opcional (default: las del perfil o las actuales)
+   *   "temperature": 0.7,                    // opcional, mismos campos de configuración que POST /sessions
+   *   "summary": true,                       // opcional: el agente actual resume la conversación (default: true)
+   *   "reason": "Consulta sobre una factura" // opcional
+   * }
+   *
+   * Respuesta: { success, session_id, item_id, from, to, summary, reconnected, missing_variables }
+   * El session_id no cambia; la transferencia queda en el historial como mensaje de sistema.
+   */
+  router.post('/:id/handoff', async (req, res) => {
+    try {
+      const { profile, instructions, voice, tools, summary, reason } = req.body || {};
+      const result = await sessionManager.handoff(req.params.id, {
+        profile,
+        instructions,
+        voice,
+        tools,
+        config: pickSessionConfig(req.body || {}),
+        summary,
+        reason,
+      });
+      res.json({ success: true, ...result });
+    } catch (err) {
+      log.error('[API] Error en handoff:', err.message);
+      const status = err.message.includes('no encontrada') ? 404 :
+                     err.message.includes('Timeout') ? 408 :
+                     err.message.includes('inválid') ? 400 : 500;
+      res.status(status).json({ success: false, error: err.message });
+    }
+  });
+
+  // ─────────────────────────────────────────────
+  //  POST /sessions/:id/analyze - Analizar la conversación
+  // ─────────────────────────────────────────────
+  /**
+   * Body (JSON):
+   * {
+   *   "prompt": "Clasifica la intención y el sentimiento del usuario", // requerido
+   *   "schema": {                                 // opcional, JSON Schema del resultado
+   *     "type": "object",
+   *     "properties": {
+   *       "intent": { "type": "string", "enum": ["compra", "soporte", "otro"] },
+   *       "sentiment": { "type": "string", "enum": ["positivo", "neutral", "negativo"] }
+   *     },
+   *     "required": ["intent", "sentiment"]
+   *   }
+   * }
+   *
+   * Respuesta: { success, session_id, request_id, result: {...}, duration_ms, usage }
+   * Nada se agrega a la conversación ni al historial. Si el modelo no responde con
+   * JSON (o no cumple el schema), devuelve 502.
+   */
+  router.post('/:id/analyze', rateLimit('turns'), async (req, res) => {
+    try {
+      const { prompt, schema } = req.body || {};
+      const result = await sessionManager.analyze(req.params.id, { prompt, schema });
+      res.json({ success: true, ...result });
+    } catch (err) {
+      log.error('[API] Error analizando sesión:', err.message);
+      // Primero 502: el mensaje incluye el texto del modelo, que puede contener cualquier cosa
+      const status = err.message.startsWith('Análisis fallido') ? 502 :
+                     err.message.includes('no encontrada') ? 404 :
+                     err.message.includes('Timeout') ? 408 :
+                     err.message.includes('inválid') ? 400 : 500;
       res.status(status).json({ success: false, error: err.message });
     }
   });
@@ -254,15 +477,204 @@ export function createSessionsRouter(sessionManager) {
   // ─────────────────────────────────────────────
   //  GET /sessions/:id/history - Historial
   // ─────────────────────────────────────────────
-  router.get('/:id/history', (req, res) => {
+  /**
+   * Query:
+   *   format → json (default) | txt | markdown | csv | srt | vtt
+   *
+   * Cada mensaje incluye start_ms / end_ms: offsets desde el inicio de la sesión
+   * (los subtítulos srt/vtt se pueden superponer a GET /sessions/:id/recording).
+   */
+  router.get('/:id/history', async (req, res) => {
     try {
-      const history = sessionManager.getHistory(req.params.id);
-      res.json({ success: true, ...history });
+      const requested = req.query.format;
+      const format = requested === undefined || requested === 'json' ? 'json' : resolveTranscriptFormat(requested);
+      if (!format) {
+        return res.status(400).json({
+          success: false,
+          error: `El parámetro "format" es inválido: usa json, ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}`,
+        });
+      }
+
+      const history = await sessionManager.getHistory(req.params.id);
+      if (format === 'json') {
+        return res.json({ success: true, ...history });
+      }
+      res.type(TRANSCRIPT_FORMATS[format]).send(formatTranscript(history, format));
     } catch (err) {
       const status = err.message.includes('no encontrada') ? 404 : 500;
       res.status(status).json({ success: false, error: err.message });
     }
   });
 
+  // ─────────────────────────────────────────────
+  //  GET /sessions/:id/recording - Grabación
+  // ─────────────────────────────────────────────
+  /**
+   * Query:
+   *   track → stereo (default: usuario a la izquierda, asistente a la derecha) | user | assistant
+   *   info  → true para recibir la info de la grabación (duración por pista) en JSON en vez del WAV
+   *
+   * Disponible también después de cerrar la sesión, hasta RECORDING_RETENTION_MS.
+   */
+  router.get('/:id/recording', async (req, res) => {
+    try {
+      const track = req.query.track || 'stereo';
+      if (!RECORDING_FORMATS.includes(track)) {
+        return res.status(400).json({
+          success: false,
+          error: `El parámetro "track" es inválido: usa ${RECORDING_FORMATS.join(', ')}`,
+        });
+      }
+
+      // La sesión pudo cerrarse: la propiedad se verifica con la metadata de la grabación
+      const recording = await sessionManager.recordings.get(req.params.id);
+      if (!recording || !canAccessSession(req.apiKey, recording.owner_id)) {
+        return res.status(404).json({ success: false, error: 'Grabación no encontrada' });
+      }
+      if (req.query.info === 'true') {
+        return res.json({ success: true, recording });
+      }
+
+      const wav = await sessionManager.recordings.openWav(req.params.id, track);
+      res.set({
+        'Content-Type': 'audio/wav',
+        'Content-Length': String(wav.contentLength),
+        'Content-Disposition': `attachment; filename="recording-${track}.wav"`,
+      });
+      await pipeline(wav.stream, res);
+    } catch (err) {
+      log.error(`[API] Error enviando grabación de ${req.params.id}:`, err.message);
+      if (!res.headersSent) {
+        res.status(500).json({ success: false, error: err.message });
+      } else {
+        res.destroy();
+      }
+    }
+  });
+
+  // ─────────────────────────────────────────────
+  //  Items de la conversación en OpenAI
+  // ─────────────────────────────────────────────
+  /**
+   * GET /sessions/:id/items
+   * Respuesta: { success, session_id, items: [{ item_id, type, role, status, text, content_types, ... }], total }
+   *
+   * Los item_id son los mismos que el historial guarda en cada mensaje (`item_id`)
+   */
+  router.get('/:id/items', async (req, res) => {
+    try {
+      res.json({ success: true, ...await sessionManager.listItems(req.params.id) });
+    } catch (err) {
+      res.status(itemErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  });
+
+  /**
+   * POST /sessions/:id/items - Insertar un mensaje sin generar respuesta
+   * Body (JSON):
+   * {
+   *   "role": "system",                  // system | assistant | user
+   *   "content": "Cliente VIP, 3 pedidos abiertos...",
+   *   "previous_item_id": "item_abc..."  // opcional: "root" = al inicio; default: al final
+   * }
+   *
+   * Respuesta: { success, session_id, item_id, role, content, previous_item_id }
+   */
+  router.post('/:id/items', async (req, res) => {
+    try {
+      const { role, content, previous_item_id: previousItemId } = req.body || {};
+      const result = await sessionManager.injectItem(req.params.id, { role, content, previousItemId });
+      res.status(201).json({ success: true, ...result });
+    } catch (err) {
+      log.error('[API] Error insertando item:', err.message);
+      res.status(itemErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  });
+
+  /**
+   * DELETE /sessions/:id/items/:itemId
+   * Quita el item de la conversación en OpenAI y su mensaje del historial
+   */
+  router.delete('/:id/items/:itemId', async (req, res) => {
+    try {
+      const result = await sessionManager.deleteItem(req.params.id, req.params.itemId);
+      res.json({ success: true, ...result });
+    } catch (err) {
+      log.error('[API] Error eliminando item:', err.message);
+      res.status(itemErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  });
+
+  /**
+   * POST /sessions/:id/items/:itemId/truncate - Cortar el audio de una respuesta
+   * Body (JSON):
+   * {
+   *   "audio_end_ms": 1500,  // hasta dónde lo escuchó el usuario
+   *   "content_index": 0     // opcional
+   * }
+   *
+   * Respuesta: { success, session_id, item_id, audio_end_ms, content } (content = texto escuchado)
+   */
+  router.post('/:id/items/:itemId/truncate', async (req, res) => {
+    try {
+      const { audio_end_ms: audioEndMs, content_index: contentIndex } = req.body || {};
+      const result = await sessionManager.truncateItem(req.params.id, req.params.itemId, { audioEndMs, contentIndex });
+      res.json({ success: true, ...result });
+    } catch (err) {
+      log.error('[API] Error truncando item:', err.message);
+      res.status(itemErrorStatus(err)).json({ success: false, error: err.message });
+    }
+  });
+
   return router;
 }
+
+function itemErrorStatus(err) {
+  if (err.message.includes('no encontrad')) return 404;
+  if (err.message.includes('Timeout')) return 408;
+  if (err.message.includes('inválid')) return 400;
+  return 500;
+}
+
+const RECORDING_FORMATS = ['stereo', 'user', 'assistant'];
+
+// ─────────────────────────────────────────────
+//  Formatos de audio de entrada/salida
+// ─────────────────────────────────────────────
+
+/**
+ * Envuelve el onEvent del stream SSE para que los audio.delta salgan en el formato pedido.
+ * Con "wav" los deltas se mantienen en PCM16 24kHz (un WAV por fragmento no es reproducible en cadena).
+ * flush() envía el final del audio que el remuestreo retuvo; va antes del evento done.
+ */
+function transcodeAudioEvents(send, format) {
+  if (format === 'pcm16' || format === 'wav') return { send, flush: () => {} };
+  const encoder = createAudioEncoder(format);
+  return {
+    send: (event) => {
+      if (event.type === 'audio.delta' && event.delta) {
+        return send({ ...event, delta: encoder.encode(event.delta) });
+      }
+      return send(event);
+    },
+    flush: () => {
+      const delta = encoder.flush();
+      if (delta) send({ type: 'audio.delta', delta });
+    },
+  };
+}
+
+/**
+ * Convierte el audio final del turno al formato pedido y agrega la versión WAV
+ */
+function applyResponseAudioFormat(result, format) {
+  if (!result.audio_base64) return;
+
+  // Si hay audio, también proveer versión WAV lista para usar
+  result.audio_wav_base64 = pcm16ToWavBase64(result.audio_base64);
+  if (format === 'pcm16') return;
+
+  result.audio_base64 = encodePcm16Base64ToAudio(result.audio_base64, format);
+  result.audio_format = format;
+  result.audio_sample_rate = resolveAudioFormat(format).sampleRate;
+}
@@ -0,0 +1,288 @@
+/**
+ * Adaptador de telefonía para Twilio Media Streams
+ *
+ * POST /api/v1/twilio/twiml          → Documento TwiML <Connect><Stream> para una llamada entrante
+ * WS   /api/v1/twilio/media-stream   → WebSocket que habla el protocolo de Twilio Media Streams
+ *                                      (/media-stream/:session_id si la llamada reusa una sesión,
+ *                                      para que el modo cluster la conecte al worker dueño)
+ *
+ * Twilio envía y recibe audio G.711 μ-law a 8kHz en base64. El bridge lo convierte
+ * a PCM16 24kHz para la sesión de OpenAI y viceversa. Los turnos los decide el
+ * server VAD; cuando el llamante empieza a hablar se envía `clear` a Twilio
+ * para vaciar el audio pendiente de reproducir (barge-in).
+ *
+ * Configuración en Twilio: en el número de teléfono, "A call comes in" →
+ * Webhook POST https://<tu-dominio>/api/v1/twilio/twiml?token=<BRIDGE_API_TOKEN>
+ *
+ * Parámetros opcionales de /twiml (query o body): session_id (reusar una sesión
+ * existente), profile (perfil de agente; su saludo se dice al atender), instructions,
+ * voice, record (true = grabar la llamada).
+ */
+
+import { Router } from 'express';
+import { WebSocketServer } from 'ws';
+import { log } from '../utils/logger.js';
+import { mulawToPcm16, pcm16ToMulaw, createPcm16Resampler } from '../utils/audio.js';
+import { canAccessSession } from '../api-keys.js';
+
+const MEDIA_STREAM_PATH = '/api/v1/twilio/media-stream';
+const TWILIO_SAMPLE_RATE = 8000;
+const OPENAI_SAMPLE_RATE = 24000;
+
+/**
+ * Rutas HTTP (TwiML) para Twilio
+ * @param {Object} options
+ * @param {Function} options.authenticate - (token) => clave de API, o null si no es válida
+ */
+export function createTwilioRouter({ authenticate }) {
+  const router = Router();
+
+  router.post('/twiml', (req, res) => {
+    const params = { ...req.query, ...(req.body || {}) };
+
+    if (!authenticate(params.token)) {
+      return res.status(401).json({ success: false, error: 'Token de autenticación inválido o faltante' });
+    }
+
+    const baseStreamUrl = process.env.TWILIO_STREAM_URL || buildStreamUrl(req);
+    const streamUrl = params.session_id
+      ? `${baseStreamUrl.replace(/\/$/, '')}/${encodeURIComponent(params.session_id)}`
+      : baseStreamUrl;
+    const streamParameters = {
+      token: params.token,
+      session_id: params.session_id,
+      profile: params.profile,
+      instructions: params.instructions,
+      voice: params.voice,
+      record: params.record,
+      call_sid: params.CallSid,
+      from: params.From,
+      to: params.To,
+    };
+
+    const parameterTags = Object.entries(streamParameters)
+      .filter(([, value]) => value)
+      .map(([name, value]) => `      <Parameter name="${escapeXml(name)}" value="${escapeXml(String(value))}" />`)
+      .join('\n');
+
+    log.info(`[Twilio] TwiML para llamada ${params.CallSid || '(sin CallSid)'} → ${streamUrl}`);
+    res.type('text/xml').send(
+      '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<Response>\n' +
+      '  <Connect>\n' +
+      `    <Stream url="${escapeXml(streamUrl)}">\n` +
+      (parameterTags ? parameterTags + '\n' : '') +
+      '    </Stream>\n' +
+      '  </Connect>\n' +
+      '</Response>\n'
+    );
+  });
+
+  return router;
+}
+
+/**
+ * Manejador de upgrades para el WebSocket de Media Streams.
+ * Twilio no permite headers ni query en la URL del stream: la autenticación
+ * llega como <Parameter name="token"> en el evento `start`.
+ *
+ * @param {SessionManager} sessionManager
+ * @param {Object} options
+ * @param {Function} options.authenticate - (token) => clave de API, o null si no es válida
+ * @returns {Function} (req, socket, head) => boolean
+ */
+export function createTwilioUpgradeHandler(sessionManager, { authenticate }) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  return (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== MEDIA_STREAM_PATH && !pathname.startsWith(`${MEDIA_STREAM_PATH}/`)) return false;
+
+    wss.handleUpgrade(req, socket, head, (client) => {
+      handleMediaStream(client, sessionManager, authenticate);
+    });
+    return true;
+  };
+}
+
+function handleMediaStream(client, sessionManager, authenticate) {
+  const call = {
+    streamSid: null,
+    callSid: null,
+    sessionId: null,
+    ownsSession: false, // true si la sesión se creó para esta llamada (se cierra al colgar)
+    detach: null,
+    markCount: 0,
+    // Un remuestreador por sentido: los fragmentos de cada lado son partes de un mismo audio
+    inbound: null,  // llamante (8kHz) → OpenAI (24kHz)
+    outbound: null, // OpenAI (24kHz) → llamante (8kHz)
+  };
+
+  const sendToTwilio = (message) => {
+    if (client.readyState === client.OPEN) {
+      client.send(JSON.stringify({ streamSid: call.streamSid, ...message }));
+    }
+  };
+
+  const sendAudioToTwilio = (pcm8k) => {
+    if (pcm8k.length === 0) return;
+    sendToTwilio({ event: 'media', media: { payload: pcm16ToMulaw(pcm8k).toString('base64') } });
+  };
+
+  const onSessionEvent = (event) => {
+    switch (event.type) {
+      case 'audio.delta': {
+        if (!event.delta) break;
+        sendAudioToTwilio(call.outbound.push(Buffer.from(event.delta, 'base64')));
+        break;
+      }
+
+      // Barge-in: el llamante habla → descartar el audio que Twilio aún no reprodujo
+      // (incluido el que el remuestreador retiene de la respuesta interrumpida)
+      case 'speech_started':
+        call.outbound = createPcm16Resampler(OPENAI_SAMPLE_RATE, TWILIO_SAMPLE_RATE);
+        sendToTwilio({ event: 'clear' });
+        break;
+
+      // Marca para saber cuándo Twilio terminó de reproducir la respuesta
+      case 'response.done':
+        sendAudioToTwilio(call.outbound.flush());
+        call.outbound = createPcm16Resampler(OPENAI_SAMPLE_RATE, TWILIO_SAMPLE_RATE);
+        sendToTwilio({ event: 'mark', mark: { name: `response_${++call.markCount}` } });
+        break;
+
+      case 'session.closed':
+        client.close(1000, 'Sesión cerrada');
+        break;
+    }
+  };
+
+  const startCall = async (start) => {
+    const params = start.customParameters || {};
+    call.streamSid = start.streamSid;
+    call.callSid = start.callSid;
+
+    const key = authenticate(params.token);
+    if (!key) {
+      log.warn(`[Twilio] Stream ${start.streamSid} rechazado: token inválido`);
+      client.close(1008, 'Unauthorized');
+      return;
+    }
+
+    // Una sesión existente (o persistida, que se restaura) se reutiliza, si es de la misma clave
+    const ownerId = params.session_id ? await sessionManager.getSessionOwner(params.session_id) : undefined;
+    if (ownerId !== undefined && !canAccessSession(key, ownerId)) {
+      log.warn(`[Twilio] Stream ${start.streamSid} rechazado: la sesión ${params.session_id} es de otra clave`);
+      client.close(1008, 'Unauthorized');
+      return;
+    }
+    if (ownerId !== undefined && await sessionManager.restoreSession(params.session_id)) {
+      call.sessionId = params.session_id;
+    } else {
+      const session = await sessionManager.createSession({
+        owner: key,
+        sessionId: params.session_id,
+        profile: params.profile,
+        instructions: params.instructions,
+        voice: params.voice,
+        record: params.record === 'true',
+        speakGreeting: true,
+        metadata: {
+          canal: 'telefono',
+          call_sid: start.callSid,
+          from: params.from,
+          to: params.to,
+        },
+      });
+      call.sessionId = session.session_id;
+      call.ownsSession = true;
+    }
+
+    // Twilio pudo colgar mientras se abría la sesión con OpenAI
+    if (client.readyState !== client.OPEN) {
+      endCall();
+      return;
+    }
+
+    call.inbound = createPcm16Resampler(TWILIO_SAMPLE_RATE, OPENAI_SAMPLE_RATE);
+    call.outbound = createPcm16Resampler(OPENAI_SAMPLE_RATE, TWILIO_SAMPLE_RATE);
+    call.detach = sessionManager.attachLiveListener(call.sessionId, onSessionEvent);
+    log.info(`[Twilio] Llamada ${call.callSid} conectada a sesión ${call.sessionId}`);
+    // El asistente atiende con el saludo (si la sesión tiene uno y la conversación no empezó)
+    sessionManager.speakGreeting(call.sessionId);
+  };
+
+  const endCall = () => {
+    if (call.detach) {
+      call.detach();
+      call.detach = null;
+    }
+    if (call.ownsSession && call.sessionId) {
+      sessionManager.closeSession(call.sessionId).catch(() => {});
+      call.ownsSession = false;
+    }
+  };
+
+  client.on('message', async (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch {
+      return;
+    }
+
+    try {
+      switch (message.event) {
+        case 'connected':
+          break;
+
+        case 'start':
+          await startCall(message.start || {});
+          break;
+
+        case 'media': {
+          if (!call.detach || !message.media?.payload) break;
+          const pcm8k = mulawToPcm16(Buffer.from(message.media.payload, 'base64'));
+          const pcm24k = call.inbound.push(pcm8k);
+          if (pcm24k.length > 0) sessionManager.appendAudio(call.sessionId, pcm24k.toString('base64'));
+          break;
+        }
+
+        case 'mark':
+          log.debug(`[Twilio] Reproducción completada: ${message.mark?.name}`);
+          break;
+
+        case 'stop':
+          log.info(`[Twilio] Llamada ${call.callSid} finalizada`);
+          endCall();
+          client.close(1000);
+          break;
+      }
+    } catch (err) {
+      log.error(`[Twilio] Error procesando evento "${message.event}":`, err.message);
+      if (message.event === 'start') {
+        client.close(1011, 'No se pudo iniciar la sesión');
+      }
+    }
+  });
+
+  client.on('close', endCall);
+  client.on('error', (err) => {
+    log.warn('[Twilio] Error en WebSocket de Media Streams:', err.message);
+  });
+}
+
+function buildStreamUrl(req) {
+  const proto = req.headers['x-forwarded-proto'] === 'http' ? 'ws' : 'wss';
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  return `${proto}://${host}${MEDIA_STREAM_PATH}`;
+}
+
+function escapeXml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
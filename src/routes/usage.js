@@ -0,0 +1,90 @@
+/**
+ * Reporte de consumo (tokens y costo estimado) para facturación
+ *
+ * GET /usage → Totales en una ventana de tiempo, opcionalmente agrupados
+ *
+ * Query:
+ *   from, to            → fechas ISO 8601 (default: todo lo registrado)
+ *   group_by            → api_key_id | session_id | model | source | day | hour | metadata.<campo>
+ *   api_key_id, session_id, model → filtros exactos
+ *   metadata.<campo>    → filtro por metadata de la sesión (ej: metadata.canal=whatsapp)
+ *
+ * Las claves sin scope admin solo ven su propio consumo.
+ *
+ * Ej: GET /api/v1/usage?from=2025-01-01&to=2025-02-01&group_by=metadata.user_id&metadata.canal=whatsapp
+ */
+
+import { Router } from 'express';
+import { log } from '../utils/logger.js';
+import { hasScope } from '../api-keys.js';
+
+const GROUP_BY_FIELDS = ['api_key_id', 'session_id', 'model', 'source', 'day', 'hour'];
+const FILTER_FIELDS = ['api_key_id', 'session_id', 'model', 'source'];
+
+export function createUsageRouter(usageLedger) {
+  const router = Router();
+
+  // ─────────────────────────────────────────────
+  //  GET /usage - Totales por ventana y agrupación
+  // ─────────────────────────────────────────────
+  router.get('/', async (req, res) => {
+    try {
+      const from = parseDate(req.query.from, 'from');
+      const to = parseDate(req.query.to, 'to');
+      const groupBy = parseGroupBy(req.query.group_by);
+      const filters = parseFilters(req.query);
+      if (!hasScope(req.apiKey, 'admin')) filters.api_key_id = req.apiKey.id;
+
+      const summary = await usageLedger.summarize({ from, to, groupBy, filters });
+      res.json({
+        success: true,
+        from: from?.toISOString() || null,
+        to: to?.toISOString() || null,
+        group_by: groupBy || null,
+        filters,
+        currency: 'USD',
+        ...summary,
+      });
+    } catch (err) {
+      log.error('[API] Error consultando uso:', err.message);
+      const status = err.message.includes('inválid') ? 400 : 500;
+      res.status(status).json({ success: false, error: err.message });
+    }
+  });
+
+  return router;
+}
+
+function parseDate(value, field) {
+  if (value === undefined || value === '') return null;
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    throw new Error(`El parámetro "${field}" es inválido: debe ser una fecha ISO 8601`);
+  }
+  return date;
+}
+
+function parseGroupBy(value) {
+  if (value === undefined || value === '') return null;
+  if (typeof value === 'string' && (GROUP_BY_FIELDS.includes(value) || /^metadata\.\w+$/.test(value))) {
+    return value;
+  }
+  throw new Error(`El parámetro "group_by" es inválido: usa ${GROUP_BY_FIELDS.join(', ')} o metadata.<campo>`);
+}
+
+// Acepta tanto `metadata.canal=x` como `metadata[canal]=x`
+function parseFilters(query) {
+  const filters = {};
+  for (const field of FILTER_FIELDS) {
+    if (typeof query[field] === 'string') filters[field] = query[field];
+  }
+  for (const [key, value] of Object.entries(query)) {
+    if (key.startsWith('metadata.') && typeof value === 'string') filters[key] = value;
+  }
+  if (query.metadata && typeof query.metadata === 'object') {
+    for (const [key, value] of Object.entries(query.metadata)) {
+      if (typeof value === 'string') filters[`metadata.${key}`] = value;
+    }
+  }
+  return filters;
+}
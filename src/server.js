@@ -12,6 +12,8 @@
  *   # Edita .env con tu OPENAI_API_KEY
  *   npm install
  *   npm start
+ *
+ * En modo cluster (npm run start:cluster) este archivo es cada uno de los workers.
  */
 
 import 'dotenv/config';
@@ -21,7 +23,19 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { SessionManager } from './session-manager.js';
 import { createSessionsRouter } from './routes/sessions.js';
+import { createLiveUpgradeHandler } from './routes/live.js';
+import { createTwilioRouter, createTwilioUpgradeHandler } from './routes/twilio.js';
+import { createUsageRouter } from './routes/usage.js';
+import { createApiKeysRouter } from './routes/api-keys.js';
+import { createProfilesRouter } from './routes/profiles.js';
+import { createApiKeyRegistry, hasScope } from './api-keys.js';
+import { createAgentProfileRegistry } from './agent-profiles.js';
+import { createClusterWorker } from './cluster/cluster-worker.js';
+import { TokenBucketLimiter, createRateLimitMiddleware, loadRateLimits } from './utils/rate-limit.js';
 import { log } from './utils/logger.js';
+import { pickSessionConfig } from './utils/session-config.js';
+import { pcm16ToWavBase64, encodePcm16Base64ToAudio, resolveAudioFormat, parseAudioFormat } from './utils/audio.js';
+import { metrics, renderMetrics, snapshotMetrics, renderClusterMetrics } from './utils/metrics.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -38,24 +52,72 @@ if (!process.env.OPENAI_API_KEY) {
 
 const PORT = parseInt(process.env.PORT || '3030');
 const HOST = process.env.HOST || '0.0.0.0';
-const BRIDGE_TOKEN = process.env.BRIDGE_API_TOKEN;
+
+// ─────────────────────────────────────────────
+//  Claves de API (BRIDGE_API_TOKEN + claves por cliente en API_KEYS_FILE)
+// ─────────────────────────────────────────────
+const apiKeys = createApiKeyRegistry();
+
+// Perfiles de agente (PROFILES_FILE)
+const profiles = createAgentProfileRegistry();
+
+// ─────────────────────────────────────────────
+//  Modo cluster (src/cluster.js): este proceso es uno de varios workers
+// ─────────────────────────────────────────────
+const clusterWorker = createClusterWorker();
+if (clusterWorker) {
+  // Un cambio de claves en un worker se recarga en todos
+  apiKeys.onChange = () => clusterWorker.collect('api-keys.reload').catch((err) => {
+    log.warn('[Cluster] No se pudo avisar el cambio de claves a los workers:', err.message);
+  });
+  clusterWorker.handle('api-keys.reload', () => apiKeys.reload());
+  profiles.onChange = () => clusterWorker.collect('profiles.reload').catch((err) => {
+    log.warn('[Cluster] No se pudo avisar el cambio de perfiles a los workers:', err.message);
+  });
+  clusterWorker.handle('profiles.reload', () => profiles.reload());
+  clusterWorker.handle('metrics', () => snapshotMetrics());
+}
 
 // ─────────────────────────────────────────────
 //  Inicializar SessionManager (gestiona WebSockets con OpenAI)
 // ─────────────────────────────────────────────
-const sessionManager = new SessionManager();
+const sessionManager = new SessionManager({ apiKeys, profiles, cluster: clusterWorker });
+clusterWorker?.handle('status', () => ({
+  active_sessions: sessionManager.sessions.size,
+  uptime_s: Math.round(process.uptime()),
+  memory_mb: Math.round(process.memoryUsage().rss / 1048576),
+}));
+
+// ─────────────────────────────────────────────
+//  Rate limiting (por clave y por IP; ver utils/rate-limit.js)
+// ─────────────────────────────────────────────
+// En modo cluster los buckets son del primary, compartidos por todos los workers
+const rateLimiter = clusterWorker ? clusterWorker.rateLimiter() : new TokenBucketLimiter();
+const rateLimits = loadRateLimits();
+const rateLimit = (name) => createRateLimitMiddleware(rateLimiter, name, rateLimits[name]);
 
 // ─────────────────────────────────────────────
 //  Configurar Express
 // ─────────────────────────────────────────────
 const app = express();
 
+// Detrás de un proxy (nginx, Cloudflare...) req.ip debe salir de X-Forwarded-For
+// para que el límite por IP no se aplique al proxy: TRUST_PROXY=1 (saltos) o una lista de IPs
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', String(hops) === process.env.TRUST_PROXY ? hops : process.env.TRUST_PROXY);
+}
+
 app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Token'],
 }));
 
+// Modo cluster: los requests de una sesión que vive en otro worker se le reenvían
+// (antes de leer el body, que pasa tal cual)
+if (clusterWorker) app.use(clusterWorker.forwardRequests());
+
 app.use(express.json({ limit: '50mb' })); // 50MB para audio grande
 app.use(express.urlencoded({ extended: true }));
 
@@ -65,46 +127,102 @@ app.use((req, res, next) => {
   next();
 });
 
+// Métricas de requests: se etiqueta por la ruta declarada (/api/v1/sessions/:id/text),
+// no por el path real, para no crear una serie por cada session_id
+app.use((req, res, next) => {
+  res.on('finish', () => {
+    const path = req.route?.path === '/' && req.baseUrl ? '' : req.route?.path;
+    const route = req.route ? `${req.baseUrl}${path}` : (req.baseUrl || 'unmatched');
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+  });
+  next();
+});
+
 // ─────────────────────────────────────────────
-//  Middleware de autenticación (opcional)
+//  Middleware de autenticación por clave y scope
 // ─────────────────────────────────────────────
-function authMiddleware(req, res, next) {
-  if (!BRIDGE_TOKEN) {
-    // Sin token configurado = acceso libre (solo para desarrollo local)
-    return next();
-  }
+// Sin BRIDGE_API_TOKEN ni claves registradas = acceso libre (solo para desarrollo local).
+// La clave autenticada queda en req.apiKey (dueña de las sesiones que cree).
+function requireScope(scope) {
+  return (req, res, next) => {
+    const key = apiKeys.authenticate(extractToken(req));
+    if (!key) {
+      return res.status(401).json({
+        success: false,
+        error: 'Token de autenticación inválido o faltante',
+        hint: 'Incluye el header: Authorization: Bearer <tu_token>',
+      });
+    }
+    if (!hasScope(key, scope)) {
+      return res.status(403).json({
+        success: false,
+        error: `La clave "${key.name}" no tiene el scope "${scope}"`,
+      });
+    }
+    req.apiKey = key;
+    next();
+  };
+}
 
-  const token = req.headers['authorization']?.replace('Bearer ', '') ||
-                req.headers['x-api-token'];
+function extractToken(req) {
+  return req.headers['authorization']?.replace('Bearer ', '') ||
+         req.headers['x-api-token'];
+}
 
-  if (!token || token !== BRIDGE_TOKEN) {
-    return res.status(401).json({
-      success: false,
-      error: 'Token de autenticación inválido o faltante',
-      hint: 'Incluye el header: Authorization: Bearer <tu_token>',
-    });
-  }
-  next();
+// Para WebSockets y Twilio: la clave del token si tiene el scope, o null
+function authenticateToken(token, scope = 'sessions') {
+  const key = apiKeys.authenticate(token);
+  return hasScope(key, scope) ? key : null;
 }
 
 // ─────────────────────────────────────────────
 //  Rutas
 // ─────────────────────────────────────────────
 
-// Health check - sin autenticación
-app.get('/health', (req, res) => {
-  const sessions = sessionManager.listSessions();
+// Health check - sin autenticación. En modo cluster, el estado de todos los workers
+app.get('/health', async (req, res) => {
+  const workers = clusterWorker && await clusterWorker.collect('status').catch((err) => {
+    log.warn('[Cluster] No se pudo consultar el estado de los workers:', err.message);
+    return null;
+  });
+  const activeSessions = workers
+    ? workers.reduce((total, worker) => total + (worker.result?.active_sessions || 0), 0)
+    : sessionManager.sessions.size;
+  const degraded = !!clusterWorker && (!workers || workers.some((worker) => worker.error));
   res.json({
-    status: 'ok',
+    status: degraded ? 'degraded' : 'ok',
     service: 'OpenAI Realtime Voice Bridge',
     version: '1.0.0',
     model: process.env.OPENAI_REALTIME_MODEL || 'gpt-4o-realtime-preview',
-    active_sessions: sessions.length,
+    active_sessions: activeSessions,
     timestamp: new Date().toISOString(),
-    auth_required: !!BRIDGE_TOKEN,
+    auth_required: apiKeys.authRequired,
+    ...(clusterWorker && {
+      cluster: {
+        worker: clusterWorker.index,
+        workers: (workers || []).map(({ worker, pid, result, error }) => ({
+          worker,
+          pid,
+          status: error ? 'error' : 'ok',
+          ...(result || { error }),
+        })),
+      },
+    }),
   });
 });
 
+// Métricas para Prometheus (clave con scope admin). En modo cluster, las de todos los workers
+app.get('/metrics', requireScope('admin'), async (req, res) => {
+  let text;
+  try {
+    text = clusterWorker ? renderClusterMetrics(await clusterWorker.collect('metrics')) : renderMetrics();
+  } catch (err) {
+    log.warn('[Cluster] No se pudieron juntar las métricas de los workers:', err.message);
+    return res.status(503).type('text/plain').send(`# ${err.message}\n`);
+  }
+  res.type('text/plain; version=0.0.4').send(text);
+});
+
 // Info de la API - sin autenticación
 app.get('/', (req, res) => {
   res.json({
@@ -114,6 +232,7 @@ app.get('/', (req, res) => {
     docs: 'https://github.com/tu-usuario/openai-realtime-bridge',
     endpoints: {
       health: 'GET /health',
+      metrics: 'GET /metrics',
       sessions: {
         create:  'POST /api/v1/sessions',
         list:    'GET  /api/v1/sessions',
@@ -122,7 +241,34 @@ app.get('/', (req, res) => {
         text:    'POST /api/v1/sessions/:id/text',
         audio:   'POST /api/v1/sessions/:id/audio',
         update:  'POST /api/v1/sessions/:id/update',
-        history: 'GET  /api/v1/sessions/:id/history',
+        handoff: 'POST /api/v1/sessions/:id/handoff',
+        analyze: 'POST /api/v1/sessions/:id/analyze',
+        history: 'GET  /api/v1/sessions/:id/history?format=json|txt|markdown|csv|srt|vtt',
+        recording: 'GET  /api/v1/sessions/:id/recording',
+        items:   'GET  /api/v1/sessions/:id/items',
+        add_item: 'POST /api/v1/sessions/:id/items',
+        delete_item: 'DELETE /api/v1/sessions/:id/items/:item_id',
+        truncate_item: 'POST /api/v1/sessions/:id/items/:item_id/truncate',
+        live:    'WS   /api/v1/sessions/:id/live',
+      },
+      profiles: {
+        list:   'GET  /api/v1/profiles',
+        info:   'GET  /api/v1/profiles/:name',
+        create: 'POST /api/v1/profiles',
+        update: 'POST /api/v1/profiles/:name/update',
+        delete: 'DELETE /api/v1/profiles/:name',
+      },
+      usage: 'GET  /api/v1/usage?from=&to=&group_by=',
+      admin: {
+        create_key: 'POST /api/v1/admin/keys',
+        list_keys:  'GET  /api/v1/admin/keys',
+        key_info:   'GET  /api/v1/admin/keys/:id',
+        update_key: 'POST /api/v1/admin/keys/:id/update',
+        revoke_key: 'DELETE /api/v1/admin/keys/:id',
+      },
+      twilio: {
+        twiml:        'POST /api/v1/twilio/twiml?token=...',
+        media_stream: 'WS   /api/v1/twilio/media-stream',
       },
     },
     quick_start: [
@@ -134,14 +280,20 @@ app.get('/', (req, res) => {
 });
 
 // API principal (con autenticación opcional)
-app.use('/api/v1/sessions', authMiddleware, createSessionsRouter(sessionManager));
+app.use('/api/v1/sessions', requireScope('sessions'), createSessionsRouter(sessionManager, { rateLimit, cluster: clusterWorker }));
+app.use('/api/v1/profiles', requireScope('sessions'), createProfilesRouter(profiles, sessionManager));
+app.use('/api/v1/usage', requireScope('chat'), createUsageRouter(sessionManager.usage));
+app.use('/api/v1/admin/keys', requireScope('admin'), createApiKeysRouter(apiKeys));
+
+// Telefonía (Twilio) - autenticación por ?token= porque Twilio no envía headers propios
+app.use('/api/v1/twilio', createTwilioRouter({ authenticate: authenticateToken }));
 
 // ─────────────────────────────────────────────
 //  Ruta de conveniencia: Conversación directa (crea sesión + envía + cierra)
 //  Útil para casos simples donde no necesitas mantener sesión
 // ─────────────────────────────────────────────
-app.post('/api/v1/chat', authMiddleware, async (req, res) => {
-  const { message, instructions, voice, return_audio } = req.body || {};
+app.post('/api/v1/chat', requireScope('chat'), rateLimit('chat'), async (req, res) => {
+  const { message, profile, instructions, voice, tools, return_audio, response_audio_format } = req.body || {};
 
   if (!message) {
     return res.status(400).json({
@@ -152,8 +304,19 @@ app.post('/api/v1/chat', authMiddleware, async (req, res) => {
 
   let sessionId;
   try {
+    // Antes de abrir la sesión: un formato inválido no debe gastar un turno
+    const outputFormat = parseAudioFormat(response_audio_format, 'response_audio_format');
+
     // Crear sesión temporal
-    const session = await sessionManager.createSession({ instructions, voice });
+    const session = await sessionManager.createSession({
+      profile,
+      instructions,
+      voice,
+      tools,
+      config: pickSessionConfig(req.body),
+      owner: req.apiKey,
+      greeting: null, // un solo turno: el saludo del perfil no aplica
+    });
     sessionId = session.session_id;
 
     // Enviar mensaje
@@ -161,16 +324,22 @@ app.post('/api/v1/chat', authMiddleware, async (req, res) => {
       returnAudio: !!return_audio,
     });
 
-    // Si hay audio, convertir a WAV también
+    // Si hay audio, convertir a WAV también (y al formato pedido, si no es PCM16 24kHz)
     if (result.audio_base64) {
-      const { pcm16ToWavBase64 } = await import('./utils/audio.js');
       result.audio_wav_base64 = pcm16ToWavBase64(result.audio_base64);
+      if (outputFormat !== 'pcm16') {
+        result.audio_base64 = encodePcm16Base64ToAudio(result.audio_base64, outputFormat);
+        result.audio_format = outputFormat;
+        result.audio_sample_rate = resolveAudioFormat(outputFormat).sampleRate;
+      }
     }
 
     res.json({ success: true, ...result, session_type: 'ephemeral' });
   } catch (err) {
     log.error('[API] Error en /chat:', err.message);
-    res.status(500).json({ success: false, error: err.message });
+    const status = err.message.includes('inválid') ? 400 :
+                   err.message.startsWith('Límite de sesiones') ? 429 : 500;
+    res.status(status).json({ success: false, error: err.message });
   } finally {
     // Cerrar la sesión temporal
     if (sessionId) {
@@ -207,6 +376,11 @@ app.use((err, req, res, next) => {
 //  Iniciar servidor
 // ─────────────────────────────────────────────
 const server = app.listen(PORT, HOST, () => {
+  // En modo cluster el banner lo muestra solo el primer worker
+  if (clusterWorker && clusterWorker.index > 0) {
+    log.info(`[Cluster] Worker ${clusterWorker.index} (pid ${process.pid}) escuchando en ${PORT}`);
+    return;
+  }
   console.log('\n\x1b[32m╔══════════════════════════════════════════════╗\x1b[0m');
   console.log('\x1b[32m║   OpenAI Realtime Voice Bridge - LISTO 🎙️    ║\x1b[0m');
   console.log('\x1b[32m╚══════════════════════════════════════════════╝\x1b[0m');
@@ -214,15 +388,51 @@ const server = app.listen(PORT, HOST, () => {
   console.log(`  Health:       \x1b[36mhttp://localhost:${PORT}/health\x1b[0m`);
   console.log(`  API Base:     \x1b[36mhttp://localhost:${PORT}/api/v1\x1b[0m`);
   console.log(`  Modelo:       \x1b[33m${process.env.OPENAI_REALTIME_MODEL || 'gpt-4o-realtime-preview'}\x1b[0m`);
-  console.log(`  Auth:         \x1b[33m${BRIDGE_TOKEN ? 'Habilitada (Bearer token)' : 'Deshabilitada (solo desarrollo)'}\x1b[0m`);
+  if (process.env.OPENAI_REALTIME_URL) {
+    console.log(`  Realtime:     \x1b[33m${process.env.OPENAI_REALTIME_URL}\x1b[0m`);
+  }
+  if (clusterWorker) {
+    console.log(`  Cluster:      \x1b[33m${clusterWorker.workers} workers\x1b[0m`);
+  }
+  console.log(`  Auth:         \x1b[33m${apiKeys.authRequired ? `Habilitada (Bearer token, ${apiKeys.list().length} claves de cliente)` : 'Deshabilitada (solo desarrollo)'}\x1b[0m`);
   console.log(`\n  Para N8N, usa: \x1b[35mhttp://<tu-ip>:${PORT}/api/v1\x1b[0m\n`);
 });
 
+// ─────────────────────────────────────────────
+//  WebSockets (audio en vivo y telefonía)
+// ─────────────────────────────────────────────
+const upgradeHandlers = [
+  createLiveUpgradeHandler(sessionManager, {
+    // Los navegadores no pueden enviar headers en un WebSocket: se acepta ?token=
+    authenticate: (req, url) => authenticateToken(extractToken(req) || url.searchParams.get('token')),
+  }),
+  createTwilioUpgradeHandler(sessionManager, { authenticate: authenticateToken }),
+];
+
+function handleUpgrade(req, socket, head) {
+  const handled = upgradeHandlers.some((handler) => handler(req, socket, head));
+  if (!handled) {
+    socket.write('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+    socket.destroy();
+  }
+}
+
+server.on('upgrade', clusterWorker ? clusterWorker.forwardUpgrades(handleUpgrade) : handleUpgrade);
+
+// Requests y WebSockets reenviados por los otros workers
+if (clusterWorker) {
+  clusterWorker.listenInternal(app, handleUpgrade).catch((err) => {
+    log.error(`[Cluster] No se pudo escuchar en el puerto interno ${clusterWorker.internalPort}:`, err.message);
+    process.exit(1);
+  });
+}
+
 // ─────────────────────────────────────────────
 //  Manejo de cierre graceful
 // ─────────────────────────────────────────────
 async function gracefulShutdown(signal) {
   log.info(`\n[Server] Recibida señal ${signal}, cerrando gracefully...`);
+  clusterWorker?.close();
   server.close(() => {
     sessionManager.destroy();
     log.info('[Server] Servidor cerrado.');
@@ -8,117 +8,409 @@
  * 1. N8N crea sesión → se abre WebSocket con OpenAI → retorna session_id
  * 2. N8N envía mensaje (texto o audio) → se manda a OpenAI via WS → se espera respuesta
  * 3. N8N puede cerrar la sesión o dejarla expirar por inactividad
+ *
+ * La configuración y el historial de cada sesión se guardan en un SessionStore:
+ * si el bridge se reinicia (o la sesión expira por inactividad), el siguiente
+ * request con el mismo session_id reabre la conexión y reproduce el historial.
  */
 
 import WebSocket from 'ws';
 import { v4 as uuidv4 } from 'uuid';
 import { log } from './utils/logger.js';
-
+import { normalizeTools, toOpenAITools, executeToolCall } from './utils/tools.js';
+import { createSessionStore } from './session-store.js';
+import { createUsageLedger } from './usage-ledger.js';
+import { createRecordingStore } from './recording-store.js';
+import { canAccessSession } from './api-keys.js';
+import {
+  SESSION_CONFIG_FIELDS,
+  normalizeSessionConfig,
+  toOpenAISessionConfig,
+  validateVoice,
+} from './utils/session-config.js';
+import { validateWebhookUrl, buildWebhookEvent, deliverWebhook } from './utils/webhooks.js';
+import { EMPTY_USAGE, addUsage, normalizeUsage } from './utils/usage.js';
+import { metrics, registerGauge, base64ByteLength } from './utils/metrics.js';
+import { getPcmDurationSeconds } from './utils/audio.js';
+import {
+  INJECTABLE_ROLES, newItemId, trackItem, setItemTranscript, findItem, hasAudioContent, toPublicItem, heardText,
+} from './utils/conversation-items.js';
+import { renderTemplate, hasTemplateVariables } from './utils/templates.js';
+import { validateJsonSchema, jsonOutputInstructions, checkJsonOutput } from './utils/json-output.js';
+
+// Endpoint de OpenAI; OPENAI_REALTIME_URL lo reemplaza (p. ej. por el simulador local)
 const OPENAI_WS_URL = 'wss://api.openai.com/v1/realtime';
 
+// Máximo de rondas de herramientas encadenadas en un mismo turno
+// (evita bucles infinitos si el modelo llama herramientas sin parar)
+const MAX_TOOL_ROUNDS = 5;
+
+// Mensajes del historial que se reproducen al restaurar una sesión
+// (los más recientes; suficiente contexto sin exceder la ventana del modelo)
+const MAX_REPLAY_MESSAGES = 100;
+
+// Espera máxima entre intentos de reconexión con OpenAI
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+// Pedido al agente actual del resumen que recibe el nuevo agente en un handoff
+const HANDOFF_SUMMARY_INSTRUCTIONS =
+  'Resume la conversación hasta ahora para otro agente que va a continuarla: quién es el usuario, ' +
+  'qué necesita, qué se resolvió y qué queda pendiente. Responde solo con el resumen, en pocas frases.';
+
 export class SessionManager {
   constructor(config = {}) {
     this.sessions = new Map(); // session_id → SessionState
+    this.store = config.store || createSessionStore();
+    this.usage = config.usageLedger || createUsageLedger();
+    this.recordings = config.recordingStore || createRecordingStore();
+    this.apiKeys = config.apiKeys || null; // ApiKeyRegistry: API key de OpenAI y límites por cliente
+    this.profiles = config.profiles || null; // AgentProfileRegistry: presets de sesión con nombre
+    this.cluster = config.cluster || null; // ClusterWorker: sesiones repartidas entre procesos (ver cluster/)
+    this._restoring = new Map(); // session_id → promesa de restauración en curso
+    registerGauge('bridge_sessions_active', 'Sesiones con conexión activa con OpenAI', () => this.sessions.size);
     this.config = {
       model: config.model || process.env.OPENAI_REALTIME_MODEL || 'gpt-4o-mini-realtime-preview',
       defaultVoice: config.defaultVoice || process.env.OPENAI_VOICE || 'alloy',
       apiKey: config.apiKey || process.env.OPENAI_API_KEY,
+      realtimeUrl: config.realtimeUrl || process.env.OPENAI_REALTIME_URL || OPENAI_WS_URL,
       responseTimeoutMs: parseInt(config.responseTimeoutMs || process.env.RESPONSE_TIMEOUT_MS || '30000'),
       sessionMaxIdleMs: parseInt(config.sessionMaxIdleMs || process.env.SESSION_MAX_IDLE_MS || '300000'),
       defaultInstructions: config.defaultInstructions || process.env.DEFAULT_INSTRUCTIONS || 'Eres un asistente útil.',
       maxSessions: parseInt(config.maxSessions || process.env.MAX_SESSIONS || '0'),
+      toolTimeoutMs: parseInt(config.toolTimeoutMs || process.env.TOOL_TIMEOUT_MS || '15000'),
+      reconnectMaxAttempts: parseInt(config.reconnectMaxAttempts ?? process.env.RECONNECT_MAX_ATTEMPTS ?? '5'),
+      reconnectBaseDelayMs: parseInt(config.reconnectBaseDelayMs || process.env.RECONNECT_BASE_DELAY_MS || '500'),
+      webhookUrl: config.webhookUrl || process.env.WEBHOOK_URL || null,
+      webhookSecret: config.webhookSecret || process.env.WEBHOOK_SECRET || null,
+      webhookMaxAttempts: parseInt(config.webhookMaxAttempts || process.env.WEBHOOK_MAX_ATTEMPTS || '5'),
+      webhookTimeoutMs: parseInt(config.webhookTimeoutMs || process.env.WEBHOOK_TIMEOUT_MS || '10000'),
+      schemaMaxRetries: parseInt(config.schemaMaxRetries ?? process.env.RESPONSE_SCHEMA_MAX_RETRIES ?? '2'),
     };
 
+    // En modo cluster, el listado de sesiones junta las de todos los workers
+    this.cluster?.handle('sessions', (filters) => this.listLocalSessions(filters));
+
     // Limpieza periódica de sesiones inactivas
     this._cleanupInterval = setInterval(() => this._cleanupIdleSessions(), 60000);
     log.info('[SessionManager] Inicializado', { model: this.config.model });
+    if (this.config.realtimeUrl !== OPENAI_WS_URL) {
+      log.warn(`[SessionManager] Usando endpoint Realtime alternativo: ${this.config.realtimeUrl}`);
+    }
   }
 
   /**
    * Crea una nueva sesión conversacional con OpenAI
    * @param {Object} options - Opciones de la sesión
-   * @param {string} options.instructions - Instrucciones del sistema (personalidad del asistente)
+   * @param {string} options.instructions - Instrucciones del sistema; admiten variables como {{metadata.x}} (ver utils/templates.js)
    * @param {string} options.voice - Voz del asistente
    * @param {string} options.sessionId - ID de sesión personalizado (opcional)
    * @param {Object} options.metadata - Metadata adicional (ej: usuario, canal)
-   * @returns {Promise<{session_id, status, model, voice, created_at}>}
+   * @param {Array} options.tools - Herramientas (function calling) con su webhook_url
+   * @param {string} options.webhookUrl - URL que recibe los eventos de esta sesión (además de WEBHOOK_URL)
+   * @param {Object} options.config - Configuración Realtime (turn_detection, temperature...; ver utils/session-config.js)
+   * @param {Object} options.owner - Clave de API que crea la sesión (ver api-keys.js); define modelo y límite
+   * @param {boolean} options.record - Graba el audio de la sesión (ver recording-store.js)
+   * @param {string} options.profile - Perfil de agente (ver agent-profiles.js); las demás opciones lo sobrescriben
+   * @param {string|null} options.greeting - Saludo inicial del asistente (default: el del perfil)
+   * @param {boolean} options.speakGreeting - El saludo se dirá en voz con speakGreeting() en vez de agregarse como texto
+   * @returns {Promise<{session_id, status, model, voice, missing_variables, created_at}>}
    */
   async createSession(options = {}) {
-    if (this.config.maxSessions > 0 && this.sessions.size >= this.config.maxSessions) {
-      throw new Error(`Límite de sesiones alcanzado (${this.config.maxSessions})`);
-    }
+    const owner = options.owner || null;
+    this._assertCapacity(owner?.id ?? null, owner);
 
     const sessionId = options.sessionId || uuidv4();
-    const voice = options.voice || this.config.defaultVoice;
-    const instructions = options.instructions || this.config.defaultInstructions;
+    this._assertIdFree(sessionId);
+    const existingOwner = options.sessionId ? await this.getSessionOwner(sessionId) : undefined;
+    if (existingOwner !== undefined && owner && !canAccessSession(owner, existingOwner)) {
+      throw new Error(`El session_id ya está en uso: ${sessionId}`);
+    }
+    const profile = this._resolveProfile(options.profile);
+    const instructionsTemplate = options.instructions || profile?.instructions || this.config.defaultInstructions;
+    const voice = validateVoice(options.voice || profile?.voice || this.config.defaultVoice);
+    const tools = normalizeTools(options.tools ?? profile?.tools);
+    const config = normalizeSessionConfig({ ...profile?.config, ...options.config });
+    const webhookUrl = validateWebhookUrl(options.webhookUrl);
+    if (options.record !== undefined && typeof options.record !== 'boolean') {
+      throw new Error('El campo "record" es inválido: debe ser true o false');
+    }
+    const greetingTemplate = options.greeting !== undefined ? options.greeting : (profile?.greeting ?? null);
+    if (greetingTemplate !== null && (typeof greetingTemplate !== 'string' || !greetingTemplate.trim())) {
+      throw new Error('El campo "greeting" es inválido: debe ser un texto no vacío o null');
+    }
+    const metadata = options.metadata || {};
+    if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+      throw new Error('El campo "metadata" es inválido: debe ser un objeto');
+    }
+
+    // Las variables ({{metadata.x}}, {{now}}...) se reemplazan ahora; las que faltan se reportan
+    const context = { metadata, sessionId };
+    const { text: instructions, missing } = renderTemplate(instructionsTemplate, context);
+    const renderedGreeting = greetingTemplate && renderTemplate(greetingTemplate, context);
+    const greeting = renderedGreeting?.text.trim() || null;
+    const missingVariables = [...new Set([...missing, ...(renderedGreeting?.missing || [])])];
 
     log.info(`[Session ${sessionId}] Creando sesión...`);
+    if (missingVariables.length > 0) {
+      log.warn(`[Session ${sessionId}] Variables sin valor en las instrucciones: ${missingVariables.join(', ')}`);
+    }
+
+    const sessionState = this._buildSessionState({
+      id: sessionId,
+      instructions,
+      instructionsTemplate,
+      voice,
+      model: owner?.model || this.config.model,
+      metadata,
+      tools,
+      config,
+      webhookUrl,
+      createdAt: new Date().toISOString(),
+      conversationHistory: [],
+      ownerId: owner?.id ?? null,
+      record: options.record === true,
+      profile: profile && { name: profile.name, version: profile.version },
+      greeting,
+    });
+
+    await this._connect(sessionState);
+    metrics.sessionsCreated.inc({ origin: 'new' });
+    // Una sesión nueva con un session_id reutilizado reemplaza la grabación anterior
+    if (sessionState.record) {
+      this.recordings.start(sessionId, { ownerId: sessionState.ownerId, startedAt: sessionState.createdAt, reset: true });
+    }
+    if (greeting && !options.speakGreeting) {
+      // El modelo tiene que saber que ya saludó: el saludo es el primer mensaje del asistente
+      await this._insertItem(sessionState, { role: 'assistant', content: greeting, source: 'greeting' }).catch((err) => {
+        log.warn(`[Session ${sessionId}] No se pudo agregar el saludo:`, err.message);
+      });
+    }
+    this._persistSession(sessionState);
+    this._notify(sessionState, 'session.created', {
+      model: sessionState.model,
+      config: { voice, ...config },
+      tools: tools.map((t) => t.name),
+    });
+
+    return {
+      session_id: sessionId,
+      status: 'ready',
+      model: sessionState.model,
+      voice: sessionState.voice,
+      instructions_preview: instructions.substring(0, 100) + (instructions.length > 100 ? '...' : ''),
+      tools: tools.map((t) => t.name),
+      config: { voice, ...config },
+      owner_id: sessionState.ownerId,
+      record: sessionState.record,
+      profile: sessionState.profile,
+      greeting,
+      missing_variables: missingVariables,
+      created_at: sessionState.createdAt,
+    };
+  }
+
+  /**
+   * Reabre una sesión persistida (ej: después de un reinicio del bridge o de
+   * cerrarse por inactividad): reconecta con OpenAI y reproduce el historial.
+   * Si la sesión ya está activa no hace nada.
+   * @param {string} sessionId
+   * @returns {Promise<Object|null>} Info de la sesión (como getSession) o null si no existe
+   */
+  async restoreSession(sessionId) {
+    if (this.sessions.has(sessionId)) return this.getSession(sessionId);
+
+    // Requests simultáneos para la misma sesión comparten una única reconexión
+    if (!this._restoring.has(sessionId)) {
+      const restore = this._restoreFromStore(sessionId)
+        .finally(() => this._restoring.delete(sessionId));
+      this._restoring.set(sessionId, restore);
+    }
+    await this._restoring.get(sessionId);
+    return this.getSession(sessionId);
+  }
+
+  async _restoreFromStore(sessionId) {
+    const record = await this.store.load(sessionId);
+    if (!record) return;
+
+    this._assertCapacity(record.owner_id ?? null);
+    const sessionState = this._stateFromRecord(sessionId, record);
+    // Al reabrir se vuelven a renderizar las variables ({{now}} tiene que ser la hora actual)
+    if (hasTemplateVariables(sessionState.instructionsTemplate)) {
+      sessionState.instructions = this._renderInstructions(sessionState).text;
+    }
+
+    // La línea de tiempo (offsets del historial y grabación) sigue donde terminó: el
+    // tiempo que la sesión estuvo cerrada no cuenta, igual que en la grabación
+    const recording = sessionState.record ? await this.recordings.get(sessionId).catch(() => null) : null;
+    const resumeMs = Math.max(
+      0,
+      ...sessionState.conversationHistory.map((m) => m.end_ms ?? m.start_ms ?? 0),
+      ...Object.values(recording?.tracks || {}).map((track) => track.duration_ms),
+    );
+
+    log.info(`[Session ${sessionId}] Restaurando sesión persistida (${sessionState.conversationHistory.length} mensajes)...`);
+    await this._connect(sessionState);
+    metrics.sessionsCreated.inc({ origin: 'restored' });
+    sessionState.timelineStart = Date.now() - resumeMs;
+    if (sessionState.record) {
+      this.recordings.start(sessionId, { ownerId: sessionState.ownerId, startedAt: new Date(sessionState.timelineStart).toISOString() });
+    }
+    this._replayHistory(sessionState);
+  }
+
+  // Estado de una sesión persistida, sin conexión (status 'connecting' hasta abrirla)
+  _stateFromRecord(sessionId, record) {
+    const instructions = record.instructions || this.config.defaultInstructions;
+    return this._buildSessionState({
+      id: sessionId,
+      instructions,
+      instructionsTemplate: record.instructions_template || instructions,
+      voice: record.voice || this.config.defaultVoice,
+      model: record.model || this.config.model,
+      metadata: record.metadata || {},
+      tools: record.tools || [],
+      config: normalizeSessionConfig(record.config),
+      webhookUrl: record.webhook_url || null,
+      createdAt: record.created_at || new Date().toISOString(),
+      conversationHistory: record.conversation_history || [],
+      usage: record.usage,
+      ownerId: record.owner_id ?? null,
+      record: record.record === true,
+      profile: record.profile ?? null,
+      greeting: record.greeting ?? null,
+    });
+  }
+
+  /**
+   * Sesión activa o, si solo está en el store (cerrada por inactividad o tras un
+   * reinicio), la guardada con status 'closed': leerla no reabre la conexión con OpenAI
+   * @returns {Promise<Object|null>} Estado de la sesión (solo lectura) o null si no existe
+   */
+  async _getReadableSession(sessionId) {
+    const active = this.sessions.get(sessionId);
+    if (active) return active;
+    const record = await this.store.load(sessionId);
+    if (!record) return null;
+    const session = this._stateFromRecord(sessionId, record);
+    session.status = 'closed';
+    session.lastActivityAt = new Date(record.last_activity_at || session.createdAt).getTime();
+    // Los items que la restauración va a crear en OpenAI
+    session.conversationItems = replayItems(session.conversationHistory).map((item) => ({ ...item, status: 'completed' }));
+    return session;
+  }
+
+  _buildSessionState(fields) {
+    return {
+      ...fields,
+      ws: null,
+      status: 'connecting',
+      lastActivityAt: Date.now(),
+      pendingResponses: new Map(), // request_id → {resolve, reject, timeout, buffer, responseId}
+      turnQueue: Promise.resolve(), // cola FIFO de turnos HTTP (uno en vuelo a la vez)
+      queueDepth: 0,                // turnos esperando en la cola
+      liveListeners: new Set(),    // consumidores de audio en vivo (WebSocket /live)
+      reconnection: null,          // deferred de la reconexión en curso (los turnos esperan en él)
+      reconnectCount: 0,
+      lastDisconnectReason: null,
+      lastDisconnectAt: null,
+      usage: addUsage(EMPTY_USAGE, fields.usage), // tokens y costo acumulados
+      timelineStart: new Date(fields.createdAt).getTime(), // origen de los offsets del historial y la grabación
+      rateLimits: null,            // último rate_limits.updated de OpenAI
+      liveSpeech: new Map(),       // item_id → { startedAt, stoppedAt } del habla en vivo (offsets del historial)
+      conversationItems: [],       // copia de los items de la conversación en OpenAI (ver utils/conversation-items.js)
+      itemOps: new Map(),          // event_id → { resolve, reject, timeout, ackType, itemId } de operaciones sobre items
+    };
+  }
+
+  /**
+   * Registra la sesión y abre su WebSocket con OpenAI.
+   * Si la primera conexión falla, la sesión se descarta.
+   */
+  async _connect(sessionState) {
+    await this._claim(sessionState);
+    this._assertIdFree(sessionState.id); // otra creación o restauración pudo ganarle mientras tanto
+    this.sessions.set(sessionState.id, sessionState);
+    try {
+      await this._openSocket(sessionState);
+    } catch (err) {
+      if (this.sessions.get(sessionState.id) === sessionState) {
+        this.sessions.delete(sessionState.id);
+        this.cluster?.release(sessionState.id);
+      }
+      throw err;
+    }
+  }
+
+  // Un session_id activo en este proceso no se puede volver a crear: su conexión y su
+  // historial se perderían. Hay que cerrarla primero (DELETE /sessions/:id).
+  _assertIdFree(sessionId) {
+    if (this.sessions.has(sessionId)) {
+      throw new Error(`El session_id ya está en uso por una sesión activa: ${sessionId}`);
+    }
+  }
+
+  // En modo cluster, la sesión se registra en el primary antes de abrir la conexión:
+  // falla si otro worker ya la tiene o si la clave llegó a su límite en todo el cluster
+  async _claim(sessionState) {
+    if (!this.cluster || this.sessions.has(sessionState.id)) return;
+    const owner = this.apiKeys?.get(sessionState.ownerId);
+    const limit = this._sessionLimit(owner);
+    const result = await this.cluster.claim(sessionState.id, { ownerId: sessionState.ownerId, limit });
+    if (result.limitReached) throw this._capacityError(owner, limit);
+    if (!result.claimed) {
+      throw new Error(`El session_id ya está en uso en otro worker del cluster (${result.worker}): ${sessionState.id}`);
+    }
+  }
+
+  /**
+   * Abre el WebSocket con OpenAI para la sesión y envía su configuración.
+   * Resuelve cuando la conexión está lista para recibir turnos.
+   */
+  _openSocket(sessionState) {
+    const sessionId = sessionState.id;
 
     return new Promise((resolve, reject) => {
-      const wsUrl = `${OPENAI_WS_URL}?model=${this.config.model}`;
+      const wsUrl = `${this.config.realtimeUrl}?model=${sessionState.model}`;
       const ws = new WebSocket(wsUrl, {
         headers: {
-          'Authorization': `Bearer ${this.config.apiKey}`,
+          'Authorization': `Bearer ${this._openaiApiKey(sessionState)}`,
           'OpenAI-Beta': 'realtime=v1',
         },
       });
 
-      const sessionState = {
-        id: sessionId,
-        ws,
-        status: 'connecting',
-        instructions,
-        voice,
-        model: this.config.model,
-        metadata: options.metadata || {},
-        createdAt: new Date().toISOString(),
-        lastActivityAt: Date.now(),
-        conversationHistory: [],
-        pendingResponses: new Map(), // request_id → {resolve, reject, timeout, buffer}
-      };
-
-      this.sessions.set(sessionId, sessionState);
+      sessionState.ws = ws;
+      let opened = false;
 
       const connectTimeout = setTimeout(() => {
-        ws.terminate();
-        this.sessions.delete(sessionId);
         reject(new Error('Timeout al conectar con OpenAI Realtime API'));
+        ws.terminate();
       }, 15000);
 
       ws.on('open', () => {
         clearTimeout(connectTimeout);
+        opened = true;
         log.info(`[Session ${sessionId}] WebSocket conectado`);
         sessionState.status = 'connected';
+        sessionState.conversationItems = []; // conversación nueva en OpenAI
 
         // Configurar la sesión con las instrucciones y parámetros
         ws.send(JSON.stringify({
           type: 'session.update',
           session: {
-            modalities: ['text', 'audio'],
-            instructions: instructions,
-            voice: voice,
+            ...toOpenAISessionConfig(sessionState.config),
+            instructions: sessionState.instructions,
+            voice: sessionState.voice,
             input_audio_format: 'pcm16',
             output_audio_format: 'pcm16',
-            input_audio_transcription: {
-              model: 'whisper-1',
-            },
-            turn_detection: {
-              type: 'server_vad',
-              threshold: 0.5,
-              prefix_padding_ms: 300,
-              silence_duration_ms: 500,
-            },
+            ...(sessionState.tools.length > 0 && {
+              tools: toOpenAITools(sessionState.tools),
+              tool_choice: 'auto',
+            }),
           },
         }));
 
-        resolve({
-          session_id: sessionId,
-          status: 'ready',
-          model: this.config.model,
-          voice: voice,
-          instructions_preview: instructions.substring(0, 100) + (instructions.length > 100 ? '...' : ''),
-          created_at: sessionState.createdAt,
-        });
+        resolve();
       });
 
       ws.on('message', (rawData) => {
@@ -130,36 +422,121 @@ export class SessionManager {
         }
       });
 
+      // Un error siempre va seguido de 'close', que decide si se reconecta
       ws.on('error', (err) => {
-        clearTimeout(connectTimeout);
         log.error(`[Session ${sessionId}] Error WebSocket:`, err.message);
-        sessionState.status = 'error';
-        this._rejectAllPending(sessionState, err);
-        if (sessionState.status === 'connecting') {
-          this.sessions.delete(sessionId);
+        if (!opened) {
+          clearTimeout(connectTimeout);
           reject(err);
         }
       });
 
       ws.on('close', (code, reason) => {
-        log.info(`[Session ${sessionId}] WebSocket cerrado (${code}): ${reason}`);
-        sessionState.status = 'closed';
-        const closeErr = new Error(`Sesión cerrada (código: ${code})`);
-        this._rejectAllPending(sessionState, closeErr);
-        this.sessions.delete(sessionId);
+        const reasonText = `código ${code}${reason?.length ? `: ${reason}` : ''}`;
+        log.info(`[Session ${sessionId}] WebSocket cerrado (${reasonText})`);
+
+        if (!opened) {
+          clearTimeout(connectTimeout);
+          reject(new Error(`No se pudo conectar con OpenAI (${reasonText})`));
+          return;
+        }
+
+        // Cierre pedido por el bridge (closeSession / inactividad) o socket ya reemplazado
+        if (sessionState.ws !== ws || this.sessions.get(sessionId) !== sessionState) return;
+
+        this._reconnect(sessionState, reasonText);
       });
     });
   }
 
+  /**
+   * Reconecta una sesión cuya conexión con OpenAI se cayó, con backoff exponencial.
+   * Los turnos en vuelo se rechazan (su respuesta se perdió); los que llegan durante
+   * la reconexión esperan en la cola y se ejecutan al reconectar, con la
+   * configuración reenviada y el historial reproducido.
+   * Si se agotan los intentos, la sesión se libera (sigue en el store).
+   */
+  async _reconnect(session, reason) {
+    session.status = 'reconnecting';
+    session.lastDisconnectReason = reason;
+    session.lastDisconnectAt = new Date().toISOString();
+    session.reconnection = createDeferred();
+
+    this._rejectAllPending(session, new Error(`Se perdió la conexión con OpenAI (${reason})`));
+    this._emitLiveEvent(session, { type: 'session.reconnecting', reason });
+
+    const { reconnectMaxAttempts, reconnectBaseDelayMs } = this.config;
+    this._notify(session, 'session.disconnected', { reason, reconnecting: reconnectMaxAttempts > 0 });
+    for (let attempt = 1; attempt <= reconnectMaxAttempts; attempt++) {
+      const delay = Math.min(reconnectBaseDelayMs * 2 ** (attempt - 1), MAX_RECONNECT_DELAY_MS);
+      log.warn(`[Session ${session.id}] Reconectando en ${delay}ms (intento ${attempt}/${reconnectMaxAttempts})...`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+
+      // La sesión se cerró mientras esperábamos
+      if (this.sessions.get(session.id) !== session) return;
+
+      try {
+        await this._openSocket(session);
+      } catch (err) {
+        log.warn(`[Session ${session.id}] Reconexión fallida:`, err.message);
+        metrics.reconnects.inc({ result: 'failure' });
+        continue;
+      }
+
+      if (this.sessions.get(session.id) !== session) return;
+      metrics.reconnects.inc({ result: 'success' });
+      session.reconnectCount++;
+      this._replayHistory(session);
+      log.info(`[Session ${session.id}] Reconectada (reconexión #${session.reconnectCount})`);
+      this._emitLiveEvent(session, { type: 'session.reconnected', reconnect_count: session.reconnectCount });
+      session.reconnection.resolve();
+      session.reconnection = null;
+      return;
+    }
+
+    log.error(`[Session ${session.id}] No se pudo reconectar tras ${reconnectMaxAttempts} intentos`);
+    this._disconnect(session, `No se pudo reconectar con OpenAI (${reason})`, 'reconnect_failed');
+    this._notify(session, 'session.closed', { reason: `No se pudo reconectar con OpenAI (${reason})`, resumable: true });
+  }
+
+  /**
+   * Reproduce el historial guardado como items de la conversación en OpenAI,
+   * para que el modelo recupere el contexto después de reconectar.
+   */
+  _replayHistory(session) {
+    const items = replayItems(session.conversationHistory);
+    for (const item of items) {
+      session.ws.send(JSON.stringify({ type: 'conversation.item.create', item }));
+    }
+    log.info(`[Session ${session.id}] Historial reproducido en OpenAI (${items.length} mensajes)`);
+  }
+
   /**
    * Envía un mensaje de texto a la sesión y espera la respuesta completa
    * @param {string} sessionId
    * @param {string} text - Mensaje del usuario
    * @param {Object} options
    * @param {boolean} options.returnAudio - Si true, incluye audio en la respuesta
-   * @returns {Promise<{response_text, audio_base64, duration_ms, tokens}>}
+   * @param {Function} options.onEvent - Callback para streaming ({ type, ... }) a medida que llegan los deltas
+   * @param {Object} options.responseSchema - JSON Schema: la respuesta se pide, interpreta y valida como JSON
+   *   (se devuelve en response_json); si no cumple, se vuelve a pedir con los errores
+   * @param {number} options.maxRetries - Reintentos si no cumple el schema (default: RESPONSE_SCHEMA_MAX_RETRIES)
+   * @returns {Promise<{response_text, response_json, audio_base64, duration_ms, tokens}>}
    */
   async sendText(sessionId, text, options = {}) {
+    const session = this._getSession(sessionId);
+    validateJsonSchema(options.responseSchema, 'response_schema');
+    if (options.responseSchema && options.returnAudio) {
+      throw new Error('El campo "response_schema" es inválido: no se puede combinar con return_audio');
+    }
+    if (options.maxRetries !== undefined && (!Number.isInteger(options.maxRetries) || options.maxRetries < 0 || options.maxRetries > 5)) {
+      throw new Error('El campo "max_retries" es inválido: debe ser un entero entre 0 y 5');
+    }
+    session.lastActivityAt = Date.now();
+    return this._enqueueTurn(session, () => this._runTextTurn(sessionId, text, options));
+  }
+
+  async _runTextTurn(sessionId, text, options) {
     const session = this._getSession(sessionId);
     session.lastActivityAt = Date.now();
 
@@ -170,48 +547,106 @@ export class SessionManager {
       const startTime = Date.now();
       const responseBuffer = {
         textDelta: '',
+        transcriptDelta: '', // transcripción del audio de respuesta
         audioDelta: [],  // chunks de audio base64
         inputTranscript: text,
         eventId: null,
-        itemId: null,
+        itemId: newItemId(), // item del mensaje del usuario (id propio, ver conversation.item.create)
+        messageItemId: null, // item del mensaje de respuesta
+        functionCalls: [], // llamadas a herramientas de la respuesta en curso
+        toolCalls: [],     // traza de herramientas ejecutadas en este turno
+        usage: { ...EMPTY_USAGE }, // suma de las respuestas del turno (incluye rondas de herramientas)
+        firstDeltaAt: null,  // llegada del primer delta (inicio de la respuesta en el historial)
+        audioSeconds: 0,     // duración del audio de respuesta
       };
 
-      const timeout = setTimeout(() => {
-        session.pendingResponses.delete(requestId);
-        reject(new Error(`Timeout esperando respuesta de OpenAI (${this.config.responseTimeoutMs}ms)`));
-      }, this.config.responseTimeoutMs);
+      // Cada reintento por response_schema tiene su propio plazo
+      let timeout;
+      const startTimeout = () => {
+        clearTimeout(timeout);
+        timeout = setTimeout(() => {
+          session.pendingResponses.delete(requestId);
+          this._cancelTimedOutResponse(session);
+          metrics.responseTimeouts.inc({ type: 'text' });
+          reject(new Error(`Timeout esperando respuesta de OpenAI (${this.config.responseTimeoutMs}ms)`));
+        }, this.config.responseTimeoutMs);
+      };
+      startTimeout();
 
-      session.pendingResponses.set(requestId, {
+      const { responseSchema } = options;
+      const maxRetries = options.maxRetries ?? this.config.schemaMaxRetries;
+
+      const pending = {
+        requestId,
+        responseId: null,
+        awaitingResponse: false,
+        schemaRetries: 0,
         resolve: (data) => {
+          let responseJson;
+          if (responseSchema) {
+            const { value, errors } = checkJsonOutput(data.textDelta, responseSchema);
+            if (errors.length > 0 && pending.schemaRetries < maxRetries) {
+              pending.schemaRetries++;
+              startTimeout();
+              this._retrySchemaResponse(session, pending, errors);
+              return;
+            }
+            if (errors.length > 0) {
+              clearTimeout(timeout);
+              reject(new Error(`Respuesta fuera del schema tras ${pending.schemaRetries + 1} intentos: ${errors.join('; ')}`));
+              return;
+            }
+            responseJson = value;
+          }
           clearTimeout(timeout);
           const durationMs = Date.now() - startTime;
+          metrics.responseDuration.observe({ type: 'text' }, durationMs / 1000);
 
           // Guardar en historial
+          const sentMs = this._offsetMs(session, startTime);
           session.conversationHistory.push({
             role: 'user',
             content: text,
+            item_id: data.itemId,
             timestamp: new Date().toISOString(),
+            start_ms: sentMs,
+            end_ms: sentMs,
           });
           session.conversationHistory.push({
             role: 'assistant',
             content: data.textDelta,
+            item_id: data.messageItemId,
             timestamp: new Date().toISOString(),
+            ...this._responseTiming(session, data),
             has_audio: data.audioDelta.length > 0,
+            ...(data.toolCalls.length > 0 && { tool_calls: data.toolCalls }),
           });
+          this._persistSession(session);
 
           const result = {
             response_text: data.textDelta,
             duration_ms: durationMs,
             session_id: sessionId,
             request_id: requestId,
+            usage: data.usage,
           };
 
+          if (data.toolCalls.length > 0) {
+            result.tool_calls = data.toolCalls;
+          }
+
+          if (responseSchema) {
+            result.response_json = responseJson;
+            result.schema_retries = pending.schemaRetries;
+          }
+
           if (options.returnAudio && data.audioDelta.length > 0) {
             result.audio_base64 = data.audioDelta.join('');
             result.audio_format = 'pcm16';
             result.audio_sample_rate = 24000;
           }
 
+          this._notifyResponseDone(session, requestId, data, 'http');
           resolve(result);
         },
         reject: (err) => {
@@ -220,12 +655,18 @@ export class SessionManager {
         },
         buffer: responseBuffer,
         returnAudio: options.returnAudio || false,
-      });
+        modalities: options.returnAudio ? ['text', 'audio'] : ['text'],
+        // Con response_schema, las instrucciones de la sesión más el formato pedido
+        instructions: responseSchema ? `${session.instructions}\n\n${jsonOutputInstructions(responseSchema)}` : null,
+        onEvent: options.onEvent,
+      };
+      session.pendingResponses.set(requestId, pending);
 
       // 1. Agregar el mensaje del usuario a la conversación
       session.ws.send(JSON.stringify({
         type: 'conversation.item.create',
         item: {
+          id: responseBuffer.itemId,
           type: 'message',
           role: 'user',
           content: [{
@@ -237,13 +678,7 @@ export class SessionManager {
       }));
 
       // 2. Solicitar que genere una respuesta
-      session.ws.send(JSON.stringify({
-        type: 'response.create',
-        event_id: `res_${requestId}`,
-        response: {
-          modalities: options.returnAudio ? ['text', 'audio'] : ['text'],
-        },
-      }));
+      this._requestResponse(session, pending);
     });
   }
 
@@ -252,53 +687,88 @@ export class SessionManager {
    * @param {string} sessionId
    * @param {string} audioBase64 - Audio en formato PCM16 codificado en base64
    * @param {Object} options
-   * @param {boolean} options.returnAudio - Si incluir audio en la respuesta
+   * @param {boolean} options.returnAudio - Si incluir audio en la respuesta (default: según las modalities de la sesión)
+   * @param {Function} options.onEvent - Callback para streaming ({ type, ... }) a medida que llegan los deltas
    * @returns {Promise<{response_text, input_transcript, audio_base64, duration_ms}>}
    */
   async sendAudio(sessionId, audioBase64, options = {}) {
     const session = this._getSession(sessionId);
     session.lastActivityAt = Date.now();
 
-    const requestId = uuidv4();
-    log.info(`[Session ${sessionId}] Enviando audio [req:${requestId.slice(0, 8)}]`);
-
     if (!audioBase64 || audioBase64.length === 0) {
-      log.error(`[Session ${sessionId}] Buffer de audio vacío, abortando [req:${requestId.slice(0, 8)}]`);
+      log.error(`[Session ${sessionId}] Buffer de audio vacío, abortando`);
       throw new Error('Error: El buffer de audio recibido está vacío.');
     }
 
+    return this._enqueueTurn(session, () => this._runAudioTurn(sessionId, audioBase64, options));
+  }
+
+  async _runAudioTurn(sessionId, audioBase64, options) {
+    const session = this._getSession(sessionId);
+    session.lastActivityAt = Date.now();
+
+    const requestId = uuidv4();
+    // Sin return_audio explícito, la respuesta respeta las modalities de la sesión
+    const returnAudio = options.returnAudio === undefined
+      ? session.config.modalities.includes('audio')
+      : options.returnAudio !== false;
+    log.info(`[Session ${sessionId}] Enviando audio [req:${requestId.slice(0, 8)}]`);
+
     return new Promise((resolve, reject) => {
       const startTime = Date.now();
       const responseBuffer = {
         textDelta: '',
+        transcriptDelta: '',
         audioDelta: [],
         inputTranscript: '',
         eventId: null,
         itemId: null,
+        messageItemId: null,
+        functionCalls: [],
+        toolCalls: [],
+        usage: { ...EMPTY_USAGE },
+        firstDeltaAt: null,
+        audioSeconds: 0,
       };
 
       const timeout = setTimeout(() => {
         session.pendingResponses.delete(requestId);
+        this._cancelTimedOutResponse(session);
+        metrics.responseTimeouts.inc({ type: 'audio' });
         reject(new Error(`Timeout esperando respuesta de OpenAI (${this.config.responseTimeoutMs}ms)`));
       }, this.config.responseTimeoutMs);
 
-      session.pendingResponses.set(requestId, {
+      const pending = {
+        requestId,
+        responseId: null,
+        awaitingResponse: false,
         resolve: (data) => {
           clearTimeout(timeout);
           const durationMs = Date.now() - startTime;
+          metrics.responseDuration.observe({ type: 'audio' }, durationMs / 1000);
 
+          // El audio del usuario se envía completo al inicio del turno; la respuesta va después
+          const userStartMs = this._offsetMs(session, startTime);
+          const userEndMs = userStartMs + Math.round(getPcmDurationSeconds(audioBase64) * 1000);
           session.conversationHistory.push({
             role: 'user',
             content: data.inputTranscript || '[audio]',
             content_type: 'audio',
+            item_id: data.itemId,
             timestamp: new Date().toISOString(),
+            start_ms: userStartMs,
+            end_ms: userEndMs,
           });
           session.conversationHistory.push({
             role: 'assistant',
             content: data.textDelta,
+            item_id: data.messageItemId,
             timestamp: new Date().toISOString(),
+            ...this._responseTiming(session, data, userEndMs),
             has_audio: data.audioDelta.length > 0,
+            ...(data.toolCalls.length > 0 && { tool_calls: data.toolCalls }),
           });
+          this._persistSession(session);
 
           const result = {
             response_text: data.textDelta,
@@ -306,21 +776,27 @@ export class SessionManager {
             duration_ms: durationMs,
             session_id: sessionId,
             request_id: requestId,
+            usage: data.usage,
           };
 
+          if (data.toolCalls.length > 0) {
+            result.tool_calls = data.toolCalls;
+          }
+
           const audioChunks = data.audioDelta.length;
           const audioBytes = data.audioDelta.reduce((acc, d) => acc + d.length, 0);
           log.info(`[Session ${session.id}] Audio chunks: ${audioChunks}, ~${audioBytes} chars base64`);
 
-          if (options.returnAudio !== false && audioChunks > 0) {
+          if (returnAudio && audioChunks > 0) {
             result.audio_base64 = data.audioDelta.join('');
             result.audio_format = 'pcm16';
             result.audio_sample_rate = 24000;
             log.info(`[Session ${session.id}] Audio listo para enviar al cliente (${Math.round(audioBytes * 0.75 / 1024)}KB)`);
-          } else if (audioChunks === 0) {
+          } else if (returnAudio && audioChunks === 0) {
             log.warn(`[Session ${session.id}] OpenAI no devolvió audio. Verifica que el modelo soporte audio en modalities.`);
           }
 
+          this._notifyResponseDone(session, requestId, data, 'http');
           resolve(result);
         },
         reject: (err) => {
@@ -328,9 +804,12 @@ export class SessionManager {
           reject(err);
         },
         buffer: responseBuffer,
-        returnAudio: options.returnAudio !== false,
+        returnAudio,
+        modalities: returnAudio ? ['text', 'audio'] : ['text'],
         isAudioInput: true,
-      });
+        onEvent: options.onEvent,
+      };
+      session.pendingResponses.set(requestId, pending);
 
       // Limpiar el buffer de audio y cancelar cualquier respuesta previa
       // para evitar errores de concurrencia (conversation_already_has_active_response)
@@ -342,7 +821,10 @@ export class SessionManager {
         type: 'response.cancel'
       }));
 
+      metrics.audioBytes.inc({ direction: 'in' }, base64ByteLength(audioBase64));
+
       // Enviar el audio en chunks (máximo ~15KB por mensaje)
+      this._recordAudio(session, 'user', audioBase64);
       const CHUNK_SIZE = 15000;
       for (let i = 0; i < audioBase64.length; i += CHUNK_SIZE) {
         session.ws.send(JSON.stringify({
@@ -360,126 +842,632 @@ export class SessionManager {
       // Solicitar respuesta con un pequeño delay de seguridad
       // para dar tiempo a que se procese la cancelación y el commit del buffer
       setTimeout(() => {
-        if (session.status === 'connected') {
-          session.ws.send(JSON.stringify({
-            type: 'response.create',
-            event_id: `res_${requestId}`,
-            response: {
-              modalities: options.returnAudio !== false ? ['text', 'audio'] : ['text'],
-            },
-          }));
+        if (session.status === 'connected' && session.pendingResponses.has(requestId)) {
+          this._requestResponse(session, pending);
         }
       }, 250);
     });
   }
 
+  /**
+   * Actualiza la configuración de la sesión en curso. Solo se envían a OpenAI
+   * los campos que cambian; todos se validan antes de aplicar ninguno.
+   * Si cambian las instrucciones o la metadata, las variables de la plantilla se
+   * vuelven a renderizar (ver utils/templates.js).
+   * @param {string} sessionId
+   * @param {Object} changes - instructions, voice, metadata y/o campos de utils/session-config.js
+   * @returns {{session_id, updated: string[], config, missing_variables?}}
+   */
+  async updateSession(sessionId, changes = {}) {
+    const session = this._getSession(sessionId);
+    const { instructions, voice, metadata, ...configChanges } = changes;
+
+    if (instructions !== undefined && (typeof instructions !== 'string' || instructions.trim() === '')) {
+      throw new Error('El campo "instructions" es inválido: debe ser un texto no vacío');
+    }
+    if (metadata !== undefined && (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata))) {
+      throw new Error('El campo "metadata" es inválido: debe ser un objeto (un valor null borra esa clave)');
+    }
+    if (voice !== undefined) {
+      validateVoice(voice);
+      // OpenAI no permite cambiar la voz cuando ya hay audio del asistente en la conversación
+      if (voice !== session.voice && session.conversationHistory.some((m) => m.role === 'assistant' && m.has_audio)) {
+        throw new Error('El campo "voice" es inválido: la voz no se puede cambiar después de que el asistente respondió con audio');
+      }
+    }
+    const config = normalizeSessionConfig(configChanges, session.config);
+
+    const changedFields = SESSION_CONFIG_FIELDS.filter((field) => configChanges[field] !== undefined);
+    const update = toOpenAISessionConfig(config, changedFields);
+    if (instructions !== undefined) session.instructionsTemplate = instructions;
+    if (metadata !== undefined) session.metadata = mergeMetadata(session.metadata, metadata);
+    let missingVariables;
+    if (instructions !== undefined || (metadata !== undefined && hasTemplateVariables(session.instructionsTemplate))) {
+      const rendered = this._renderInstructions(session);
+      update.instructions = session.instructions = rendered.text;
+      missingVariables = rendered.missing;
+    }
+    if (voice !== undefined) update.voice = session.voice = voice;
+    session.config = config;
+    session.lastActivityAt = Date.now();
+
+    // Si se está reconectando, el session.update de la reconexión ya lleva la nueva configuración
+    if (session.status === 'connected' && Object.keys(update).length > 0) {
+      session.ws.send(JSON.stringify({
+        type: 'session.update',
+        event_id: `cfg_${uuidv4()}`,
+        session: update,
+      }));
+    }
+    this._persistSession(session);
+
+    const updated = [
+      ...(instructions !== undefined ? ['instructions'] : []),
+      ...(voice !== undefined ? ['voice'] : []),
+      ...(metadata !== undefined ? ['metadata'] : []),
+      ...changedFields,
+    ];
+    log.info(`[Session ${sessionId}] Configuración actualizada: ${updated.join(', ')}`);
+    return {
+      session_id: sessionId,
+      updated,
+      config: { voice: session.voice, ...session.config },
+      ...(missingVariables && { missing_variables: missingVariables }),
+    };
+  }
+
+  // Instrucciones de la sesión con las variables de su plantilla reemplazadas
+  _renderInstructions(session) {
+    return renderTemplate(session.instructionsTemplate, { metadata: session.metadata, sessionId: session.id });
+  }
+
   /**
    * Actualiza las instrucciones de la sesión en curso
    * @param {string} sessionId
    * @param {string} instructions - Nuevas instrucciones del sistema
    */
   async updateInstructions(sessionId, instructions) {
+    await this.updateSession(sessionId, { instructions });
+    return { success: true, session_id: sessionId };
+  }
+
+  // ─────────────────────────────────────────────
+  //  Items de la conversación en OpenAI
+  // ─────────────────────────────────────────────
+
+  /**
+   * Lista los items de la conversación tal como están en OpenAI (sin audio). Si la sesión
+   * solo está en el store, los que va a crear la restauración (el historial reproducido)
+   * @returns {Promise<{session_id, items: Object[], total}>}
+   */
+  async listItems(sessionId) {
+    const session = await this._getReadableSession(sessionId);
+    if (!session) throw new Error(`Sesión no encontrada: ${sessionId}`);
+    const items = session.conversationItems.map(toPublicItem);
+    return { session_id: sessionId, items, total: items.length };
+  }
+
+  /**
+   * Inserta un mensaje en la conversación sin pedir respuesta (contexto para el modelo).
+   * Se ejecuta en la cola de turnos: no se mezcla con una respuesta en curso.
+   * @param {string} sessionId
+   * @param {Object} options
+   * @param {string} options.role - system, assistant o user
+   * @param {string} options.content - Texto del mensaje
+   * @param {string} options.previousItemId - Item después del cual insertarlo ('root' = al inicio; default: al final)
+   * @returns {Promise<{session_id, item_id, role, content, previous_item_id}>}
+   */
+  async injectItem(sessionId, { role, content, previousItemId } = {}) {
     const session = this._getSession(sessionId);
-    session.instructions = instructions;
+    if (!INJECTABLE_ROLES.includes(role)) {
+      throw new Error(`El campo "role" es inválido: debe ser ${INJECTABLE_ROLES.join(', ')}`);
+    }
+    if (typeof content !== 'string' || content.trim() === '') {
+      throw new Error('El campo "content" es inválido: debe ser un texto no vacío');
+    }
+    if (previousItemId !== undefined && previousItemId !== null && typeof previousItemId !== 'string') {
+      throw new Error('El campo "previous_item_id" es inválido: debe ser un item_id o "root"');
+    }
     session.lastActivityAt = Date.now();
 
-    session.ws.send(JSON.stringify({
-      type: 'session.update',
-      session: {
-        instructions: instructions,
+    return this._enqueueTurn(session, () => this._insertItem(session, { role, content, previousItemId, source: 'injected' }));
+  }
+
+  // Agrega un mensaje a la conversación en OpenAI y al historial (source: injected | greeting | handoff);
+  // `details` son campos extra del mensaje en el historial
+  async _insertItem(session, { role, content, previousItemId, source, details }) {
+    if (previousItemId && previousItemId !== 'root' && !findItem(session.conversationItems, previousItemId)) {
+      throw new Error(`Item no encontrado: ${previousItemId}`);
+    }
+    const itemId = newItemId();
+    await this._sendItemOp(session, 'conversation.item.created', itemId, {
+      type: 'conversation.item.create',
+      ...(previousItemId && { previous_item_id: previousItemId }),
+      item: {
+        id: itemId,
+        type: 'message',
+        role,
+        content: [{ type: role === 'assistant' ? 'text' : 'input_text', text: content }],
       },
-    }));
+    });
 
-    log.info(`[Session ${sessionId}] Instrucciones actualizadas`);
-    return { success: true, session_id: sessionId };
+    // Insertado entre mensajes anteriores, toma el offset del mensaje previo (el historial sigue ordenado)
+    const history = session.conversationHistory;
+    const index = previousItemId ? this._historyIndexAfter(session, itemId) : history.length;
+    const atMs = index === history.length ? this._offsetMs(session) : (history[index - 1]?.end_ms ?? 0);
+    history.splice(index, 0, {
+      role,
+      content,
+      item_id: itemId,
+      timestamp: new Date().toISOString(),
+      start_ms: atMs,
+      end_ms: atMs,
+      source,
+      ...details,
+    });
+    this._persistSession(session);
+
+    log.info(`[Session ${session.id}] Item insertado (${role}): ${itemId}`);
+    return { session_id: session.id, item_id: itemId, role, content, previous_item_id: previousItemId || null };
   }
 
   /**
-   * Obtiene información y estado de una sesión
+   * Pide al asistente que diga el saludo de la sesión en voz (llamadas y audio en vivo,
+   * con el consumidor ya conectado). Solo si la conversación todavía no empezó.
+   * @returns {boolean} true si se pidió el saludo
    */
-  getSession(sessionId) {
-    const session = this.sessions.get(sessionId);
-    if (!session) return null;
-    return {
-      session_id: session.id,
-      status: session.status,
-      model: session.model,
-      voice: session.voice,
-      created_at: session.createdAt,
-      last_activity_at: new Date(session.lastActivityAt).toISOString(),
-      message_count: session.conversationHistory.length,
-      instructions_preview: session.instructions.substring(0, 100) + (session.instructions.length > 100 ? '...' : ''),
-      metadata: session.metadata,
-    };
+  speakGreeting(sessionId) {
+    const session = this._getSession(sessionId);
+    if (!session.greeting || session.conversationHistory.length > 0 || session.status !== 'connected') return false;
+    session.ws.send(JSON.stringify({
+      type: 'response.create',
+      response: {
+        modalities: ['text', 'audio'],
+        instructions: `Saluda al usuario diciendo exactamente este texto, sin agregar nada: "${session.greeting}"`,
+      },
+    }));
+    log.info(`[Session ${sessionId}] Saludo inicial solicitado`);
+    return true;
   }
 
   /**
-   * Obtiene el historial de conversación de una sesión
+   * Elimina un item de la conversación (y su mensaje del historial)
+   * @returns {Promise<{session_id, item_id, deleted: true}>}
    */
-  getHistory(sessionId) {
+  async deleteItem(sessionId, itemId) {
     const session = this._getSession(sessionId);
-    return {
-      session_id: sessionId,
-      messages: session.conversationHistory,
-      total: session.conversationHistory.length,
-    };
+    session.lastActivityAt = Date.now();
+
+    return this._enqueueTurn(session, async () => {
+      if (!findItem(session.conversationItems, itemId)) throw new Error(`Item no encontrado: ${itemId}`);
+      await this._sendItemOp(session, 'conversation.item.deleted', itemId, {
+        type: 'conversation.item.delete',
+        item_id: itemId,
+      });
+
+      session.conversationHistory = session.conversationHistory.filter((m) => m.item_id !== itemId);
+      this._persistSession(session);
+      log.info(`[Session ${sessionId}] Item eliminado: ${itemId}`);
+      return { session_id: sessionId, item_id: itemId, deleted: true };
+    });
   }
 
   /**
-   * Lista todas las sesiones activas
+   * Trunca el audio de un mensaje del asistente en el punto hasta donde el usuario lo
+   * escuchó. OpenAI descarta el resto (y la transcripción); el historial conserva el
+   * texto original en `original_content` y deja en `content` la parte escuchada.
+   * @param {string} sessionId
+   * @param {string} itemId - Item de un mensaje del asistente con audio
+   * @param {Object} options
+   * @param {number} options.audioEndMs - Milisegundos de audio escuchados
+   * @param {number} options.contentIndex - Parte del contenido con el audio (default: 0)
+   * @returns {Promise<{session_id, item_id, audio_end_ms, content}>}
    */
-  listSessions() {
-    const sessions = [];
-    for (const [id, session] of this.sessions) {
-      sessions.push(this.getSession(id));
+  async truncateItem(sessionId, itemId, { audioEndMs, contentIndex = 0 } = {}) {
+    const session = this._getSession(sessionId);
+    if (!Number.isInteger(audioEndMs) || audioEndMs < 0) {
+      throw new Error('El campo "audio_end_ms" es inválido: debe ser un entero mayor o igual a 0');
     }
-    return sessions;
+    if (!Number.isInteger(contentIndex) || contentIndex < 0) {
+      throw new Error('El campo "content_index" es inválido: debe ser un entero mayor o igual a 0');
+    }
+    session.lastActivityAt = Date.now();
+
+    return this._enqueueTurn(session, async () => {
+      const item = findItem(session.conversationItems, itemId);
+      if (!item) throw new Error(`Item no encontrado: ${itemId}`);
+      if (item.role !== 'assistant' || !hasAudioContent(item)) {
+        throw new Error(`El item es inválido para truncar: solo se truncan mensajes del asistente con audio (${itemId})`);
+      }
+      await this._sendItemOp(session, 'conversation.item.truncated', itemId, {
+        type: 'conversation.item.truncate',
+        item_id: itemId,
+        content_index: contentIndex,
+        audio_end_ms: audioEndMs,
+      });
+
+      const message = session.conversationHistory.find((m) => m.item_id === itemId);
+      if (message) {
+        const totalMs = message.end_ms - message.start_ms;
+        message.original_content ??= message.content;
+        message.content = heardText(message.original_content, audioEndMs, totalMs);
+        message.truncated_audio_ms = audioEndMs;
+        if (audioEndMs < totalMs) message.end_ms = message.start_ms + audioEndMs;
+        this._persistSession(session);
+      }
+      log.info(`[Session ${sessionId}] Item truncado en ${audioEndMs}ms: ${itemId}`);
+      return { session_id: sessionId, item_id: itemId, audio_end_ms: audioEndMs, content: message?.content ?? null };
+    });
   }
 
+  // ─────────────────────────────────────────────
+  //  Transferencia entre agentes (handoff)
+  // ─────────────────────────────────────────────
+
   /**
-   * Cierra una sesión y libera recursos
+   * Transfiere la conversación a otro agente con el mismo session_id: cambian las
+   * instrucciones, la voz, las herramientas y la configuración. Antes del cambio, el
+   * agente actual puede resumir la conversación (respuesta fuera de banda); el resumen
+   * va en un mensaje de sistema para el nuevo agente, que queda en el historial con
+   * los datos de la transferencia.
+   *
+   * OpenAI no permite cambiar la voz si ya hay audio del asistente: en ese caso se abre
+   * una conexión nueva con la configuración del nuevo agente y se reproduce el historial.
+   * @param {string} sessionId
+   * @param {Object} target
+   * @param {string} target.profile - Perfil del nuevo agente; los demás campos lo sobrescriben
+   * @param {string} target.instructions - Instrucciones del nuevo agente (admiten variables, ver utils/templates.js)
+   * @param {string} target.voice - Default: la del perfil o la actual
+   * @param {Array} target.tools - Default: las del perfil o las actuales
+   * @param {Object} target.config - Campos de configuración que cambian (ver utils/session-config.js)
+   * @param {boolean} target.summary - Resume la conversación para el nuevo agente (default: true)
+   * @param {string} target.reason - Motivo de la transferencia
+   * @returns {Promise<{session_id, item_id, from, to, summary, reconnected, missing_variables}>}
    */
-  async closeSession(sessionId) {
-    const session = this.sessions.get(sessionId);
-    if (!session) return { success: false, error: 'Sesión no encontrada' };
+  async handoff(sessionId, { profile: profileName, instructions, voice, tools, config: configChanges, summary = true, reason } = {}) {
+    const session = this._getSession(sessionId);
+    const profile = this._resolveProfile(profileName);
+    const instructionsTemplate = instructions ?? profile?.instructions;
+    if (typeof instructionsTemplate !== 'string' || instructionsTemplate.trim() === '') {
+      throw new Error('El campo "instructions" es inválido: el nuevo agente necesita instrucciones (propias o de su perfil)');
+    }
+    // Las herramientas actuales ya están normalizadas: solo se validan las nuevas
+    const newTools = tools ?? profile?.tools;
+    const target = {
+      instructionsTemplate,
+      voice: validateVoice(voice || profile?.voice || session.voice),
+      tools: newTools === undefined ? session.tools : normalizeTools(newTools),
+      config: normalizeSessionConfig({ ...profile?.config, ...configChanges }, session.config),
+      profile: profile && { name: profile.name, version: profile.version },
+    };
+    if (typeof summary !== 'boolean') {
+      throw new Error('El campo "summary" es inválido: debe ser true o false');
+    }
+    if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+      throw new Error('El campo "reason" es inválido: debe ser un texto de hasta 500 caracteres');
+    }
+    session.lastActivityAt = Date.now();
 
-    this._rejectAllPending(session, new Error('Sesión cerrada manualmente'));
-    session.ws.terminate();
-    this.sessions.delete(sessionId);
-    log.info(`[Session ${sessionId}] Sesión cerrada manualmente`);
-    return { success: true, session_id: sessionId };
+    return this._enqueueTurn(session, async () => {
+      const summaryText = summary
+        ? (await this._runOutOfBandResponse(session, { instructions: HANDOFF_SUMMARY_INSTRUCTIONS, source: 'handoff' })).text.trim() || null
+        : null;
+
+      const from = { profile: session.profile, voice: session.voice, tools: session.tools.map((t) => t.name) };
+      const previous = {
+        instructions: session.instructions,
+        instructionsTemplate: session.instructionsTemplate,
+        voice: session.voice,
+        tools: session.tools,
+        config: session.config,
+        profile: session.profile,
+      };
+      const reconnect = target.voice !== session.voice &&
+        session.conversationHistory.some((m) => m.role === 'assistant' && m.has_audio);
+      Object.assign(session, target);
+      const { text, missing } = this._renderInstructions(session);
+      session.instructions = text;
+
+      const to = { profile: session.profile, voice: session.voice, tools: session.tools.map((t) => t.name) };
+      const note = `Transferencia de agente${reason ? ` (motivo: ${reason})` : ''}: desde aquí la conversación ` +
+        'continúa con otro agente, que sigue sus propias instrucciones.' +
+        (summaryText ? `\nResumen de la conversación hasta ahora:\n${summaryText}` : '');
+      let itemId;
+      try {
+        if (reconnect) {
+          await this._replaceConnection(session);
+        } else {
+          this._sendSessionUpdate(session);
+        }
+        ({ item_id: itemId } = await this._insertItem(session, {
+          role: 'system',
+          content: note,
+          source: 'handoff',
+          details: { handoff: { from, to, reason: reason || null, summary: summaryText } },
+        }));
+      } catch (err) {
+        // Sin nota de transferencia, la sesión sigue con el agente anterior. Tras una
+        // conexión nueva (historial reproducido como texto) OpenAI acepta volver a la voz anterior.
+        Object.assign(session, previous);
+        if (session.status === 'connected') this._sendSessionUpdate(session);
+        throw err;
+      }
+
+      log.info(`[Session ${sessionId}] Handoff a ${to.profile ? `perfil "${to.profile.name}"` : 'nuevas instrucciones'}${reconnect ? ' (conexión nueva)' : ''}`);
+      this._notify(session, 'session.handoff', { from, to, reason: reason || null, summary: summaryText, item_id: itemId });
+      return {
+        session_id: sessionId,
+        item_id: itemId,
+        from,
+        to,
+        summary: summaryText,
+        reconnected: reconnect,
+        missing_variables: missing,
+      };
+    });
   }
 
   // ─────────────────────────────────────────────
-  //  Handlers internos de eventos de OpenAI
+  //  Análisis fuera de banda
   // ─────────────────────────────────────────────
 
-  _handleOpenAIEvent(session, event) {
-    const { type } = event;
-    log.debug(`[Session ${session.id}] Evento: ${type}`);
-
-    switch (type) {
-      case 'session.created':
-      case 'session.updated':
-        log.debug(`[Session ${session.id}] Sesión configurada en OpenAI`);
-        break;
+  /**
+   * Analiza la conversación hasta ahora (intención, sentimiento, resumen...) con una
+   * respuesta fuera de banda: el modelo ve el contexto, pero ni el pedido ni el
+   * resultado quedan en la conversación ni en el historial.
+   * @param {string} sessionId
+   * @param {Object} options
+   * @param {string} options.prompt - Qué analizar (ej: "Clasifica la intención del usuario")
+   * @param {Object} options.schema - JSON Schema del resultado (opcional)
+   * @returns {Promise<{session_id, request_id, result, duration_ms, usage}>}
+   */
+  async analyze(sessionId, { prompt, schema } = {}) {
+    const session = this._getSession(sessionId);
+    if (typeof prompt !== 'string' || prompt.trim() === '') {
+      throw new Error('El campo "prompt" es inválido: debe ser un texto no vacío');
+    }
+    validateJsonSchema(schema);
+    session.lastActivityAt = Date.now();
+
+    return this._enqueueTurn(session, async () => {
+      const startTime = Date.now();
+      const { text, usage, request_id: requestId } = await this._runOutOfBandResponse(session, {
+        instructions: `${prompt.trim()}\n\nAnaliza la conversación hasta ahora. ${jsonOutputInstructions(schema)}`,
+        source: 'analysis',
+      });
+
+      // El modelo respondió, pero no con lo pedido: el error lleva los motivos para diagnosticar
+      const { value: result, errors } = checkJsonOutput(text, schema);
+      if (errors.length > 0) throw new Error(`Análisis fallido: ${errors.join('; ')}`);
+
+      log.info(`[Session ${sessionId}] Análisis completo [req:${requestId.slice(0, 8)}]`);
+      return {
+        session_id: sessionId,
+        request_id: requestId,
+        result,
+        duration_ms: Date.now() - startTime,
+        usage,
+      };
+    });
+  }
+
+  // ─────────────────────────────────────────────
+  //  Audio en vivo (full-duplex, turnos por server VAD)
+  // ─────────────────────────────────────────────
+
+  /**
+   * Conecta un consumidor en vivo a la sesión. Recibe todos los eventos de la
+   * conversación ({ type, ... }): speech_started, input_transcript, audio.delta,
+   * transcript.delta, response.done, error y session.closed.
+   * @param {string} sessionId
+   * @param {Function} listener
+   * @returns {Function} Función para desconectar el consumidor
+   */
+  attachLiveListener(sessionId, listener) {
+    const session = this._getSession(sessionId);
+    session.liveListeners.add(listener);
+    session.lastActivityAt = Date.now();
+    log.info(`[Session ${sessionId}] Cliente en vivo conectado (${session.liveListeners.size} activos)`);
+
+    return () => {
+      session.liveListeners.delete(listener);
+      log.info(`[Session ${sessionId}] Cliente en vivo desconectado`);
+    };
+  }
+
+  /**
+   * Agrega un frame de audio del micrófono (PCM16 24kHz mono, base64) al buffer de entrada.
+   * El server VAD de OpenAI decide cuándo termina el turno y genera la respuesta.
+   */
+  appendAudio(sessionId, audioBase64) {
+    const session = this._getSession(sessionId);
+    session.lastActivityAt = Date.now();
+    if (session.status !== 'connected') return; // reconectando: el audio de ese intervalo se pierde
+    metrics.audioBytes.inc({ direction: 'in' }, base64ByteLength(audioBase64));
+    this._recordAudio(session, 'user', audioBase64, { sequential: false }); // tiempo real: puede pisar al asistente
+    session.ws.send(JSON.stringify({
+      type: 'input_audio_buffer.append',
+      audio: audioBase64,
+    }));
+  }
+
+  /**
+   * Cierra el turno del usuario manualmente (push-to-talk) y solicita respuesta
+   */
+  commitAudio(sessionId) {
+    const session = this._getSession(sessionId);
+    session.lastActivityAt = Date.now();
+    if (session.status !== 'connected') return;
+    session.ws.send(JSON.stringify({ type: 'input_audio_buffer.commit' }));
+    session.ws.send(JSON.stringify({ type: 'response.create' }));
+  }
+
+  /**
+   * Cancela la respuesta en curso (barge-in iniciado por el cliente)
+   */
+  cancelResponse(sessionId) {
+    const session = this._getSession(sessionId);
+    if (session.status !== 'connected') return;
+    session.ws.send(JSON.stringify({ type: 'response.cancel' }));
+  }
+
+  /**
+   * Obtiene información y estado de una sesión activa
+   */
+  getSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session ? this._describeSession(session) : null;
+  }
+
+  /**
+   * Como getSession, pero una sesión que solo está en el store se lee de ahí (status 'closed')
+   * @returns {Promise<Object|null>}
+   */
+  async getSessionInfo(sessionId) {
+    const session = await this._getReadableSession(sessionId);
+    return session ? this._describeSession(session) : null;
+  }
+
+  _describeSession(session) {
+    return {
+      session_id: session.id,
+      status: session.status,
+      model: session.model,
+      voice: session.voice,
+      created_at: session.createdAt,
+      last_activity_at: new Date(session.lastActivityAt).toISOString(),
+      message_count: session.conversationHistory.length,
+      instructions_preview: session.instructions.substring(0, 100) + (session.instructions.length > 100 ? '...' : ''),
+      tools: session.tools.map((t) => t.name),
+      config: { voice: session.voice, ...session.config },
+      webhook_url: session.webhookUrl,
+      queue_depth: session.queueDepth,
+      in_flight: session.pendingResponses.size,
+      live_clients: session.liveListeners.size,
+      reconnect_count: session.reconnectCount,
+      last_disconnect_reason: session.lastDisconnectReason,
+      last_disconnect_at: session.lastDisconnectAt,
+      usage: session.usage,
+      rate_limits: session.rateLimits,
+      owner_id: session.ownerId,
+      record: session.record,
+      profile: session.profile,
+      metadata: session.metadata,
+    };
+  }
+
+  /**
+   * Obtiene el historial de conversación de una sesión (activa o guardada en el store)
+   * @returns {Promise<{session_id, created_at, messages, total}>}
+   */
+  async getHistory(sessionId) {
+    const session = await this._getReadableSession(sessionId);
+    if (!session) throw new Error(`Sesión no encontrada: ${sessionId}`);
+    return {
+      session_id: sessionId,
+      created_at: session.createdAt,
+      messages: session.conversationHistory,
+      total: session.conversationHistory.length,
+    };
+  }
+
+  /**
+   * Lista las sesiones activas (en modo cluster, las de todos los workers)
+   * @param {Object} filters
+   * @param {string} filters.ownerId - Solo las de esta clave de API (default: todas)
+   * @param {string} filters.profile - Solo las creadas con este perfil de agente
+   * @returns {Promise<Object[]>} Info de cada sesión (como getSession); en cluster, con `worker`
+   */
+  async listSessions(filters = {}) {
+    if (!this.cluster) return this.listLocalSessions(filters);
+    const workers = await this.cluster.collect('sessions', filters);
+    return workers.flatMap(({ worker, result }) => (result || []).map((session) => ({ ...session, worker })));
+  }
+
+  /**
+   * Lista las sesiones activas de este proceso
+   */
+  listLocalSessions({ ownerId, profile } = {}) {
+    const sessions = [];
+    for (const [id, session] of this.sessions) {
+      if (ownerId !== undefined && session.ownerId !== ownerId) continue;
+      if (profile !== undefined && session.profile?.name !== profile) continue;
+      sessions.push(this.getSession(id));
+    }
+    return sessions;
+  }
+
+  /**
+   * Clave de API dueña de una sesión, activa o persistida
+   * @returns {Promise<string|null|undefined>} owner_id (null = sin dueño), o undefined si la sesión no existe
+   */
+  async getSessionOwner(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session) return session.ownerId;
+    const record = await this.store.load(sessionId);
+    return record ? (record.owner_id ?? null) : undefined;
+  }
+
+  /**
+   * Cierra una sesión, libera recursos y la elimina del store
+   */
+  async closeSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    const stored = await this.store.delete(sessionId).catch((err) => {
+      log.warn(`[Session ${sessionId}] No se pudo eliminar del store:`, err.message);
+      return false;
+    });
+    if (!session && !stored) return { success: false, error: 'Sesión no encontrada' };
+
+    if (session) {
+      this._disconnect(session, 'Sesión cerrada manualmente', 'deleted');
+      this._notify(session, 'session.closed', { reason: 'Sesión cerrada manualmente', resumable: false });
+    }
+    log.info(`[Session ${sessionId}] Sesión cerrada manualmente`);
+    return { success: true, session_id: sessionId };
+  }
+
+  // ─────────────────────────────────────────────
+  //  Handlers internos de eventos de OpenAI
+  // ─────────────────────────────────────────────
+
+  _handleOpenAIEvent(session, event) {
+    const { type } = event;
+    log.debug(`[Session ${session.id}] Evento: ${type}`);
+
+    switch (type) {
+      case 'session.created':
+      case 'session.updated':
+        log.debug(`[Session ${session.id}] Sesión configurada en OpenAI`);
+        break;
 
       // Texto delta - soporta tanto beta (response.text.delta) como GA (response.output_text.delta)
       case 'response.text.delta':
       case 'response.output_text.delta': {
-        const pending = this._getLatestPending(session);
+        const pending = this._getPendingByResponse(session, event.response_id);
         if (pending) {
           pending.buffer.textDelta += event.delta || '';
+          pending.buffer.firstDeltaAt ??= Date.now();
         }
+        this._emitTurnEvent(session, pending, { type: 'text.delta', delta: event.delta || '' });
         break;
       }
 
       // Audio delta - soporta tanto beta (response.audio.delta) como GA (response.output_audio.delta)
       case 'response.audio.delta':
       case 'response.output_audio.delta': {
-        const pending = this._getLatestPending(session);
+        const pending = this._getPendingByResponse(session, event.response_id);
+        metrics.audioBytes.inc({ direction: 'out' }, base64ByteLength(event.delta));
+        this._recordAudio(session, 'assistant', event.delta);
+        if (pending) {
+          pending.buffer.firstDeltaAt ??= Date.now();
+          pending.buffer.audioSeconds += getPcmDurationSeconds(event.delta || '');
+        }
         if (pending && pending.returnAudio) {
           pending.buffer.audioDelta.push(event.delta || '');
+          this._emitTurnEvent(session, pending, { type: 'audio.delta', delta: event.delta || '' });
+        } else {
+          this._emitLiveEvent(session, { type: 'audio.delta', delta: event.delta || '' });
         }
         break;
       }
@@ -487,31 +1475,153 @@ export class SessionManager {
       // Transcripción del audio de respuesta - soporta beta y GA
       case 'response.audio_transcript.delta':
       case 'response.output_audio_transcript.delta': {
-        const pending = this._getLatestPending(session);
-        if (pending && !pending.buffer.textDelta) {
-          pending.buffer.textDelta += event.delta || '';
+        const pending = this._getPendingByResponse(session, event.response_id);
+        if (pending) {
+          pending.buffer.transcriptDelta += event.delta || '';
+          pending.buffer.firstDeltaAt ??= Date.now();
+        }
+        this._emitTurnEvent(session, pending, { type: 'transcript.delta', delta: event.delta || '' });
+        break;
+      }
+
+      // Item de audio del usuario confirmado: se asocia al turno de audio HTTP en curso
+      case 'input_audio_buffer.committed': {
+        const pending = [...session.pendingResponses.values()]
+          .find((p) => p.isAudioInput && !p.buffer.itemId);
+        if (pending) {
+          pending.buffer.itemId = event.item_id;
         }
         break;
       }
 
       case 'conversation.item.input_audio_transcription.completed': {
-        const pending = this._getLatestPending(session);
-        if (pending && pending.isAudioInput) {
+        setItemTranscript(session.conversationItems, event.item_id, event.content_index, event.transcript || '');
+        const pending = [...session.pendingResponses.values()]
+          .find((p) => p.isAudioInput && p.buffer.itemId === event.item_id);
+        if (pending) {
           pending.buffer.inputTranscript = event.transcript || '';
+          this._emitTurnEvent(session, pending, { type: 'input_transcript', transcript: event.transcript || '' });
+          this._notify(session, 'transcript.completed', {
+            transcript: event.transcript || '',
+            item_id: event.item_id,
+            request_id: pending.requestId,
+            source: 'http',
+          });
           log.info(`[Session ${session.id}] Transcripción usuario: "${event.transcript?.substring(0, 60)}"`);
+        } else if (session.liveListeners.size > 0) {
+          // Turno de voz en vivo: no hay request HTTP esperando la transcripción
+          const speech = session.liveSpeech.get(event.item_id);
+          session.liveSpeech.delete(event.item_id);
+          session.conversationHistory.push({
+            role: 'user',
+            content: event.transcript || '[audio]',
+            content_type: 'audio',
+            item_id: event.item_id,
+            timestamp: new Date().toISOString(),
+            start_ms: this._offsetMs(session, speech?.startedAt),
+            end_ms: this._offsetMs(session, speech?.stoppedAt),
+            source: 'live',
+          });
+          this._persistSession(session);
+          this._emitLiveEvent(session, { type: 'input_transcript', transcript: event.transcript || '' });
+          this._notify(session, 'transcript.completed', {
+            transcript: event.transcript || '',
+            item_id: event.item_id,
+            source: 'live',
+          });
+          log.info(`[Session ${session.id}] Transcripción usuario (en vivo): "${event.transcript?.substring(0, 60)}"`);
+        }
+        break;
+      }
+
+      // Detección de voz del server VAD: el cliente en vivo debe cortar la reproducción (barge-in)
+      case 'input_audio_buffer.speech_started':
+        this._trackLiveSpeech(session, event.item_id, { startedAt: Date.now() });
+        this._emitLiveEvent(session, { type: 'speech_started', audio_start_ms: event.audio_start_ms });
+        break;
+
+      case 'input_audio_buffer.speech_stopped':
+        this._trackLiveSpeech(session, event.item_id, { stoppedAt: Date.now() });
+        this._emitLiveEvent(session, { type: 'speech_stopped', audio_end_ms: event.audio_end_ms });
+        break;
+
+      // Asociar la respuesta real (response.id) al request que la pidió.
+      // Si ningún request la reclama, la generó el server VAD (audio en vivo).
+      case 'response.created': {
+        const responseId = event.response?.id;
+        const pending = session.pendingResponses.get(event.response?.metadata?.request_id) ||
+          [...session.pendingResponses.values()].find((p) => p.awaitingResponse);
+        if (pending) {
+          pending.responseId = responseId;
+          pending.awaitingResponse = false;
+        } else if (session.liveListeners.size > 0) {
+          this._trackLiveResponse(session, responseId);
         }
         break;
       }
 
+      // Item de la respuesta completo: llamada a herramienta (call_id, name y arguments)
+      // o mensaje del asistente (su item_id va al historial)
+      case 'response.output_item.done': {
+        const pending = this._getPendingByResponse(session, event.response_id);
+        if (!pending?.outOfBand) trackItem(session.conversationItems, event.item);
+        if (pending && event.item?.type === 'function_call') {
+          pending.buffer.functionCalls.push({
+            call_id: event.item.call_id,
+            name: event.item.name,
+            arguments: event.item.arguments,
+          });
+        } else if (pending && event.item?.type === 'message') {
+          pending.buffer.messageItemId = event.item.id;
+        }
+        break;
+      }
+
+      // Copia local de la conversación en OpenAI (ver listItems)
+      case 'conversation.item.created':
+      case 'conversation.item.added':
+      case 'conversation.item.done':
+        trackItem(session.conversationItems, event.item, event.previous_item_id);
+        this._ackItemOp(session, 'conversation.item.created', event.item?.id);
+        break;
+
+      case 'conversation.item.deleted':
+        session.conversationItems = session.conversationItems.filter((i) => i.id !== event.item_id);
+        this._ackItemOp(session, type, event.item_id);
+        break;
+
+      // Al truncar, OpenAI descarta la transcripción del audio que no se escuchó
+      case 'conversation.item.truncated': {
+        const item = findItem(session.conversationItems, event.item_id);
+        if (item) {
+          item.audio_end_ms = event.audio_end_ms;
+          const part = item.content[event.content_index || 0];
+          if (part) delete part.transcript;
+        }
+        this._ackItemOp(session, type, event.item_id);
+        break;
+      }
+
       case 'response.done': {
-        const pending = this._getLatestPending(session);
+        const pending = this._getPendingByResponse(session, event.response?.id);
+        const usage = this._recordUsage(session, event.response, pending);
         if (pending) {
-          const requestId = this._getLatestPendingId(session);
+          if (usage) pending.buffer.usage = addUsage(pending.buffer.usage, usage);
+
+          // Si el modelo pidió herramientas, ejecutarlas y esperar la respuesta final
+          if (pending.buffer.functionCalls.length > 0) {
+            this._runToolCalls(session, pending);
+            break;
+          }
+
+          // Con audio, el texto de la respuesta llega como transcripción
+          if (!pending.buffer.textDelta) {
+            pending.buffer.textDelta = pending.buffer.transcriptDelta;
+          }
+
           log.info(`[Session ${session.id}] Respuesta completa: "${pending.buffer.textDelta?.substring(0, 60)}..."`);
+          session.pendingResponses.delete(pending.requestId);
           pending.resolve(pending.buffer);
-          if (requestId) {
-            session.pendingResponses.delete(requestId);
-          }
         }
         break;
       }
@@ -523,32 +1633,47 @@ export class SessionManager {
           'response_cancel_not_active',   // response.cancel enviado sin respuesta activa
           'input_audio_buffer_commit_empty', // commit de buffer vacío (secundario)
         ];
-        if (ignoredCodes.includes(event.error?.code)) {
+        const ignored = ignoredCodes.includes(event.error?.code);
+        metrics.openaiErrors.inc({ code: event.error?.code || event.error?.type || 'unknown', ignored: String(ignored) });
+        if (ignored) {
           log.debug(`[Session ${session.id}] Error ignorado (no fatal): ${event.error?.code}`);
           break;
         }
-        const pending = this._getLatestPending(session);
+        this._emitLiveEvent(session, { type: 'error', error: event.error?.message || 'Error desconocido de OpenAI' });
+        this._notify(session, 'session.error', {
+          error: event.error?.message || 'Error desconocido de OpenAI',
+          code: event.error?.code || null,
+        });
+        // Un session.update rechazado no afecta al turno en curso
+        if (event.error?.event_id?.startsWith('cfg_')) break;
+        // Tampoco una operación sobre items: se rechaza solo la operación
+        if (event.error?.event_id?.startsWith('conv_')) {
+          this._rejectItemOp(session, event.error.event_id, new Error(`Operación inválida para OpenAI: ${event.error.message || 'error desconocido'}`));
+          break;
+        }
+        // El event_id del evento que causó el error identifica al request (msg_/res_/audio_<id>)
+        const sourceRequestId = (event.error?.event_id || '').replace(/^(msg|res|audio)_/, '');
+        const pending = session.pendingResponses.get(sourceRequestId) || this._getActivePending(session);
         if (pending) {
-          const requestId = this._getLatestPendingId(session);
+          session.pendingResponses.delete(pending.requestId);
           pending.reject(new Error(event.error?.message || 'Error desconocido de OpenAI'));
-          if (requestId) {
-            session.pendingResponses.delete(requestId);
-          }
         }
         break;
       }
 
       case 'rate_limits.updated':
-      case 'response.created':
+        session.rateLimits = {
+          limits: event.rate_limits || [],
+          updated_at: new Date().toISOString(),
+        };
+        break;
+
       case 'response.output_item.added':
       case 'response.content_part.added':
       case 'response.content_part.done':
-      case 'response.output_item.done':
-      case 'input_audio_buffer.committed':
+      case 'response.function_call_arguments.delta':
+      case 'response.function_call_arguments.done':
       case 'input_audio_buffer.cleared':
-      case 'conversation.item.created':
-      case 'conversation.item.added':
-      case 'conversation.item.done':
       case 'conversation.item.input_audio_transcription.delta':
         // Eventos informativos que no necesitamos manejar
         break;
@@ -558,16 +1683,449 @@ export class SessionManager {
     }
   }
 
-  _getLatestPending(session) {
-    const entries = [...session.pendingResponses.entries()];
-    if (entries.length === 0) return null;
-    return entries[entries.length - 1][1];
+  /**
+   * Ejecuta las herramientas pedidas por el modelo, devuelve sus resultados
+   * como function_call_output y solicita la respuesta final.
+   * El request HTTP sigue pendiente hasta que llegue esa respuesta.
+   */
+  async _runToolCalls(session, pending) {
+    const calls = pending.buffer.functionCalls.splice(0);
+    pending.toolRounds = (pending.toolRounds || 0) + 1;
+
+    if (pending.toolRounds > MAX_TOOL_ROUNDS) {
+      session.pendingResponses.delete(pending.requestId);
+      pending.reject(new Error(`Demasiadas llamadas a herramientas encadenadas (máximo ${MAX_TOOL_ROUNDS} rondas)`));
+      return;
+    }
+
+    for (const call of calls) {
+      const tool = session.tools.find((t) => t.name === call.name);
+      log.info(`[Session ${session.id}] Ejecutando herramienta "${call.name}" [call:${call.call_id}]`);
+
+      const trace = tool
+        ? await executeToolCall(tool, call, {
+          sessionId: session.id,
+          metadata: session.metadata,
+          timeoutMs: this.config.toolTimeoutMs,
+        })
+        : {
+          name: call.name,
+          call_id: call.call_id,
+          arguments: call.arguments,
+          output: JSON.stringify({ error: `Herramienta desconocida: ${call.name}` }),
+          success: false,
+          error: `Herramienta desconocida: ${call.name}`,
+          duration_ms: 0,
+        };
+      pending.buffer.toolCalls.push(trace);
+      this._emitTurnEvent(session, pending, { type: 'tool_call', ...trace });
+
+      // La sesión pudo cerrarse o el request expirar mientras esperábamos el webhook
+      if (session.status !== 'connected' || !session.pendingResponses.has(pending.requestId)) {
+        return;
+      }
+
+      session.ws.send(JSON.stringify({
+        type: 'conversation.item.create',
+        item: {
+          type: 'function_call_output',
+          call_id: call.call_id,
+          output: trace.output,
+        },
+      }));
+    }
+
+    // Solo se devuelve al cliente la respuesta final (posterior a las herramientas)
+    pending.buffer.textDelta = '';
+    pending.buffer.transcriptDelta = '';
+    pending.buffer.audioDelta = [];
+
+    this._requestResponse(session, pending);
   }
 
-  _getLatestPendingId(session) {
-    const entries = [...session.pendingResponses.keys()];
-    if (entries.length === 0) return null;
-    return entries[entries.length - 1];
+  /**
+   * Solicita una respuesta para un request pendiente. El request_id viaja en
+   * la metadata de la respuesta para asociar response.created al request correcto.
+   */
+  _requestResponse(session, pending) {
+    pending.responseId = null;
+    pending.awaitingResponse = true;
+    session.ws.send(JSON.stringify({
+      type: 'response.create',
+      event_id: `res_${pending.requestId}`,
+      response: {
+        modalities: pending.modalities,
+        ...(pending.instructions && { instructions: pending.instructions }),
+        metadata: { request_id: pending.requestId },
+      },
+    }));
+  }
+
+  /**
+   * Descarta una respuesta que no cumplió el response_schema del turno y pide otra,
+   * con los errores de validación en las instrucciones. El request sigue pendiente.
+   */
+  _retrySchemaResponse(session, pending, errors) {
+    if (session.status !== 'connected') {
+      pending.reject(new Error(`Sesión no disponible (estado: ${session.status})`));
+      return;
+    }
+    log.warn(`[Session ${session.id}] Respuesta fuera del schema, reintento ${pending.schemaRetries} [req:${pending.requestId.slice(0, 8)}]: ${errors.join('; ')}`);
+    this._emitTurnEvent(session, pending, { type: 'schema_retry', attempt: pending.schemaRetries, errors });
+
+    // La respuesta inválida sale de la conversación: el modelo no debe tomarla como ejemplo
+    // (conv_: si OpenAI rechaza el borrado, el turno sigue)
+    if (pending.buffer.messageItemId) {
+      session.ws.send(JSON.stringify({
+        type: 'conversation.item.delete',
+        event_id: `conv_${uuidv4()}`,
+        item_id: pending.buffer.messageItemId,
+      }));
+    }
+    Object.assign(pending.buffer, { textDelta: '', transcriptDelta: '', messageItemId: null, firstDeltaAt: null });
+    pending.instructions = `${pending.instructions}\n\nTu respuesta anterior no cumplía el formato pedido ` +
+      `(${errors.join('; ')}). Responde de nuevo corrigiendo esos errores.`;
+    session.pendingResponses.set(pending.requestId, pending);
+    this._requestResponse(session, pending);
+  }
+
+  /**
+   * Pide una respuesta fuera de la conversación (conversation: "none"): el modelo ve el
+   * contexto, pero ni el pedido ni la respuesta quedan en la conversación ni en el historial.
+   * Se llama desde la cola de turnos. `source` identifica el uso en el registro de consumo.
+   * @returns {Promise<{text, usage, request_id}>}
+   */
+  _runOutOfBandResponse(session, { instructions, source }) {
+    return new Promise((resolve, reject) => {
+      if (session.status !== 'connected') {
+        reject(new Error(`Sesión no disponible (estado: ${session.status})`));
+        return;
+      }
+      const requestId = uuidv4();
+      const timeout = setTimeout(() => {
+        session.pendingResponses.delete(requestId);
+        this._cancelTimedOutResponse(session);
+        metrics.responseTimeouts.inc({ type: 'out_of_band' });
+        reject(new Error(`Timeout esperando respuesta de OpenAI (${this.config.responseTimeoutMs}ms)`));
+      }, this.config.responseTimeoutMs);
+
+      session.pendingResponses.set(requestId, {
+        requestId,
+        responseId: null,
+        awaitingResponse: true,
+        outOfBand: true,
+        source,
+        resolve: (data) => {
+          clearTimeout(timeout);
+          resolve({ text: data.textDelta, usage: data.usage, request_id: requestId });
+        },
+        reject: (err) => {
+          clearTimeout(timeout);
+          reject(err);
+        },
+        buffer: {
+          textDelta: '',
+          transcriptDelta: '',
+          audioDelta: [],
+          inputTranscript: '',
+          eventId: null,
+          itemId: null,
+          messageItemId: null,
+          functionCalls: [],
+          toolCalls: [],
+          usage: { ...EMPTY_USAGE },
+          firstDeltaAt: null,
+          audioSeconds: 0,
+        },
+        returnAudio: false,
+        modalities: ['text'],
+      });
+      session.ws.send(JSON.stringify({
+        type: 'response.create',
+        event_id: `res_${requestId}`,
+        response: {
+          conversation: 'none',
+          modalities: ['text'],
+          instructions,
+          tool_choice: 'none',
+          metadata: { request_id: requestId },
+        },
+      }));
+    });
+  }
+
+  // Envía la configuración completa de la sesión (instrucciones, voz, tools) a OpenAI
+  _sendSessionUpdate(session) {
+    if (session.status !== 'connected') {
+      throw new Error(`Sesión no disponible (estado: ${session.status})`);
+    }
+    session.ws.send(JSON.stringify({
+      type: 'session.update',
+      event_id: `cfg_${uuidv4()}`,
+      session: {
+        ...toOpenAISessionConfig(session.config),
+        instructions: session.instructions,
+        voice: session.voice,
+        tools: toOpenAITools(session.tools),
+        tool_choice: 'auto',
+      },
+    }));
+  }
+
+  /**
+   * Reemplaza la conexión con OpenAI por una nueva con la configuración actual de la
+   * sesión y reproduce el historial (para cambios que OpenAI no acepta en una
+   * conversación en curso). Si la conexión nueva falla, la anterior sigue en uso.
+   * Mientras la nueva conecta, la sesión queda en 'reconnecting' para que nadie
+   * escriba en un socket que todavía no está abierto.
+   */
+  async _replaceConnection(session) {
+    const previousWs = session.ws;
+    session.status = 'reconnecting';
+    const opening = this._openSocket(session);
+    const newWs = session.ws;
+    try {
+      await opening;
+    } catch (err) {
+      newWs.terminate();
+      session.ws = previousWs;
+      if (previousWs.readyState === WebSocket.OPEN) {
+        session.status = 'connected';
+      } else if (this.sessions.get(session.id) === session) {
+        // La conexión anterior se cayó durante el cambio: reconexión normal
+        this._reconnect(session, 'conexión perdida durante el reemplazo');
+      }
+      throw err;
+    }
+    // Las respuestas en vivo que quedaban en la conexión anterior se pierden con ella
+    this._rejectAllPending(session, new Error('Conexión reemplazada'));
+    previousWs.close(1000, 'Conexión reemplazada');
+    this._replayHistory(session);
+  }
+
+  /**
+   * Envía una operación sobre un item y espera su confirmación de OpenAI
+   * (`ackType` con ese item_id) o el error con su event_id (conv_<id>)
+   */
+  _sendItemOp(session, ackType, itemId, event) {
+    return new Promise((resolve, reject) => {
+      if (session.status !== 'connected') {
+        reject(new Error(`Sesión no disponible (estado: ${session.status})`));
+        return;
+      }
+      const eventId = `conv_${uuidv4()}`;
+      const timeout = setTimeout(() => {
+        session.itemOps.delete(eventId);
+        reject(new Error(`Timeout esperando confirmación de OpenAI (${this.config.responseTimeoutMs}ms)`));
+      }, this.config.responseTimeoutMs);
+      session.itemOps.set(eventId, { ackType, itemId, resolve, reject, timeout });
+      session.ws.send(JSON.stringify({ ...event, event_id: eventId }));
+    });
+  }
+
+  _ackItemOp(session, ackType, itemId) {
+    for (const [eventId, op] of session.itemOps) {
+      if (op.ackType === ackType && op.itemId === itemId) {
+        clearTimeout(op.timeout);
+        session.itemOps.delete(eventId);
+        op.resolve();
+        return;
+      }
+    }
+  }
+
+  _rejectItemOp(session, eventId, err) {
+    const op = session.itemOps.get(eventId);
+    if (!op) return;
+    clearTimeout(op.timeout);
+    session.itemOps.delete(eventId);
+    op.reject(err);
+  }
+
+  // Posición en el historial de un item recién insertado: después del mensaje del
+  // item anterior más cercano que esté en el historial (o al inicio)
+  _historyIndexAfter(session, itemId) {
+    const items = session.conversationItems;
+    for (let i = items.findIndex((item) => item.id === itemId) - 1; i >= 0; i--) {
+      const index = session.conversationHistory.findIndex((m) => m.item_id === items[i].id);
+      if (index !== -1) return index + 1;
+    }
+    return 0;
+  }
+
+  /**
+   * Encola un turno HTTP en la cola FIFO de la sesión: los turnos se ejecutan
+   * de a uno, en orden de llegada, para que no se mezclen sus respuestas.
+   */
+  _enqueueTurn(session, run) {
+    session.queueDepth++;
+    const turn = session.turnQueue.then(async () => {
+      session.queueDepth--;
+      // Si la conexión con OpenAI se cayó, el turno espera a que se restablezca
+      if (session.reconnection) await session.reconnection.promise;
+      return run();
+    });
+    session.turnQueue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Notifica un evento del turno al consumidor en streaming (SSE) del request,
+   * si lo hay, y a los clientes en vivo de la sesión.
+   * Un error del consumidor no debe romper el procesamiento de eventos de OpenAI.
+   */
+  _emitTurnEvent(session, pending, event) {
+    if (pending?.onEvent) {
+      try {
+        pending.onEvent(event);
+      } catch (err) {
+        log.warn(`[Session ${session.id}] Error en consumidor de streaming:`, err.message);
+      }
+    }
+    // Las respuestas fuera de banda no son parte de la conversación
+    if (!pending?.outOfBand) this._emitLiveEvent(session, event);
+  }
+
+  _emitLiveEvent(session, event) {
+    for (const listener of session.liveListeners) {
+      try {
+        listener(event);
+      } catch (err) {
+        log.warn(`[Session ${session.id}] Error en cliente en vivo:`, err.message);
+      }
+    }
+  }
+
+  _closeLiveListeners(session, reason) {
+    this._emitLiveEvent(session, { type: 'session.closed', reason });
+    session.liveListeners.clear();
+  }
+
+  /**
+   * Envía un evento del ciclo de vida a los webhooks (global y de la sesión), en segundo plano
+   */
+  _notify(session, type, data) {
+    const urls = [...new Set([this.config.webhookUrl, session.webhookUrl].filter(Boolean))];
+    if (urls.length === 0) return;
+
+    const event = buildWebhookEvent(type, session, data);
+    for (const url of urls) {
+      deliverWebhook(url, event, {
+        secret: this.config.webhookSecret,
+        maxAttempts: this.config.webhookMaxAttempts,
+        timeoutMs: this.config.webhookTimeoutMs,
+      });
+    }
+  }
+
+  _notifyResponseDone(session, requestId, data, source) {
+    this._notify(session, 'response.done', {
+      request_id: requestId,
+      response_text: data.textDelta,
+      input_transcript: data.inputTranscript || null,
+      has_audio: source === 'live' || data.audioDelta.length > 0, // en vivo el audio no se acumula
+      ...(data.toolCalls.length > 0 && { tool_calls: data.toolCalls }),
+      usage: data.usage,
+      source,
+    });
+  }
+
+  /**
+   * Contabiliza el uso de una respuesta en el total de la sesión y en el registro de uso.
+   * Cuenta todas las respuestas, también las que ningún request reclama
+   * (ej: la que quedó en curso tras un timeout): OpenAI las factura igual.
+   * @returns {Object|null} Uso normalizado de la respuesta
+   */
+  _recordUsage(session, response, pending) {
+    if (!response?.usage) return null;
+    const usage = normalizeUsage(response.usage, session.model);
+    session.usage = addUsage(session.usage, usage);
+    this.usage.record({
+      session_id: session.id,
+      api_key_id: session.ownerId,
+      request_id: pending?.requestId || null,
+      response_id: response.id || null,
+      model: session.model,
+      metadata: session.metadata,
+      source: pending ? (pending.source || (pending.isLive ? 'live' : 'http')) : 'unclaimed',
+      usage,
+    });
+    return usage;
+  }
+
+  /**
+   * Registra una respuesta generada por el server VAD durante audio en vivo.
+   * Se trata como un request pendiente más (para reutilizar buffers y herramientas),
+   * pero sin timeout ni cliente HTTP: al completarse va al historial y a los clientes en vivo.
+   */
+  _trackLiveResponse(session, responseId) {
+    const requestId = `live_${responseId || uuidv4()}`;
+    session.pendingResponses.set(requestId, {
+      requestId,
+      responseId,
+      awaitingResponse: false,
+      isLive: true,
+      resolve: (data) => {
+        session.conversationHistory.push({
+          role: 'assistant',
+          content: data.textDelta,
+          item_id: data.messageItemId,
+          timestamp: new Date().toISOString(),
+          ...this._responseTiming(session, data),
+          has_audio: true,
+          source: 'live',
+          ...(data.toolCalls.length > 0 && { tool_calls: data.toolCalls }),
+        });
+        this._persistSession(session);
+        this._emitLiveEvent(session, {
+          type: 'response.done',
+          response_text: data.textDelta,
+          ...(data.toolCalls.length > 0 && { tool_calls: data.toolCalls }),
+        });
+        this._notifyResponseDone(session, requestId, data, 'live');
+      },
+      // Los errores y el cierre de sesión ya se notifican a los clientes en vivo
+      reject: () => {},
+      buffer: {
+        textDelta: '',
+        transcriptDelta: '',
+        audioDelta: [],
+        inputTranscript: '',
+        eventId: null,
+        itemId: null,
+        messageItemId: null,
+        functionCalls: [],
+        toolCalls: [],
+        usage: { ...EMPTY_USAGE },
+        firstDeltaAt: null,
+        audioSeconds: 0,
+      },
+      returnAudio: false, // el audio va directo a los clientes en vivo, no se acumula
+      modalities: session.config.modalities,
+    });
+  }
+
+  // Cancela la respuesta que quedó colgada para que el siguiente turno de la cola no choque con ella
+  _cancelTimedOutResponse(session) {
+    if (session.status === 'connected') {
+      session.ws.send(JSON.stringify({ type: 'response.cancel' }));
+    }
+  }
+
+  _getPendingByResponse(session, responseId) {
+    if (!responseId) return null;
+    for (const pending of session.pendingResponses.values()) {
+      if (pending.responseId === responseId) return pending;
+    }
+    return null;
+  }
+
+  // Turno HTTP en vuelo (la cola garantiza que haya como máximo uno)
+  _getActivePending(session) {
+    for (const pending of session.pendingResponses.values()) {
+      if (!pending.isLive) return pending;
+    }
+    return null;
   }
 
   _rejectAllPending(session, err) {
@@ -575,6 +2133,7 @@ export class SessionManager {
       pending.reject(err);
     }
     session.pendingResponses.clear();
+    for (const eventId of [...session.itemOps.keys()]) this._rejectItemOp(session, eventId, err);
   }
 
   _getSession(sessionId) {
@@ -588,21 +2147,158 @@ export class SessionManager {
     return session;
   }
 
+  // Libera la conexión con OpenAI sin tocar el store (la sesión se puede restaurar).
+  // `kind` es el motivo resumido para las métricas (deleted, idle, reconnect_failed, shutdown).
+  _disconnect(session, reason, kind) {
+    metrics.sessionsClosed.inc({ reason: kind });
+    if (session.reconnection) {
+      session.reconnection.reject(new Error(reason));
+      session.reconnection = null;
+    }
+    this._rejectAllPending(session, new Error(reason));
+    this._closeLiveListeners(session, reason);
+    session.ws.terminate();
+    this.sessions.delete(session.id);
+    this.cluster?.release(session.id);
+    if (session.record) this.recordings.stop(session.id);
+  }
+
+  // Perfil de agente con el que se crea una sesión (null = sin perfil)
+  _resolveProfile(name) {
+    if (name === undefined || name === null) return null;
+    const profile = typeof name === 'string' ? this.profiles?.get(name) : null;
+    if (!profile) throw new Error(`El campo "profile" es inválido: no existe el perfil "${name}"`);
+    return profile;
+  }
+
+  // Milisegundos desde el inicio de la sesión (offsets de los mensajes del historial)
+  _offsetMs(session, time) {
+    return Math.max(0, (time ?? Date.now()) - session.timelineStart);
+  }
+
+  // La respuesta empieza con su primer delta (nunca antes de que termine el audio del usuario)
+  // y dura lo que su audio; sin audio, hasta que se completó
+  _responseTiming(session, buffer, notBeforeMs = 0) {
+    const startMs = Math.max(this._offsetMs(session, buffer.firstDeltaAt), notBeforeMs);
+    const endMs = buffer.audioSeconds > 0
+      ? startMs + Math.round(buffer.audioSeconds * 1000)
+      : Math.max(startMs, this._offsetMs(session));
+    return { start_ms: startMs, end_ms: endMs };
+  }
+
+  _trackLiveSpeech(session, itemId, times) {
+    session.liveSpeech.set(itemId, { ...session.liveSpeech.get(itemId), ...times });
+    // Transcripciones que nunca llegaron no deben acumularse
+    if (session.liveSpeech.size > 20) session.liveSpeech.delete(session.liveSpeech.keys().next().value);
+  }
+
+  _recordAudio(session, track, audioBase64, options) {
+    if (!session.record || !audioBase64) return;
+    this.recordings.append(session.id, track, Buffer.from(audioBase64, 'base64'), options);
+  }
+
+  // Sesiones activas simultáneas por clave: max_sessions de la clave, o MAX_SESSIONS por defecto
+  _assertCapacity(ownerId, owner = this.apiKeys?.get(ownerId)) {
+    const limit = this._sessionLimit(owner);
+    if (!(limit > 0)) return;
+    const owned = [...this.sessions.values()].filter((s) => s.ownerId === ownerId).length;
+    if (owned >= limit) throw this._capacityError(owner, limit);
+  }
+
+  _sessionLimit(owner) {
+    return owner?.max_sessions ?? this.config.maxSessions;
+  }
+
+  _capacityError(owner, limit) {
+    return new Error(`Límite de sesiones alcanzado${owner ? ` para la clave "${owner.name}"` : ''} (${limit})`);
+  }
+
+  // La API key de OpenAI se resuelve en cada conexión: un cambio en la clave del cliente aplica al reconectar
+  _openaiApiKey(session) {
+    return this.apiKeys?.get(session.ownerId)?.openai_api_key || this.config.apiKey;
+  }
+
+  _persistSession(session) {
+    this.store.save({
+      session_id: session.id,
+      model: session.model,
+      voice: session.voice,
+      instructions: session.instructions,
+      instructions_template: session.instructionsTemplate,
+      metadata: session.metadata,
+      tools: session.tools,
+      config: session.config,
+      webhook_url: session.webhookUrl,
+      created_at: session.createdAt,
+      last_activity_at: new Date(session.lastActivityAt).toISOString(),
+      conversation_history: session.conversationHistory,
+      usage: session.usage,
+      owner_id: session.ownerId,
+      record: session.record,
+      profile: session.profile,
+      greeting: session.greeting,
+    }).catch((err) => {
+      log.warn(`[Session ${session.id}] No se pudo persistir la sesión:`, err.message);
+    });
+  }
+
+  // Las sesiones inactivas liberan su conexión, pero siguen en el store para reanudarse
   _cleanupIdleSessions() {
     const now = Date.now();
     const maxIdle = this.config.sessionMaxIdleMs;
     for (const [id, session] of this.sessions) {
       if (now - session.lastActivityAt > maxIdle) {
-        log.info(`[SessionManager] Limpiando sesión inactiva: ${id}`);
-        this.closeSession(id);
+        log.info(`[SessionManager] Desconectando sesión inactiva: ${id}`);
+        this._disconnect(session, 'Sesión inactiva', 'idle');
+        this._notify(session, 'session.idle_closed', { idle_ms: now - session.lastActivityAt, resumable: true });
       }
     }
   }
 
+  // Cierre del proceso: se liberan las conexiones y las sesiones quedan en el store
   destroy() {
     clearInterval(this._cleanupInterval);
-    for (const [id] of this.sessions) {
-      this.closeSession(id);
+    this.store.close?.();
+    this.usage.close?.();
+    for (const session of this.sessions.values()) {
+      this._disconnect(session, 'Servidor detenido', 'shutdown');
     }
   }
 }
+
+function createDeferred() {
+  const deferred = {};
+  deferred.promise = new Promise((resolve, reject) => {
+    deferred.resolve = resolve;
+    deferred.reject = reject;
+  });
+  deferred.promise.catch(() => {}); // sin turnos esperando, el rechazo no debe quedar sin manejar
+  return deferred;
+}
+
+// Los cambios de metadata se combinan con la actual; una clave en null se borra
+// Items con los que se reproduce el historial en OpenAI al reconectar o restaurar
+function replayItems(history) {
+  return history
+    .filter((m) => INJECTABLE_ROLES.includes(m.role) && m.content && m.content !== '[audio]')
+    .slice(-MAX_REPLAY_MESSAGES)
+    .map((message) => ({
+      // Mismo item_id que en la conexión anterior: las referencias de los clientes siguen valiendo
+      ...(message.item_id && { id: message.item_id }),
+      type: 'message',
+      role: message.role,
+      content: [{
+        type: message.role === 'assistant' ? 'text' : 'input_text',
+        text: message.content,
+      }],
+    }));
+}
+
+function mergeMetadata(current, changes) {
+  const metadata = { ...current };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) delete metadata[key];
+    else metadata[key] = value;
+  }
+  return metadata;
+}
@@ -0,0 +1,219 @@
+/**
+ * SessionStore - Persistencia de sesiones para sobrevivir a reinicios del bridge
+ *
+ * Guarda la configuración, metadata e historial de cada sesión. Si después de
+ * un reinicio llega un request con un session_id conocido, el SessionManager
+ * reabre el WebSocket con OpenAI y reproduce el historial.
+ *
+ * Backends (SESSION_STORE):
+ * - file (default): un archivo JSON por sesión en SESSION_STORE_DIR
+ * - memory: en memoria del proceso; las sesiones inactivas se pueden reanudar,
+ *   pero no sobreviven a un reinicio (útil para desarrollo o despliegues efímeros)
+ *
+ * Cualquier objeto con los métodos async load/save/delete/list sirve como store
+ * (se pasa en `new SessionManager({ store })`); close() es opcional.
+ */
+
+import { mkdir, readFile, writeFile, rename, unlink, readdir } from 'fs/promises';
+import { join, resolve } from 'path';
+import { log } from './utils/logger.js';
+
+// Cada cuánto se eliminan las sesiones expiradas del store de archivos
+const PRUNE_INTERVAL_MS = 3600000;
+
+/**
+ * Registro persistido de una sesión:
+ * {
+ *   session_id, model, voice, instructions, instructions_template, metadata, tools,
+ *   created_at, last_activity_at, conversation_history, usage, owner_id, record
+ * }
+ */
+
+export class MemorySessionStore {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxAgeMs - Antigüedad máxima sin actividad (0 = sin límite)
+   */
+  constructor({ maxAgeMs = 0 } = {}) {
+    this.records = new Map();
+    this.maxAgeMs = maxAgeMs;
+  }
+
+  async load(sessionId) {
+    const record = this.records.get(sessionId);
+    if (!record) return null;
+    if (isExpired(record, this.maxAgeMs)) {
+      this.records.delete(sessionId);
+      return null;
+    }
+    return record;
+  }
+
+  async save(record) {
+    this.records.set(record.session_id, record);
+    await this.prune();
+  }
+
+  async delete(sessionId) {
+    return this.records.delete(sessionId);
+  }
+
+  async list() {
+    return [...this.records.values()];
+  }
+
+  async prune() {
+    let removed = 0;
+    for (const [sessionId, record] of this.records) {
+      if (isExpired(record, this.maxAgeMs)) {
+        this.records.delete(sessionId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+export class FileSessionStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directorio donde se guardan los JSON
+   * @param {number} options.maxAgeMs - Antigüedad máxima sin actividad (0 = sin límite)
+   */
+  constructor({ dir, maxAgeMs = 0 }) {
+    this.dir = resolve(dir);
+    this.maxAgeMs = maxAgeMs;
+    this._writes = new Map(); // session_id → promesa de la última escritura (serializa por sesión)
+    this._ready = mkdir(this.dir, { recursive: true });
+    this._pruneInterval = null;
+    if (maxAgeMs) {
+      this._pruneInterval = setInterval(() => this._pruneInBackground(), PRUNE_INTERVAL_MS);
+      this._pruneInterval.unref();
+    }
+  }
+
+  async load(sessionId) {
+    await this._ready;
+    let record;
+    try {
+      record = JSON.parse(await readFile(this._path(sessionId), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      log.warn(`[SessionStore] No se pudo leer la sesión ${sessionId}:`, err.message);
+      return null;
+    }
+
+    if (isExpired(record, this.maxAgeMs)) {
+      await this.delete(sessionId);
+      return null;
+    }
+    return record;
+  }
+
+  async save(record) {
+    await this._ready;
+    const sessionId = record.session_id;
+    const previous = this._writes.get(sessionId) || Promise.resolve();
+
+    // Escritura atómica (archivo temporal + rename), en orden para la misma sesión
+    const write = previous.catch(() => {}).then(async () => {
+      const path = this._path(sessionId);
+      const tmpPath = `${path}.${process.pid}.tmp`;
+      await writeFile(tmpPath, JSON.stringify(record));
+      await rename(tmpPath, path);
+    });
+
+    this._writes.set(sessionId, write);
+    try {
+      await write;
+    } finally {
+      if (this._writes.get(sessionId) === write) this._writes.delete(sessionId);
+    }
+  }
+
+  async delete(sessionId) {
+    await this._ready;
+    await this._writes.get(sessionId)?.catch(() => {});
+    try {
+      await unlink(this._path(sessionId));
+      return true;
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }
+  }
+
+  async list() {
+    await this._ready;
+    const records = [];
+    for (const file of await readdir(this.dir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        records.push(JSON.parse(await readFile(join(this.dir, file), 'utf8')));
+      } catch (err) {
+        log.warn(`[SessionStore] Archivo de sesión ilegible ${file}:`, err.message);
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Elimina las sesiones sin actividad por más de maxAgeMs
+   * @returns {Promise<number>} Cantidad de sesiones eliminadas
+   */
+  async prune() {
+    if (!this.maxAgeMs) return 0;
+    let removed = 0;
+    for (const record of await this.list()) {
+      if (isExpired(record, this.maxAgeMs) && await this.delete(record.session_id)) {
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  close() {
+    clearInterval(this._pruneInterval);
+  }
+
+  _pruneInBackground() {
+    this.prune()
+      .then((removed) => removed > 0 && log.info(`[SessionStore] ${removed} sesiones expiradas eliminadas`))
+      .catch((err) => log.warn('[SessionStore] Error limpiando sesiones expiradas:', err.message));
+  }
+
+  // El session_id lo elige el cliente: se codifica para que sea un nombre de archivo seguro
+  _path(sessionId) {
+    return join(this.dir, `${Buffer.from(sessionId).toString('base64url')}.json`);
+  }
+}
+
+function isExpired(record, maxAgeMs) {
+  if (!maxAgeMs) return false;
+  return Date.now() - new Date(record.last_activity_at).getTime() > maxAgeMs;
+}
+
+/**
+ * Crea el store configurado por variables de entorno
+ */
+export function createSessionStore() {
+  const backend = (process.env.SESSION_STORE || 'file').toLowerCase();
+  const maxAgeMs = parseInt(process.env.SESSION_STORE_TTL_MS || '604800000'); // 7 días
+
+  if (backend === 'memory') {
+    log.info('[SessionStore] Backend: memoria (las sesiones no sobreviven a un reinicio)');
+    return new MemorySessionStore({ maxAgeMs });
+  }
+  if (backend !== 'file') {
+    throw new Error(`SESSION_STORE inválido: "${backend}" (usa "file" o "memory")`);
+  }
+
+  const store = new FileSessionStore({
+    dir: process.env.SESSION_STORE_DIR || './data/sessions',
+    maxAgeMs,
+  });
+  log.info(`[SessionStore] Backend: archivos en ${store.dir}`);
+  store._pruneInBackground(); // las que vencieron mientras el bridge estaba detenido
+
+  return store;
+}
@@ -0,0 +1,42 @@
+/**
+ * Simulador local del OpenAI Realtime API
+ *
+ * Uso:
+ *   node src/simulator.js [escenario]
+ *   npm run simulator -- pedidos
+ *
+ * `escenario` es el nombre de uno incluido en src/simulator/scenarios/ o la ruta
+ * a un JSON propio (sin argumento: eco del mensaje del usuario).
+ *
+ * Luego inicia el bridge apuntando al simulador:
+ *   OPENAI_REALTIME_URL=ws://localhost:3040/v1/realtime npm start
+ */
+
+import 'dotenv/config';
+import { startRealtimeSimulator } from './simulator/realtime-simulator.js';
+
+const PORT = parseInt(process.env.SIMULATOR_PORT || '3040');
+const HOST = process.env.SIMULATOR_HOST || '127.0.0.1';
+
+let simulator;
+let url;
+try {
+  ({ simulator, url } = await startRealtimeSimulator({ port: PORT, host: HOST, scenario: process.argv[2] }));
+} catch (err) {
+  console.error(`\x1b[31m[ERROR] ${err.message}\x1b[0m`);
+  process.exit(1);
+}
+
+console.log('\n\x1b[32m╔══════════════════════════════════════════════╗\x1b[0m');
+console.log('\x1b[32m║   OpenAI Realtime Simulator - LISTO 🧪       ║\x1b[0m');
+console.log('\x1b[32m╚══════════════════════════════════════════════╝\x1b[0m');
+console.log(`\n  Escenario:    \x1b[33m${simulator.scenario.name}\x1b[0m (${simulator.scenario.rules.length} reglas)`);
+console.log(`  URL:          \x1b[36m${url}\x1b[0m`);
+console.log(`\n  Inicia el bridge con: \x1b[35mOPENAI_REALTIME_URL=${url} npm start\x1b[0m\n`);
+
+const shutdown = async () => {
+  await simulator.close();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
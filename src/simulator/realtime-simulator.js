@@ -0,0 +1,659 @@
+/**
+ * RealtimeSimulator - Servidor WebSocket local que imita al OpenAI Realtime API
+ *
+ * Habla el protocolo de eventos (beta `realtime=v1`) que usa el bridge:
+ * session.created/updated, conversation.item.*, input_audio_buffer.* (con un VAD
+ * por energía), response.created, deltas de texto, audio y transcripción,
+ * llamadas a herramientas, response.done con `usage`, rate_limits.updated y
+ * errores con los mismos códigos que OpenAI.
+ *
+ * Sirve para desarrollar flujos de N8N sin gastar créditos y para probar
+ * las rutas y el SessionManager de forma automatizada. Apunta el bridge con
+ * OPENAI_REALTIME_URL=ws://localhost:3040/v1/realtime (cualquier API key es válida,
+ * salvo que el escenario defina `require_api_key`).
+ *
+ * El comportamiento se define con un escenario (JSON): reglas que, según el texto
+ * del usuario (o la transcripción simulada de su audio) y el número de turno,
+ * responden un texto, llaman una herramienta, fallan, no responden nunca o cortan
+ * la conexión. Ver src/simulator/scenarios/ y la sección "Simulador" del README.
+ */
+
+import { createServer } from 'http';
+import { randomBytes } from 'crypto';
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { WebSocketServer } from 'ws';
+import { log } from '../utils/logger.js';
+
+const SCENARIOS_DIR = join(dirname(fileURLToPath(import.meta.url)), 'scenarios');
+
+const SAMPLE_RATE = 24000;
+
+export const DEFAULT_SCENARIO = {
+  name: 'eco',
+  latency_ms: 50,            // espera antes del primer delta de cada respuesta
+  delay_ms: 10,              // espera entre eventos de una respuesta
+  chars_per_delta: 12,       // tamaño de los deltas de texto
+  audio_ms_per_char: 60,     // duración del audio sintético de la respuesta
+  audio_chunk_ms: 200,       // duración de cada response.audio.delta
+  transcripts: [],           // transcripciones del audio del usuario, en orden (la última se repite)
+  rules: [],
+  fallback: 'Respuesta simulada: {{input}}',
+  after_tool: 'Resultado de {{tool}}: {{output}}',
+  require_api_key: null,     // si se define, se rechaza la conexión con otra API key (401)
+  close_after_ms: null,      // corta cada conexión después de este tiempo (prueba la reconexión)
+};
+
+const DEFAULT_SESSION = {
+  modalities: ['text', 'audio'],
+  instructions: '',
+  voice: 'alloy',
+  input_audio_format: 'pcm16',
+  output_audio_format: 'pcm16',
+  input_audio_transcription: null,
+  turn_detection: { type: 'server_vad', threshold: 0.5, prefix_padding_ms: 300, silence_duration_ms: 500 },
+  tools: [],
+  tool_choice: 'auto',
+  temperature: 0.8,
+  max_response_output_tokens: 'inf',
+};
+
+export class RealtimeSimulator {
+  /**
+   * @param {Object} options
+   * @param {Object} options.scenario - Escenario (se completa con DEFAULT_SCENARIO)
+   */
+  constructor({ scenario = {} } = {}) {
+    this.scenario = { ...DEFAULT_SCENARIO, ...scenario };
+    this.connections = new Set();
+    this.server = createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ simulator: true, scenario: this.scenario.name, connections: this.connections.size }));
+    });
+    this.wss = new WebSocketServer({ noServer: true });
+    this.server.on('upgrade', (req, socket, head) => this._handleUpgrade(req, socket, head));
+  }
+
+  /**
+   * Empieza a escuchar
+   * @returns {Promise<string>} URL ws:// para OPENAI_REALTIME_URL
+   */
+  listen(port = 3040, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        const { port: boundPort } = this.server.address();
+        resolve(`ws://${host}:${boundPort}/v1/realtime`);
+      });
+    });
+  }
+
+  close() {
+    for (const connection of this.connections) connection.close(1001, 'Simulador detenido');
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  _handleUpgrade(req, socket, head) {
+    const { require_api_key: requiredKey } = this.scenario;
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (requiredKey && token !== requiredKey) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      const model = new URL(req.url, 'ws://localhost').searchParams.get('model') || 'gpt-4o-realtime-preview';
+      const connection = new SimulatedConnection(ws, model, this.scenario);
+      this.connections.add(connection);
+      ws.on('close', () => {
+        connection.dispose();
+        this.connections.delete(connection);
+      });
+    });
+  }
+}
+
+// ─────────────────────────────────────────────
+//  Una conexión = una sesión Realtime simulada
+// ─────────────────────────────────────────────
+
+class SimulatedConnection {
+  constructor(ws, model, scenario) {
+    this.ws = ws;
+    this.scenario = scenario;
+    this.session = { id: newId('sess'), object: 'realtime.session', model, ...DEFAULT_SESSION };
+    this.items = [];                 // conversación: { id, type, role, text, audioMs?, outputAudioMs? }
+    this.inputAudio = [];            // buffer de entrada (PCM16)
+    this.inputAudioMs = 0;           // audio recibido en total (audio_start_ms / audio_end_ms)
+    this.vad = { speaking: false, itemId: null, timer: null };
+    this.response = null;            // respuesta en curso: { id, timers, output, ... }
+    this.turn = 0;                   // turnos del usuario respondidos (para `turn` en las reglas)
+    this.transcriptIndex = 0;
+    this.toolRule = null;            // regla que pidió la herramienta (su `after_tool`)
+    this.requestCount = 0;
+
+    ws.on('message', (raw) => {
+      let event;
+      try {
+        event = JSON.parse(raw.toString());
+      } catch {
+        this._error('invalid_request_error', 'invalid_json', 'El evento no es JSON válido');
+        return;
+      }
+      this._handle(event);
+    });
+
+    if (scenario.close_after_ms) {
+      this.closeTimer = setTimeout(() => ws.close(1011, 'Corte simulado'), scenario.close_after_ms);
+    }
+    this._send('session.created', { session: this.session });
+    log.info(`[Simulator] Conexión ${this.session.id} (${model})`);
+  }
+
+  close(code, reason) {
+    this.ws.close(code, reason);
+  }
+
+  dispose() {
+    clearTimeout(this.closeTimer);
+    clearTimeout(this.vad.timer);
+    this._stopResponse();
+  }
+
+  _handle(event) {
+    switch (event.type) {
+      case 'session.update': {
+        const { id, object, model, ...changes } = event.session || {};
+        Object.assign(this.session, changes);
+        this._send('session.updated', { session: this.session });
+        break;
+      }
+
+      case 'conversation.item.create':
+        this._addItem(event.item || {}, event.previous_item_id, event.event_id);
+        break;
+
+      case 'conversation.item.delete': {
+        const index = this.items.findIndex((item) => item.id === event.item_id);
+        if (index === -1) {
+          this._error('invalid_request_error', 'item_delete_invalid_item_id',
+            `Error deleting item: the item with id '${event.item_id}' does not exist.`, event.event_id);
+          break;
+        }
+        this.items.splice(index, 1);
+        this._send('conversation.item.deleted', { item_id: event.item_id });
+        break;
+      }
+
+      case 'conversation.item.truncate':
+        this._truncateItem(event);
+        break;
+
+      case 'input_audio_buffer.append':
+        this._appendAudio(Buffer.from(event.audio || '', 'base64'));
+        break;
+
+      case 'input_audio_buffer.commit':
+        if (this.inputAudio.length === 0) {
+          this._error('invalid_request_error', 'input_audio_buffer_commit_empty',
+            'Error committing input audio buffer: buffer too small.', event.event_id);
+          break;
+        }
+        this._commitAudio();
+        break;
+
+      case 'input_audio_buffer.clear':
+        this._resetInputAudio();
+        this._send('input_audio_buffer.cleared');
+        break;
+
+      case 'response.create':
+        if (this.response) {
+          this._error('invalid_request_error', 'conversation_already_has_active_response',
+            `Conversation already has an active response: ${this.response.id}`, event.event_id);
+          break;
+        }
+        this._startResponse(event.response || {});
+        break;
+
+      case 'response.cancel':
+        if (!this.response) {
+          this._error('invalid_request_error', 'response_cancel_not_active',
+            'Cancellation failed: no active response found', event.event_id);
+          break;
+        }
+        this._finishResponse('cancelled');
+        break;
+
+      default:
+        this._error('invalid_request_error', 'invalid_value',
+          `Invalid value: '${event.type}'. Supported values are: session.update, conversation.item.create, ` +
+          'conversation.item.delete, conversation.item.truncate, input_audio_buffer.append, input_audio_buffer.commit, input_audio_buffer.clear, response.create, response.cancel',
+          event.event_id);
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  //  Conversación y audio de entrada
+  // ─────────────────────────────────────────────
+
+  _addItem(item, previousItemId, eventId) {
+    const position = previousItemId === 'root' ? 0
+      : previousItemId ? this.items.findIndex((i) => i.id === previousItemId) + 1
+        : this.items.length;
+    if (position === 0 && previousItemId && previousItemId !== 'root') {
+      this._error('invalid_request_error', 'item_create_invalid_previous_item_id',
+        `Error adding item: the previous item with id '${previousItemId}' does not exist.`, eventId);
+      return null;
+    }
+    const stored = {
+      id: item.id || newId('item'),
+      type: item.type || 'message',
+      role: item.role || null,
+      text: item.type === 'function_call_output'
+        ? String(item.output ?? '')
+        : (item.content || []).map((part) => part.text ?? part.transcript ?? '').join(''),
+      call_id: item.call_id || null,
+    };
+    const previous = this.items[position - 1]?.id || null;
+    this.items.splice(position, 0, stored);
+    this._send('conversation.item.created', {
+      previous_item_id: previous,
+      item: { ...item, id: stored.id, object: 'realtime.item', status: 'completed' },
+    });
+    return stored;
+  }
+
+  // Solo mensajes del asistente con audio; como en OpenAI, se descarta la transcripción
+  _truncateItem({ item_id: itemId, content_index: contentIndex = 0, audio_end_ms: audioEndMs, event_id: eventId }) {
+    const item = this.items.find((i) => i.id === itemId);
+    if (!item || item.role !== 'assistant' || item.outputAudioMs === undefined) {
+      this._error('invalid_request_error', 'item_truncate_invalid_item_id',
+        `Error truncating item: the item with id '${itemId}' does not exist or is not an assistant audio message.`, eventId);
+      return;
+    }
+    if (!Number.isInteger(audioEndMs) || audioEndMs < 0 || audioEndMs > item.outputAudioMs) {
+      this._error('invalid_request_error', 'invalid_value',
+        `Invalid 'audio_end_ms': must be between 0 and ${Math.round(item.outputAudioMs)}.`, eventId);
+      return;
+    }
+    item.outputAudioMs = audioEndMs;
+    item.text = '';
+    this._send('conversation.item.truncated', { item_id: itemId, content_index: contentIndex, audio_end_ms: audioEndMs });
+  }
+
+  _appendAudio(pcm) {
+    if (pcm.length === 0) return;
+    const startMs = this.inputAudioMs;
+    this.inputAudio.push(pcm);
+    this.inputAudioMs += pcmDurationMs(pcm.length);
+
+    const detection = this.session.turn_detection;
+    if (!detection) return;
+
+    // VAD por energía: habla = RMS por encima del umbral; el turno termina tras
+    // silence_duration_ms (tiempo real) sin fragmentos con habla
+    const threshold = (detection.threshold ?? 0.5) * 0.05;
+    if (rms(pcm) < threshold) return;
+
+    if (!this.vad.speaking) {
+      this.vad.speaking = true;
+      this.vad.itemId = newId('item');
+      this._send('input_audio_buffer.speech_started', { audio_start_ms: Math.round(startMs), item_id: this.vad.itemId });
+      // Barge-in: el usuario interrumpe la respuesta en curso
+      if (this.response && detection.interrupt_response !== false) this._finishResponse('cancelled');
+    }
+    clearTimeout(this.vad.timer);
+    this.vad.timer = setTimeout(() => this._endOfSpeech(), detection.silence_duration_ms ?? 500);
+  }
+
+  _endOfSpeech() {
+    const { itemId } = this.vad;
+    this.vad.speaking = false;
+    this._send('input_audio_buffer.speech_stopped', { audio_end_ms: Math.round(this.inputAudioMs), item_id: itemId });
+    this._commitAudio(itemId);
+    if (this.session.turn_detection?.create_response !== false && !this.response) {
+      this._startResponse({});
+    }
+  }
+
+  _commitAudio(itemId = newId('item')) {
+    const durationMs = pcmDurationMs(this.inputAudio.reduce((sum, chunk) => sum + chunk.length, 0));
+    this._resetInputAudio();
+
+    const transcript = this._nextTranscript(durationMs);
+    const previous = this.items.at(-1)?.id || null;
+    this._send('input_audio_buffer.committed', { previous_item_id: previous, item_id: itemId });
+    this.items.push({ id: itemId, type: 'message', role: 'user', text: transcript, audioMs: durationMs });
+    this._send('conversation.item.created', {
+      previous_item_id: previous,
+      item: {
+        id: itemId, object: 'realtime.item', type: 'message', status: 'completed', role: 'user',
+        content: [{ type: 'input_audio', transcript: null }],
+      },
+    });
+
+    if (this.session.input_audio_transcription) {
+      setTimeout(() => this._send('conversation.item.input_audio_transcription.completed', {
+        item_id: itemId,
+        content_index: 0,
+        transcript,
+      }), this.scenario.delay_ms);
+    }
+  }
+
+  _resetInputAudio() {
+    this.inputAudio = [];
+    clearTimeout(this.vad.timer);
+    this.vad.speaking = false;
+  }
+
+  _nextTranscript(durationMs) {
+    const { transcripts } = this.scenario;
+    if (!transcripts?.length) return `(audio simulado de ${Math.round(durationMs)} ms)`;
+    const transcript = transcripts[Math.min(this.transcriptIndex, transcripts.length - 1)];
+    this.transcriptIndex++;
+    return transcript;
+  }
+
+  // ─────────────────────────────────────────────
+  //  Respuestas
+  // ─────────────────────────────────────────────
+
+  _startResponse(options) {
+    const lastItem = this.items.at(-1);
+    const afterTool = lastItem?.type === 'function_call_output';
+    const input = [...this.items].reverse().find((item) => item.role === 'user')?.text || '';
+    // conversation: "none" = respuesta fuera de banda: no cuenta como turno ni queda en la conversación
+    const outOfBand = options.conversation === 'none';
+    if (!afterTool && !outOfBand) this.turn++;
+
+    const rule = afterTool ? null : findRule(this.scenario.rules, input, this.turn, outOfBand);
+    const response = {
+      id: newId('resp'),
+      modalities: options.modalities || this.session.modalities,
+      metadata: options.metadata || null,
+      timers: [],
+      output: [],
+      outputText: '',
+      outputAudioMs: 0,
+      outOfBand,
+    };
+    this.response = response;
+    this._send('response.created', {
+      response: { id: response.id, object: 'realtime.response', status: 'in_progress', output: [], metadata: response.metadata },
+    });
+
+    const latency = rule?.latency_ms ?? this.scenario.latency_ms;
+    if (rule?.close) {
+      this._schedule([() => this.close(rule.close, rule.reason || 'Corte simulado')], latency);
+      return;
+    }
+    if (rule?.hang) return; // nunca termina: el bridge vence por RESPONSE_TIMEOUT_MS (response.cancel la cierra)
+    if (rule?.error) {
+      this._schedule([() => {
+        const { type = 'server_error', code = 'server_error', message = 'Error simulado' } = rule.error;
+        this._error(type, code, message);
+        this._finishResponse('failed', { type: 'failed', error: { type, code } });
+      }], latency);
+      return;
+    }
+
+    if (rule?.tool_call) {
+      this.toolRule = rule;
+      this._schedule(this._toolCallSteps(response, rule.tool_call), latency);
+      return;
+    }
+
+    const template = afterTool
+      ? (this.toolRule?.after_tool ?? this.scenario.after_tool)
+      : (rule?.reply ?? this.scenario.fallback);
+    const toolItem = afterTool ? this.items.findLast((item) => item.type === 'function_call') : null;
+    const text = render(template, {
+      input,
+      turn: this.turn,
+      instructions: options.instructions ?? this.session.instructions,
+      tool: toolItem?.name || '',
+      output: afterTool ? lastItem.text : '',
+    });
+    if (afterTool) this.toolRule = null;
+    this._schedule(this._messageSteps(response, text, rule), latency);
+  }
+
+  _messageSteps(response, text, rule) {
+    const withAudio = response.modalities.includes('audio');
+    const item = { id: newId('item'), object: 'realtime.item', type: 'message', status: 'in_progress', role: 'assistant', content: [] };
+    const ids = { response_id: response.id, item_id: item.id, output_index: 0, content_index: 0 };
+    const textChunks = chunkText(text, this.scenario.chars_per_delta);
+    const steps = [
+      () => this._send('response.output_item.added', { response_id: response.id, output_index: 0, item }),
+      () => this._send('response.content_part.added', { ...ids, part: withAudio ? { type: 'audio', transcript: '' } : { type: 'text', text: '' } }),
+    ];
+
+    if (withAudio) {
+      const audioMs = rule?.audio_ms ?? Math.max(300, text.length * this.scenario.audio_ms_per_char);
+      const audioChunks = synthesizeAudio(audioMs, this.scenario.audio_chunk_ms);
+      for (let i = 0; i < Math.max(textChunks.length, audioChunks.length); i++) {
+        if (textChunks[i] !== undefined) {
+          steps.push(() => this._send('response.audio_transcript.delta', { ...ids, delta: textChunks[i] }));
+        }
+        if (audioChunks[i]) {
+          steps.push(() => {
+            response.outputAudioMs += pcmDurationMs(audioChunks[i].length);
+            this._send('response.audio.delta', { ...ids, delta: audioChunks[i].toString('base64') });
+          });
+        }
+      }
+      steps.push(() => this._send('response.audio.done', ids));
+      steps.push(() => this._send('response.audio_transcript.done', { ...ids, transcript: text }));
+    } else {
+      for (const chunk of textChunks) steps.push(() => this._send('response.text.delta', { ...ids, delta: chunk }));
+      steps.push(() => this._send('response.text.done', { ...ids, text }));
+    }
+
+    steps.push(() => {
+      response.outputText = text;
+      const part = withAudio ? { type: 'audio', transcript: text } : { type: 'text', text };
+      this._send('response.content_part.done', { ...ids, part });
+      const done = { ...item, status: 'completed', content: [part] };
+      response.output.push(done);
+      this._send('response.output_item.done', { response_id: response.id, output_index: 0, item: done });
+      if (!response.outOfBand) {
+        this.items.push({
+          id: item.id, type: 'message', role: 'assistant', text,
+          ...(withAudio && { outputAudioMs: response.outputAudioMs }),
+        });
+      }
+      this._finishResponse('completed');
+    });
+    return steps;
+  }
+
+  _toolCallSteps(response, toolCall) {
+    const args = typeof toolCall.arguments === 'string' ? toolCall.arguments : JSON.stringify(toolCall.arguments || {});
+    const item = {
+      id: newId('item'), object: 'realtime.item', type: 'function_call', status: 'in_progress',
+      name: toolCall.name, call_id: newId('call'), arguments: '',
+    };
+    const ids = { response_id: response.id, item_id: item.id, output_index: 0, call_id: item.call_id };
+    return [
+      () => this._send('response.output_item.added', { response_id: response.id, output_index: 0, item }),
+      ...chunkText(args, this.scenario.chars_per_delta).map((delta) =>
+        () => this._send('response.function_call_arguments.delta', { ...ids, delta })),
+      () => this._send('response.function_call_arguments.done', { ...ids, name: item.name, arguments: args }),
+      () => {
+        const done = { ...item, status: 'completed', arguments: args };
+        response.output.push(done);
+        this._send('response.output_item.done', { response_id: response.id, output_index: 0, item: done });
+        if (!response.outOfBand) this.items.push({ id: item.id, type: 'function_call', role: null, name: item.name, text: args, call_id: item.call_id });
+        this._finishResponse('completed');
+      },
+    ];
+  }
+
+  // Ejecuta los pasos en orden: el primero tras `latency`, el resto cada delay_ms
+  _schedule(steps, latency) {
+    const response = this.response;
+    let elapsed = latency;
+    for (const step of steps) {
+      response.timers.push(setTimeout(() => {
+        if (this.response === response && this.ws.readyState === this.ws.OPEN) step();
+      }, elapsed));
+      elapsed += this.scenario.delay_ms;
+    }
+  }
+
+  _finishResponse(status, statusDetails = null) {
+    const response = this.response;
+    if (!response) return;
+    this._stopResponse();
+    this.requestCount++;
+    this._send('response.done', {
+      response: {
+        id: response.id,
+        object: 'realtime.response',
+        status,
+        status_details: statusDetails || (status === 'cancelled' ? { type: 'cancelled', reason: 'client_cancelled' } : null),
+        output: response.output,
+        metadata: response.metadata,
+        usage: this._usage(response),
+      },
+    });
+    this._send('rate_limits.updated', {
+      rate_limits: [
+        { name: 'requests', limit: 10000, remaining: Math.max(0, 10000 - this.requestCount), reset_seconds: 60 },
+        { name: 'tokens', limit: 2000000, remaining: 2000000 - this.requestCount * 100, reset_seconds: 60 },
+      ],
+    });
+  }
+
+  _stopResponse() {
+    if (!this.response) return;
+    for (const timer of this.response.timers) clearTimeout(timer);
+    this.response = null;
+  }
+
+  // Tokens estimados: ~4 caracteres por token de texto, ~10 tokens/s de audio de entrada y ~20 tokens/s de salida
+  _usage(response) {
+    const textChars = this.items.reduce((sum, item) => sum + (item.audioMs ? 0 : item.text.length), 0) +
+      (this.session.instructions || '').length;
+    const inputAudioMs = this.items.reduce((sum, item) => sum + (item.audioMs || 0), 0);
+    const inputText = Math.ceil(textChars / 4);
+    const inputAudio = Math.ceil(inputAudioMs / 100);
+    const outputText = Math.ceil(response.outputText.length / 4);
+    const outputAudio = Math.ceil(response.outputAudioMs / 50);
+    return {
+      total_tokens: inputText + inputAudio + outputText + outputAudio,
+      input_tokens: inputText + inputAudio,
+      output_tokens: outputText + outputAudio,
+      input_token_details: { text_tokens: inputText, audio_tokens: inputAudio, cached_tokens: 0 },
+      output_token_details: { text_tokens: outputText, audio_tokens: outputAudio },
+    };
+  }
+
+  _error(type, code, message, eventId = null) {
+    this._send('error', { error: { type, code, message, param: null, event_id: eventId } });
+  }
+
+  _send(type, fields = {}) {
+    if (this.ws.readyState !== this.ws.OPEN) return;
+    this.ws.send(JSON.stringify({ type, event_id: newId('event'), ...fields }));
+  }
+}
+
+// ─────────────────────────────────────────────
+//  Escenarios
+// ─────────────────────────────────────────────
+
+/**
+ * Carga un escenario: nombre de uno incluido (src/simulator/scenarios/<nombre>.json)
+ * o ruta a un archivo JSON. Sin argumento devuelve el escenario por defecto (eco).
+ */
+export function loadScenario(nameOrPath) {
+  if (!nameOrPath) return { ...DEFAULT_SCENARIO };
+  const path = /[\\/]|\.json$/.test(nameOrPath) ? nameOrPath : join(SCENARIOS_DIR, `${nameOrPath}.json`);
+  let scenario;
+  try {
+    scenario = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`No se pudo leer el escenario "${nameOrPath}": ${err.message}`);
+  }
+  if (scenario.rules !== undefined && !Array.isArray(scenario.rules)) {
+    throw new Error(`El escenario "${nameOrPath}" es inválido: "rules" debe ser una lista`);
+  }
+  return { ...DEFAULT_SCENARIO, name: nameOrPath, ...scenario };
+}
+
+/**
+ * Crea el simulador y empieza a escuchar
+ * @param {Object} options
+ * @param {number} options.port - Default 3040 (0 = puerto libre)
+ * @param {string} options.host
+ * @param {Object|string} options.scenario - Escenario u nombre/ruta para loadScenario
+ * @returns {Promise<{simulator: RealtimeSimulator, url: string}>}
+ */
+export async function startRealtimeSimulator({ port = 3040, host = '127.0.0.1', scenario } = {}) {
+  const simulator = new RealtimeSimulator({
+    scenario: typeof scenario === 'string' || !scenario ? loadScenario(scenario) : scenario,
+  });
+  const url = await simulator.listen(port, host);
+  return { simulator, url };
+}
+
+// Primera regla que coincide con el turno, el texto del usuario y el tipo de respuesta
+// (`out_of_band`: true = solo respuestas fuera de banda, false = solo de la conversación)
+function findRule(rules, input, turn, outOfBand) {
+  return rules.find((rule) => {
+    if (rule.out_of_band !== undefined && rule.out_of_band !== outOfBand) return false;
+    if (rule.turn !== undefined && rule.turn !== turn) return false;
+    if (rule.match === undefined) return true;
+    const regex = String(rule.match).match(/^\/(.*)\/([a-z]*)$/);
+    return regex
+      ? new RegExp(regex[1], regex[2]).test(input)
+      : input.toLowerCase().includes(String(rule.match).toLowerCase());
+  }) || null;
+}
+
+function render(template, values) {
+  return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (name in values ? String(values[name]) : match));
+}
+
+function chunkText(text, size) {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += size) chunks.push(text.slice(i, i + size));
+  return chunks;
+}
+
+// Tono de 220Hz a bajo volumen, PCM16 24kHz, partido en fragmentos de chunkMs
+function synthesizeAudio(durationMs, chunkMs) {
+  const samples = Math.round((durationMs / 1000) * SAMPLE_RATE);
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    pcm.writeInt16LE(Math.round(3000 * Math.sin((2 * Math.PI * 220 * i) / SAMPLE_RATE)), i * 2);
+  }
+  const chunkBytes = Math.round((chunkMs / 1000) * SAMPLE_RATE) * 2;
+  const chunks = [];
+  for (let offset = 0; offset < pcm.length; offset += chunkBytes) chunks.push(pcm.subarray(offset, offset + chunkBytes));
+  return chunks;
+}
+
+// Nivel RMS normalizado (0-1) de un fragmento PCM16
+function rms(pcm) {
+  let sum = 0;
+  const samples = Math.floor(pcm.length / 2);
+  for (let i = 0; i < samples; i++) {
+    const sample = pcm.readInt16LE(i * 2) / 32768;
+    sum += sample * sample;
+  }
+  return samples ? Math.sqrt(sum / samples) : 0;
+}
+
+function pcmDurationMs(bytes) {
+  return (bytes / 2 / SAMPLE_RATE) * 1000;
+}
+
+function newId(prefix) {
+  return `${prefix}_${randomBytes(8).toString('hex')}`;
+}
@@ -46,6 +46,7 @@ async function runTest() {
   const model = process.env.OPENAI_REALTIME_MODEL || 'gpt-4o-realtime-preview';
   info(`Modelo: ${model}`);
   info(`Voz: ${process.env.OPENAI_VOICE || 'alloy'}`);
+  if (process.env.OPENAI_REALTIME_URL) info(`Endpoint: ${process.env.OPENAI_REALTIME_URL}`);
 
   // 2. Crear SessionManager y conectar
   title('2. Conectando con OpenAI Realtime API...');
@@ -127,7 +128,7 @@ async function runTest() {
   // 6. Verificar historial
   title('6. Verificando historial de conversación...');
   try {
-    const history = manager.getHistory(sessionId);
+    const history = await manager.getHistory(sessionId);
     ok(`Mensajes en historial: ${history.total}`);
     if (history.total >= 4) {
       ok('Historial con todos los turnos guardados');
@@ -0,0 +1,164 @@
+/**
+ * Cliente Twilio simulado para probar el adaptador de Media Streams sin una llamada real
+ *
+ * Uso (con el bridge corriendo en otra terminal):
+ *   node src/test-twilio.js                   # tono de prueba + silencio
+ *   node src/test-twilio.js grabacion.ulaw    # μ-law 8kHz raw (ej: exportado de Twilio)
+ *   node src/test-twilio.js grabacion.jsonl   # eventos de Twilio grabados, uno por línea
+ *
+ * Variables: BRIDGE_URL (default http://localhost:3030), BRIDGE_API_TOKEN
+ *
+ * Verifica que:
+ * 1. El endpoint /api/v1/twilio/twiml devuelve un TwiML válido
+ * 2. El WebSocket acepta los eventos connected/start/media/stop
+ * 3. El bridge devuelve audio μ-law (media), marcas (mark) y clear en barge-in
+ */
+
+import 'dotenv/config';
+import { readFileSync } from 'fs';
+import WebSocket from 'ws';
+import { pcm16ToMulaw } from './utils/audio.js';
+
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m',
+};
+
+const ok = (msg) => console.log(`${colors.green}  ✓${colors.reset} ${msg}`);
+const fail = (msg) => console.log(`${colors.red}  ✗${colors.reset} ${msg}`);
+const info = (msg) => console.log(`${colors.cyan}  ℹ${colors.reset} ${msg}`);
+const title = (msg) => console.log(`\n${colors.bold}${msg}${colors.reset}`);
+
+const BRIDGE_URL = process.env.BRIDGE_URL || 'http://localhost:3030';
+const TOKEN = process.env.BRIDGE_API_TOKEN || '';
+const FRAME_BYTES = 160; // 20ms de μ-law a 8kHz
+const FRAME_MS = 20;
+
+// Genera 1.5s de tono de 440Hz seguido de 1.5s de silencio (para que el VAD cierre el turno)
+function generateTestAudio() {
+  const samples = 8000 * 3;
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < 8000 * 1.5; i++) {
+    pcm.writeInt16LE(Math.round(8000 * Math.sin(2 * Math.PI * 440 * i / 8000)), i * 2);
+  }
+  return pcm16ToMulaw(pcm);
+}
+
+// Devuelve la lista de payloads μ-law (base64) a reproducir
+function loadFrames(file) {
+  if (!file) {
+    return splitFrames(generateTestAudio());
+  }
+  if (file.endsWith('.jsonl')) {
+    return readFileSync(file, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => JSON.parse(line))
+      .filter((event) => event.event === 'media')
+      .map((event) => event.media.payload);
+  }
+  return splitFrames(readFileSync(file));
+}
+
+function splitFrames(mulaw) {
+  const frames = [];
+  for (let i = 0; i < mulaw.length; i += FRAME_BYTES) {
+    frames.push(mulaw.subarray(i, i + FRAME_BYTES).toString('base64'));
+  }
+  return frames;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function runTest() {
+  const streamSid = `MZ${Date.now()}`;
+  const callSid = `CA${Date.now()}`;
+  const stats = { media: 0, bytes: 0, marks: 0, clears: 0 };
+
+  title('1. Pidiendo TwiML...');
+  const twimlRes = await fetch(`${BRIDGE_URL}/api/v1/twilio/twiml?token=${encodeURIComponent(TOKEN)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ CallSid: callSid, From: '+10000000000', To: '+10000000001' }),
+  });
+  const twiml = await twimlRes.text();
+  if (!twimlRes.ok || !twiml.includes('<Stream')) {
+    fail(`TwiML inválido (HTTP ${twimlRes.status}): ${twiml}`);
+    process.exit(1);
+  }
+  ok('TwiML con <Connect><Stream> recibido');
+
+  title('2. Conectando Media Stream...');
+  const wsUrl = BRIDGE_URL.replace(/^http/, 'ws') + '/api/v1/twilio/media-stream';
+  const ws = new WebSocket(wsUrl);
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+  ok(`Conectado a ${wsUrl}`);
+
+  ws.on('message', (raw) => {
+    const message = JSON.parse(raw.toString());
+    if (message.event === 'media') {
+      stats.media++;
+      stats.bytes += Buffer.from(message.media.payload, 'base64').length;
+    } else if (message.event === 'mark') {
+      stats.marks++;
+      info(`Marca recibida: ${message.mark.name}`);
+      // Twilio devuelve la marca cuando termina de reproducir el audio anterior
+      ws.send(JSON.stringify({ event: 'mark', streamSid, mark: message.mark }));
+    } else if (message.event === 'clear') {
+      stats.clears++;
+      info('clear recibido (barge-in)');
+    }
+  });
+
+  const send = (event) => ws.send(JSON.stringify(event));
+  send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+  send({
+    event: 'start',
+    streamSid,
+    start: {
+      streamSid,
+      callSid,
+      tracks: ['inbound'],
+      mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 },
+      customParameters: { token: TOKEN, from: '+10000000000', to: '+10000000001' },
+    },
+  });
+
+  // Dar tiempo a que el bridge abra la sesión con OpenAI
+  await sleep(2000);
+
+  title('3. Reproduciendo audio...');
+  const frames = loadFrames(process.argv[2]);
+  info(`${frames.length} frames (${(frames.length * FRAME_MS / 1000).toFixed(1)}s)`);
+  for (let i = 0; i < frames.length; i++) {
+    send({ event: 'media', streamSid, media: { track: 'inbound', chunk: String(i + 1), payload: frames[i] } });
+    await sleep(FRAME_MS);
+  }
+
+  info('Esperando respuesta del asistente...');
+  await sleep(8000);
+
+  send({ event: 'stop', streamSid, stop: { callSid } });
+  ws.close();
+
+  title('Resultado');
+  info(`Frames de audio recibidos: ${stats.media} (${stats.bytes} bytes μ-law, ~${(stats.bytes / 8000).toFixed(1)}s)`);
+  info(`Marcas: ${stats.marks} · Clears: ${stats.clears}`);
+  if (stats.media > 0) {
+    ok('El bridge devolvió audio por el Media Stream');
+  } else {
+    fail('No se recibió audio del asistente');
+    process.exit(1);
+  }
+}
+
+runTest().catch((err) => {
+  console.error('\n\x1b[31mError fatal en la prueba:\x1b[0m', err.message);
+  process.exit(1);
+});
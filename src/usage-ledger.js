@@ -0,0 +1,318 @@
+/**
+ * UsageLedger - Registro de consumo (tokens y costo) de cada respuesta de OpenAI
+ *
+ * Cada `response.done` genera una entrada con la sesión, su metadata, el modelo
+ * y el uso normalizado. Las entradas se guardan en memoria y, si USAGE_LOG_FILE
+ * está configurado, se agregan a un archivo JSONL que se vuelve a leer al
+ * arrancar: los totales sobreviven a un reinicio del bridge.
+ *
+ * En modo cluster el archivo es compartido (`shared`): cada worker agrega sus
+ * entradas y `summarize` lee lo que agregaron los demás desde la última consulta.
+ *
+ * Las entradas más viejas que la retención se descartan de la memoria y, al compactar
+ * (al arrancar y cada hora), también del archivo. En modo cluster compacta un solo worker.
+ *
+ * `summarize` agrega por ventana de tiempo y opcionalmente por un campo
+ * (api_key_id, session_id, model, day, hour o metadata.<campo>) para facturación.
+ */
+
+import cluster from 'cluster';
+import { appendFile, mkdir, open, rename, stat } from 'fs/promises';
+import { dirname, resolve } from 'path';
+import { createInterface } from 'readline';
+import { log } from './utils/logger.js';
+import { EMPTY_USAGE, addUsage } from './utils/usage.js';
+
+// Cada cuánto se reescribe el archivo sin las entradas vencidas
+const COMPACT_INTERVAL_MS = 3600000;
+
+// Espera antes de copiar al archivo compactado lo que otros workers agregaron al viejo
+const COMPACT_GRACE_MS = 1000;
+
+// Entradas por escritura al compactar
+const WRITE_BATCH = 1000;
+
+export class UsageLedger {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - Archivo JSONL (vacío = solo memoria)
+   * @param {number} options.retentionMs - Antigüedad máxima de las entradas
+   * @param {boolean} options.shared - Otros procesos escriben en el mismo archivo (modo cluster)
+   * @param {boolean} options.compact - Este proceso compacta el archivo (default: true)
+   */
+  constructor({ file = '', retentionMs = 0, shared = false, compact = true } = {}) {
+    this.file = file ? resolve(file) : null;
+    this.retentionMs = retentionMs;
+    this.shared = shared && !!this.file;
+    this.entries = [];
+    this._offset = 0;    // bytes del archivo ya leídos
+    this._ino = null;    // inodo del archivo leído (cambia si otro worker lo compactó)
+    this._dropped = 0;   // entradas descartadas de la memoria que siguen en el archivo
+    this._unwritten = 0; // últimas entradas en memoria que todavía no se agregaron al archivo
+    this._ready = this.file ? this._load() : Promise.resolve();
+    this._queue = this._ready.catch(() => {});
+
+    this._compactInterval = null;
+    if (this.file && compact) {
+      this._compactInterval = setInterval(() => this._compactInBackground(), COMPACT_INTERVAL_MS);
+      this._compactInterval.unref();
+      this._compactInBackground();
+    }
+  }
+
+  /**
+   * Registra el consumo de una respuesta
+   * @param {Object} entry - { session_id, api_key_id, request_id, model, metadata, source, usage }
+   */
+  record(entry) {
+    const record = { timestamp: new Date().toISOString(), ...entry };
+    // Con el archivo compartido, las entradas propias se leen del archivo como las del resto
+    if (!this.shared) {
+      this.entries.push(record);
+      this._prune();
+    }
+
+    if (this.file) {
+      // Escrituras en orden, sin bloquear la conversación
+      if (!this.shared) this._unwritten++;
+      this._enqueue(() => {
+        if (!this.shared) this._unwritten--;
+        return appendFile(this.file, JSON.stringify(record) + '\n');
+      }).catch((err) => log.warn('[Usage] No se pudo escribir el registro de uso:', err.message));
+    }
+    return record;
+  }
+
+  /**
+   * Totales en una ventana de tiempo
+   * @param {Object} options
+   * @param {Date} options.from
+   * @param {Date} options.to
+   * @param {string} options.groupBy - api_key_id | session_id | model | source | day | hour | metadata.<campo>
+   * @param {Object} options.filters - { api_key_id, session_id, model, "metadata.<campo>": valor }
+   * @returns {Promise<{totals, groups?}>}
+   */
+  async summarize({ from, to, groupBy, filters = {} } = {}) {
+    await this._ready;
+    if (this.shared) {
+      await this._enqueue(async () => {
+        this._appendEntries(await this._readAppended());
+        this._prune();
+      });
+    }
+    let totals = { ...EMPTY_USAGE };
+    const groups = new Map();
+
+    for (const entry of this.entries) {
+      const time = new Date(entry.timestamp);
+      if (from && time < from) continue;
+      if (to && time > to) continue;
+      if (!matchesFilters(entry, filters)) continue;
+
+      totals = addUsage(totals, entry.usage);
+      if (groupBy) {
+        const key = groupKey(entry, groupBy);
+        groups.set(key, addUsage(groups.get(key), entry.usage));
+      }
+    }
+
+    return {
+      totals,
+      ...(groupBy && {
+        groups: [...groups.entries()]
+          .map(([key, usage]) => ({ key, ...usage }))
+          .sort((a, b) => b.cost_usd - a.cost_usd),
+      }),
+    };
+  }
+
+  async _load() {
+    await mkdir(dirname(this.file), { recursive: true });
+    const loaded = await this._readAppended();
+    // Entradas registradas mientras se leía el archivo van después
+    this.entries = [...loaded, ...this.entries];
+    this._prune();
+    log.info(`[Usage] ${this.entries.length} registros de uso cargados de ${this.file}`);
+  }
+
+  // Entradas agregadas al archivo desde la última lectura. Una línea que otro
+  // proceso está escribiendo (sin salto de línea final) se lee en la próxima
+  async _readAppended() {
+    let file;
+    try {
+      file = await open(this.file, 'r');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const entries = [];
+    try {
+      const { size, ino } = await file.stat();
+      if (this._ino !== null && (ino !== this._ino || size < this._offset)) {
+        // El archivo se compactó, truncó o rotó: se vuelve a leer desde el principio
+        this._offset = 0;
+        this.entries = [];
+      }
+      this._ino = ino;
+      this._offset += await readLines(file, this._offset, size, (line) => {
+        if (!line.trim()) return;
+        try {
+          entries.push(JSON.parse(line));
+        } catch {
+          log.warn('[Usage] Línea ilegible en el registro de uso, se ignora');
+        }
+      });
+    } finally {
+      await file.close();
+    }
+    return entries;
+  }
+
+  // Sin spread: lo releído tras una compactación puede tener millones de entradas
+  _appendEntries(entries) {
+    this.entries = this.entries.concat(entries);
+  }
+
+  _prune() {
+    if (!this.retentionMs) return;
+    const cutoff = Date.now() - this.retentionMs;
+    const firstKept = this.entries.findIndex((entry) => new Date(entry.timestamp).getTime() >= cutoff);
+    const dropped = firstKept === -1 ? this.entries.length : firstKept;
+    if (dropped > 0) {
+      this.entries.splice(0, dropped);
+      this._dropped += dropped;
+    }
+  }
+
+  // Operaciones sobre el archivo (escrituras, lecturas y compactación), en orden
+  _enqueue(task) {
+    const run = this._queue.then(task);
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  _compactInBackground() {
+    this._enqueue(() => this._compact())
+      .catch((err) => log.warn('[Usage] No se pudo compactar el registro de uso:', err.message));
+  }
+
+  /**
+   * Reescribe el archivo solo con las entradas vigentes (archivo temporal + rename,
+   * como el store de sesiones). Los demás workers ven otro inodo y lo releen completo.
+   */
+  async _compact() {
+    // Sin archivo compartido, las entradas que todavía no se escribieron se agregan después
+    let kept = this.shared ? null : this.entries.slice(0, Math.max(this.entries.length - this._unwritten, 0));
+    let dropped = this._dropped;
+    let previous;
+    try {
+      previous = await open(this.file, 'r');
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+
+    try {
+      if (this.shared) {
+        this._appendEntries(await this._readAppended());
+        this._prune();
+        kept = this.entries;
+        dropped = this._dropped;
+      }
+      if (dropped === 0) return;
+
+      const read = this._offset;
+      const tmpPath = `${this.file}.${process.pid}.tmp`;
+      const written = await writeEntries(tmpPath, kept);
+      await rename(tmpPath, this.file);
+      this._ino = (await stat(this.file)).ino;
+      this._offset = written;
+      this._dropped -= dropped;
+      log.info(`[Usage] Registro de uso compactado: ${dropped} registros vencidos eliminados`);
+
+      if (this.shared) {
+        // Otro worker pudo agregar al archivo viejo entre la última lectura y el rename
+        await new Promise((done) => setTimeout(done, COMPACT_GRACE_MS));
+        const late = [];
+        await readLines(previous, read, (await previous.stat()).size, (line) => late.push(line + '\n'));
+        if (late.length > 0) await appendFile(this.file, late.join(''));
+      }
+    } finally {
+      await previous.close();
+    }
+  }
+
+  close() {
+    clearInterval(this._compactInterval);
+  }
+}
+
+/**
+ * Lee línea por línea el rango [start, size) de un archivo abierto. Una línea sin salto
+ * de línea final no se entrega.
+ * @returns {Promise<number>} Bytes consumidos (solo líneas completas)
+ */
+async function readLines(file, start, size, onLine) {
+  if (size <= start) return 0;
+  const lines = createInterface({
+    input: file.createReadStream({ start, end: size - 1, autoClose: false }),
+    crlfDelay: Infinity,
+  });
+  let bytes = 0;
+  for await (const line of lines) {
+    const length = Buffer.byteLength(line) + 1;
+    if (bytes + length > size - start) break;
+    bytes += length;
+    onLine(line);
+  }
+  return bytes;
+}
+
+// Escribe las entradas en JSONL por tandas, sin armar un único string con todo el archivo
+async function writeEntries(path, entries) {
+  const file = await open(path, 'w');
+  let bytes = 0;
+  try {
+    for (let i = 0; i < entries.length; i += WRITE_BATCH) {
+      const chunk = entries.slice(i, i + WRITE_BATCH).map((entry) => JSON.stringify(entry) + '\n').join('');
+      await file.appendFile(chunk);
+      bytes += Buffer.byteLength(chunk);
+    }
+  } finally {
+    await file.close();
+  }
+  return bytes;
+}
+
+function matchesFilters(entry, filters) {
+  return Object.entries(filters).every(([field, value]) => String(fieldValue(entry, field)) === String(value));
+}
+
+function groupKey(entry, groupBy) {
+  if (groupBy === 'day') return entry.timestamp.slice(0, 10);
+  if (groupBy === 'hour') return entry.timestamp.slice(0, 13) + ':00';
+  const value = fieldValue(entry, groupBy);
+  return value === undefined || value === null ? '(sin valor)' : String(value);
+}
+
+function fieldValue(entry, field) {
+  if (field.startsWith('metadata.')) return entry.metadata?.[field.slice('metadata.'.length)];
+  return entry[field];
+}
+
+/**
+ * Crea el registro de uso configurado por variables de entorno
+ */
+export function createUsageLedger() {
+  const file = process.env.USAGE_LOG_FILE ?? './data/usage.jsonl';
+  const retentionMs = parseInt(process.env.USAGE_RETENTION_MS || '7776000000'); // 90 días
+  const ledger = new UsageLedger({
+    file,
+    retentionMs,
+    shared: cluster.isWorker,
+    compact: !cluster.isWorker || process.env.CLUSTER_WORKER_INDEX === '0',
+  });
+  ledger._ready.catch((err) => log.warn('[Usage] No se pudo leer el registro de uso:', err.message));
+  return ledger;
+}
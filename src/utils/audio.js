@@ -6,6 +6,8 @@
  * Formatos soportados para conversión:
  * - PCM16 raw (nativo de la API)
  * - WAV (contenedor con cabecera)
+ * - G.711 μ-law y A-law 8kHz (telefonía / Twilio)
+ * - PCM16 a 8/16/24/44.1/48kHz (remuestreado a 24kHz)
  * - Base64 de cualquiera de los anteriores
  */
 
@@ -32,9 +34,18 @@ export function pcm16ToWavBase64(pcm16Base64, sampleRate = 24000) {
  * @returns {Buffer}
  */
 export function addWavHeader(pcmData, sampleRate = 24000, numChannels = 1, bitsPerSample = 16) {
+  return Buffer.concat([createWavHeader(pcmData.length, sampleRate, numChannels, bitsPerSample), pcmData]);
+}
+
+/**
+ * Cabecera WAV (44 bytes) para un bloque de datos de tamaño conocido.
+ * Permite enviar el WAV por streaming sin tener todo el audio en memoria.
+ * @param {number} dataSize - Bytes de audio que siguen a la cabecera
+ * @returns {Buffer}
+ */
+export function createWavHeader(dataSize, sampleRate = 24000, numChannels = 1, bitsPerSample = 16) {
   const byteRate = sampleRate * numChannels * (bitsPerSample / 8);
   const blockAlign = numChannels * (bitsPerSample / 8);
-  const dataSize = pcmData.length;
   const headerSize = 44;
 
   const header = Buffer.alloc(headerSize);
@@ -59,21 +70,156 @@ export function addWavHeader(pcmData, sampleRate = 24000, numChannels = 1, bitsP
   header.write('data', offset); offset += 4;
   header.writeUInt32LE(dataSize, offset);
 
-  return Buffer.concat([header, pcmData]);
+  return header;
+}
+
+// ─────────────────────────────────────────────
+//  Lectura de WAV (RIFF)
+// ─────────────────────────────────────────────
+
+const WAV_FORMAT_PCM = 1;
+const WAV_FORMAT_IEEE_FLOAT = 3;
+const WAV_FORMAT_MULAW = 7;
+const WAV_FORMAT_EXTENSIBLE = 0xfffe;
+
+/**
+ * Parsea un archivo WAV recorriendo sus chunks RIFF.
+ * Soporta chunks extra (LIST, fact, bext, etc.) en cualquier orden y WAVE_FORMAT_EXTENSIBLE.
+ *
+ * @param {Buffer} wavBuffer
+ * @returns {{audioFormat, numChannels, sampleRate, bitsPerSample, data: Buffer}}
+ */
+export function parseWav(wavBuffer) {
+  if (wavBuffer.length < 12 ||
+      wavBuffer.toString('ascii', 0, 4) !== 'RIFF' ||
+      wavBuffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Audio WAV inválido: falta la cabecera RIFF/WAVE');
+  }
+
+  let fmt = null;
+  let data = null;
+  let offset = 12;
+
+  while (offset + 8 <= wavBuffer.length) {
+    const chunkId = wavBuffer.toString('ascii', offset, offset + 4);
+    const declaredSize = wavBuffer.readUInt32LE(offset + 4);
+    const start = offset + 8;
+    // Algunos encoders en streaming escriben 0xFFFFFFFF o un tamaño mayor al real
+    const end = Math.min(start + declaredSize, wavBuffer.length);
+
+    if (chunkId === 'fmt ') {
+      if (end - start < 16) {
+        throw new Error('Audio WAV inválido: chunk "fmt " incompleto');
+      }
+      fmt = {
+        audioFormat: wavBuffer.readUInt16LE(start),
+        numChannels: wavBuffer.readUInt16LE(start + 2),
+        sampleRate: wavBuffer.readUInt32LE(start + 4),
+        bitsPerSample: wavBuffer.readUInt16LE(start + 14),
+      };
+      // WAVE_FORMAT_EXTENSIBLE: el formato real está en los 2 primeros bytes del SubFormat GUID
+      if (fmt.audioFormat === WAV_FORMAT_EXTENSIBLE && end - start >= 26) {
+        fmt.audioFormat = wavBuffer.readUInt16LE(start + 24);
+      }
+    } else if (chunkId === 'data') {
+      data = wavBuffer.subarray(start, end);
+      if (fmt) break;
+    }
+
+    // Los chunks de tamaño impar llevan un byte de relleno
+    offset = start + declaredSize + (declaredSize % 2);
+  }
+
+  if (!fmt) throw new Error('Audio WAV inválido: no se encontró el chunk "fmt "');
+  if (!data) throw new Error('Audio WAV inválido: no se encontró el chunk "data"');
+  if (!fmt.numChannels || !fmt.sampleRate) {
+    throw new Error('Audio WAV inválido: canales o sample rate en cero');
+  }
+
+  return { ...fmt, data };
+}
+
+/**
+ * Decodifica las muestras de un WAV a float [-1, 1] y las mezcla a mono
+ * @returns {Float32Array}
+ */
+function decodeWavToMonoFloat({ audioFormat, numChannels, bitsPerSample, data }) {
+  const bytesPerSample = bitsPerSample / 8;
+  let readSample;
+
+  if (audioFormat === WAV_FORMAT_PCM) {
+    switch (bitsPerSample) {
+      case 8: readSample = (o) => (data.readUInt8(o) - 128) / 128; break;
+      case 16: readSample = (o) => data.readInt16LE(o) / 32768; break;
+      case 24: readSample = (o) => data.readIntLE(o, 3) / 8388608; break;
+      case 32: readSample = (o) => data.readInt32LE(o) / 2147483648; break;
+    }
+  } else if (audioFormat === WAV_FORMAT_IEEE_FLOAT) {
+    switch (bitsPerSample) {
+      case 32: readSample = (o) => data.readFloatLE(o); break;
+      case 64: readSample = (o) => data.readDoubleLE(o); break;
+    }
+  } else if (audioFormat === WAV_FORMAT_MULAW && bitsPerSample === 8) {
+    const pcm = mulawToPcm16(data);
+    readSample = (o) => pcm.readInt16LE(o * 2) / 32768;
+  }
+
+  if (!readSample) {
+    throw new Error(
+      `Audio WAV no soportado: formato ${audioFormat} con ${bitsPerSample} bits. ` +
+      'Usa PCM (8/16/24/32 bits), float (32/64 bits) o μ-law.'
+    );
+  }
+
+  const frameSize = bytesPerSample * numChannels;
+  const frames = Math.floor(data.length / frameSize);
+  const mono = new Float32Array(frames);
+
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    for (let ch = 0; ch < numChannels; ch++) {
+      sum += readSample(i * frameSize + ch * bytesPerSample);
+    }
+    mono[i] = sum / numChannels;
+  }
+  return mono;
+}
+
+function floatToPcm16(samples) {
+  const pcm = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    const clamped = Math.max(-1, Math.min(1, samples[i]));
+    pcm.writeInt16LE(Math.round(clamped < 0 ? clamped * 32768 : clamped * 32767), i * 2);
+  }
+  return pcm;
+}
+
+/**
+ * Convierte un WAV arbitrario a PCM16 mono al sample rate indicado:
+ * mezcla a mono, convierte el formato de muestra y remuestrea.
+ *
+ * @param {Buffer} wavBuffer
+ * @param {number} targetRate - Sample rate de salida (default: 24000 para OpenAI Realtime)
+ * @returns {Buffer} PCM16 mono
+ */
+export function wavToPcm16(wavBuffer, targetRate = 24000) {
+  const wav = parseWav(wavBuffer);
+  const pcm = floatToPcm16(decodeWavToMonoFloat(wav));
+  if (pcm.length === 0) {
+    throw new Error('Audio WAV inválido: el chunk "data" no contiene muestras');
+  }
+  return resamplePcm16(pcm, wav.sampleRate, targetRate);
 }
 
 /**
  * Convierte WAV (base64) a PCM16 raw (base64)
- * Para enviar audio del usuario a OpenAI
- * 
+ * Para enviar audio del usuario a OpenAI (PCM16 24kHz mono)
+ *
  * @param {string} wavBase64
  * @returns {string} PCM16 base64
  */
 export function wavBase64ToPcm16Base64(wavBase64) {
-  const wavBuffer = Buffer.from(wavBase64, 'base64');
-  // WAV header es de 44 bytes para formato estándar
-  const pcmData = wavBuffer.slice(44);
-  return pcmData.toString('base64');
+  return wavToPcm16(Buffer.from(wavBase64, 'base64')).toString('base64');
 }
 
 /**
@@ -88,6 +234,329 @@ export function getPcmDurationSeconds(pcm16Base64, sampleRate = 24000) {
   return samples / sampleRate;
 }
 
+// ─────────────────────────────────────────────
+//  G.711 μ-law (telefonía) y remuestreo
+// ─────────────────────────────────────────────
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+/**
+ * Decodifica G.711 μ-law a PCM16 (little-endian)
+ * @param {Buffer} mulawData - 1 byte por muestra
+ * @returns {Buffer} PCM16, 2 bytes por muestra
+ */
+export function mulawToPcm16(mulawData) {
+  const pcm = Buffer.alloc(mulawData.length * 2);
+  for (let i = 0; i < mulawData.length; i++) {
+    const u = ~mulawData[i] & 0xff;
+    const sign = u & 0x80;
+    const exponent = (u >> 4) & 0x07;
+    const mantissa = u & 0x0f;
+    let sample = (((mantissa << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+    if (sign) sample = -sample;
+    pcm.writeInt16LE(sample, i * 2);
+  }
+  return pcm;
+}
+
+/**
+ * Codifica PCM16 (little-endian) a G.711 μ-law
+ * @param {Buffer} pcmData - PCM16, 2 bytes por muestra
+ * @returns {Buffer} μ-law, 1 byte por muestra
+ */
+export function pcm16ToMulaw(pcmData) {
+  const samples = Math.floor(pcmData.length / 2);
+  const mulaw = Buffer.alloc(samples);
+  for (let i = 0; i < samples; i++) {
+    let sample = pcmData.readInt16LE(i * 2);
+    const sign = sample < 0 ? 0x80 : 0;
+    if (sign) sample = -sample;
+    if (sample > MULAW_CLIP) sample = MULAW_CLIP;
+    sample += MULAW_BIAS;
+
+    let exponent = 7;
+    for (let mask = 0x4000; (sample & mask) === 0 && exponent > 0; mask >>= 1) {
+      exponent--;
+    }
+    const mantissa = (sample >> (exponent + 3)) & 0x0f;
+    mulaw[i] = ~(sign | (exponent << 4) | mantissa) & 0xff;
+  }
+  return mulaw;
+}
+
+/**
+ * Decodifica G.711 A-law a PCM16 (little-endian)
+ * @param {Buffer} alawData - 1 byte por muestra
+ * @returns {Buffer} PCM16, 2 bytes por muestra
+ */
+export function alawToPcm16(alawData) {
+  const pcm = Buffer.alloc(alawData.length * 2);
+  for (let i = 0; i < alawData.length; i++) {
+    const a = alawData[i] ^ 0x55;
+    const segment = (a & 0x70) >> 4;
+    let sample = (a & 0x0f) << 4;
+    if (segment === 0) {
+      sample += 8;
+    } else {
+      sample = (sample + 0x108) << (segment - 1);
+    }
+    pcm.writeInt16LE(a & 0x80 ? sample : -sample, i * 2);
+  }
+  return pcm;
+}
+
+const ALAW_SEGMENT_END = [0x1f, 0x3f, 0x7f, 0xff, 0x1ff, 0x3ff, 0x7ff, 0xfff];
+
+/**
+ * Codifica PCM16 (little-endian) a G.711 A-law
+ * @param {Buffer} pcmData - PCM16, 2 bytes por muestra
+ * @returns {Buffer} A-law, 1 byte por muestra
+ */
+export function pcm16ToAlaw(pcmData) {
+  const samples = Math.floor(pcmData.length / 2);
+  const alaw = Buffer.alloc(samples);
+  for (let i = 0; i < samples; i++) {
+    let sample = pcmData.readInt16LE(i * 2) >> 3; // A-law trabaja con 13 bits
+    let mask;
+    if (sample >= 0) {
+      mask = 0xd5;
+    } else {
+      mask = 0x55;
+      sample = -sample - 1;
+    }
+
+    let segment = 0;
+    while (segment < 8 && sample > ALAW_SEGMENT_END[segment]) segment++;
+
+    if (segment >= 8) {
+      alaw[i] = 0x7f ^ mask;
+      continue;
+    }
+    const quant = segment < 2 ? (sample >> 1) & 0x0f : (sample >> segment) & 0x0f;
+    alaw[i] = ((segment << 4) | quant) ^ mask;
+  }
+  return alaw;
+}
+
+/**
+ * Remuestrea audio PCM16 mono por interpolación lineal.
+ * Al bajar de frecuencia promedia las muestras de cada ventana (filtro paso-bajo simple)
+ * para reducir el aliasing.
+ *
+ * @param {Buffer} pcmData - PCM16 mono
+ * @param {number} fromRate - Sample rate de entrada (ej: 8000)
+ * @param {number} toRate - Sample rate de salida (ej: 24000)
+ * @returns {Buffer}
+ */
+export function resamplePcm16(pcmData, fromRate, toRate) {
+  if (fromRate === toRate) return pcmData;
+
+  const inSamples = Math.floor(pcmData.length / 2);
+  const outSamples = Math.floor(inSamples * toRate / fromRate);
+  const out = Buffer.alloc(outSamples * 2);
+  const ratio = fromRate / toRate;
+  const read = (index) => pcmData.readInt16LE(index * 2);
+
+  for (let i = 0; i < outSamples; i++) {
+    out.writeInt16LE(resampleAt(read, inSamples, i * ratio, ratio), i * 2);
+  }
+  return out;
+}
+
+/**
+ * Remuestreador para audio que llega por fragmentos (ej: los audio.delta de una respuesta).
+ * Guarda entre fragmentos la posición y las muestras que todavía hacen falta, así que
+ * la concatenación de lo que devuelve push() y flush() es idéntica a resamplePcm16
+ * sobre el audio completo (remuestrear cada fragmento por separado mete clics en los
+ * bordes cuando la relación entre frecuencias no es entera, ej: 24kHz → 44.1kHz).
+ *
+ * @param {number} fromRate
+ * @param {number} toRate
+ * @returns {{ push: (chunk: Buffer) => Buffer, flush: () => Buffer }}
+ */
+export function createPcm16Resampler(fromRate, toRate) {
+  const ratio = fromRate / toRate;
+  let pending = Buffer.alloc(0); // bytes de entrada que todavía se necesitan
+  let offset = 0;                // índice (en muestras) del primer byte de `pending`
+  let produced = 0;              // muestras de salida entregadas
+
+  const resample = (final) => {
+    const inSamples = offset + Math.floor(pending.length / 2);
+    const read = (index) => pending.readInt16LE((index - offset) * 2);
+    const values = [];
+    while (produced < Math.floor(inSamples * toRate / fromRate)) {
+      const pos = produced * ratio;
+      // Sin el final del audio, la muestra espera a que lleguen todas las que usa
+      const needed = ratio > 1 ? Math.floor(pos + ratio) : Math.floor(pos) + 2;
+      if (!final && needed > inSamples) break;
+      values.push(resampleAt(read, inSamples, pos, ratio));
+      produced++;
+    }
+
+    const keepFrom = Math.min(Math.floor(produced * ratio), inSamples);
+    pending = pending.subarray((keepFrom - offset) * 2);
+    offset = keepFrom;
+
+    const out = Buffer.alloc(values.length * 2);
+    values.forEach((value, i) => out.writeInt16LE(value, i * 2));
+    return out;
+  };
+
+  return {
+    push(chunk) {
+      if (fromRate === toRate) return chunk;
+      pending = Buffer.concat([pending, chunk]);
+      return resample(false);
+    },
+    flush() {
+      return fromRate === toRate ? Buffer.alloc(0) : resample(true);
+    },
+  };
+}
+
+// Muestra de salida en la posición `pos` (en muestras de entrada) de resamplePcm16
+function resampleAt(read, inSamples, pos, ratio) {
+  let value;
+  if (ratio > 1) {
+    // Downsampling: promedio de las muestras que caen en la ventana
+    const start = Math.floor(pos);
+    const end = Math.min(Math.floor(pos + ratio), inSamples);
+    let sum = 0;
+    for (let j = start; j < end; j++) sum += read(j);
+    value = sum / Math.max(end - start, 1);
+  } else {
+    // Upsampling: interpolación lineal entre muestras vecinas
+    const index = Math.floor(pos);
+    const frac = pos - index;
+    const a = read(index);
+    const b = index + 1 < inSamples ? read(index + 1) : a;
+    value = a + (b - a) * frac;
+  }
+  return Math.max(-32768, Math.min(32767, Math.round(value)));
+}
+
+// ─────────────────────────────────────────────
+//  Formatos de entrada/salida de la API
+// ─────────────────────────────────────────────
+
+const OPENAI_SAMPLE_RATE = 24000;
+const PCM_SAMPLE_RATES = [8000, 16000, 24000, 44100, 48000];
+
+/**
+ * Formatos aceptados en `audio_format` y `response_audio_format`:
+ * - pcm16 (24kHz, nativo de OpenAI) y pcm16_8000 / _16000 / _24000 / _44100 / _48000
+ * - ulaw_8000 (alias g711_ulaw) y alaw_8000 (alias g711_alaw)
+ * - wav (en la entrada: cualquier WAV soportado por parseWav; en la salida: PCM16 24kHz)
+ */
+export const SUPPORTED_AUDIO_FORMATS = [
+  'pcm16',
+  ...PCM_SAMPLE_RATES.map((rate) => `pcm16_${rate}`),
+  'ulaw_8000', 'g711_ulaw',
+  'alaw_8000', 'g711_alaw',
+  'wav',
+];
+
+/**
+ * Resuelve el nombre de un formato de la API a su codec y sample rate
+ * (los alias g711_* se normalizan a ulaw_8000 / alaw_8000)
+ * @param {string} name
+ * @returns {{name, codec: 'pcm16'|'ulaw'|'alaw'|'wav', sampleRate: number}|null}
+ */
+export function resolveAudioFormat(name) {
+  const format = String(name || '').toLowerCase();
+  if (format === 'pcm16') return { name: format, codec: 'pcm16', sampleRate: OPENAI_SAMPLE_RATE };
+  if (format === 'wav') return { name: format, codec: 'wav', sampleRate: OPENAI_SAMPLE_RATE };
+  if (format === 'ulaw_8000' || format === 'g711_ulaw') return { name: 'ulaw_8000', codec: 'ulaw', sampleRate: 8000 };
+  if (format === 'alaw_8000' || format === 'g711_alaw') return { name: 'alaw_8000', codec: 'alaw', sampleRate: 8000 };
+
+  const pcm = format.match(/^pcm16_(\d+)$/);
+  if (pcm && PCM_SAMPLE_RATES.includes(Number(pcm[1]))) {
+    return { name: format, codec: 'pcm16', sampleRate: Number(pcm[1]) };
+  }
+  return null;
+}
+
+/**
+ * Valida un campo de formato de audio del body. Devuelve el nombre normalizado
+ * (default "pcm16") o lanza un error con los formatos soportados.
+ */
+export function parseAudioFormat(value, field) {
+  if (value === undefined || value === null || value === '') return 'pcm16';
+  const format = resolveAudioFormat(value);
+  if (!format) {
+    throw new Error(
+      `El campo "${field}" es inválido: "${value}". Formatos soportados: ${SUPPORTED_AUDIO_FORMATS.join(', ')}`
+    );
+  }
+  return format.name;
+}
+
+/**
+ * Convierte audio del cliente (base64, en cualquier formato soportado) a PCM16 24kHz (base64)
+ * @param {string} audioBase64
+ * @param {string} formatName - Ver SUPPORTED_AUDIO_FORMATS
+ * @returns {string} PCM16 24kHz base64
+ */
+export function decodeAudioBase64ToPcm16(audioBase64, formatName = 'pcm16') {
+  const format = resolveAudioFormat(formatName);
+  if (!format) throw new Error(`Formato de audio no soportado: ${formatName}`);
+
+  const input = Buffer.from(audioBase64, 'base64');
+  let pcm;
+  switch (format.codec) {
+    case 'wav': return wavToPcm16(input).toString('base64');
+    case 'ulaw': pcm = mulawToPcm16(input); break;
+    case 'alaw': pcm = alawToPcm16(input); break;
+    default: pcm = input;
+  }
+  return resamplePcm16(pcm, format.sampleRate, OPENAI_SAMPLE_RATE).toString('base64');
+}
+
+/**
+ * Convierte audio PCM16 24kHz (base64) de OpenAI al formato pedido por el cliente
+ * @param {string} pcm16Base64
+ * @param {string} formatName - Ver SUPPORTED_AUDIO_FORMATS
+ * @returns {string} Audio en el formato pedido, base64
+ */
+export function encodePcm16Base64ToAudio(pcm16Base64, formatName = 'pcm16') {
+  const format = resolveAudioFormat(formatName);
+  if (!format) throw new Error(`Formato de audio no soportado: ${formatName}`);
+
+  if (format.codec === 'wav') return pcm16ToWavBase64(pcm16Base64);
+
+  const pcm = resamplePcm16(Buffer.from(pcm16Base64, 'base64'), OPENAI_SAMPLE_RATE, format.sampleRate);
+  return encodePcm16(pcm, format.codec);
+}
+
+/**
+ * Versión por fragmentos de encodePcm16Base64ToAudio, para los audio.delta en streaming:
+ * el remuestreo sigue entre fragmentos (ver createPcm16Resampler). Con "wav" los
+ * fragmentos salen en PCM16 24kHz (un WAV por fragmento no es reproducible en cadena).
+ * @param {string} formatName - Ver SUPPORTED_AUDIO_FORMATS
+ * @returns {{ encode: (pcm16Base64: string) => string, flush: () => string }} flush() devuelve
+ *   el final del audio ('' si no queda nada)
+ */
+export function createAudioEncoder(formatName = 'pcm16') {
+  const format = resolveAudioFormat(formatName);
+  if (!format) throw new Error(`Formato de audio no soportado: ${formatName}`);
+
+  const codec = format.codec === 'wav' ? 'pcm16' : format.codec;
+  const resampler = createPcm16Resampler(OPENAI_SAMPLE_RATE, format.sampleRate);
+  return {
+    encode: (pcm16Base64) => encodePcm16(resampler.push(Buffer.from(pcm16Base64, 'base64')), codec),
+    flush: () => encodePcm16(resampler.flush(), codec),
+  };
+}
+
+function encodePcm16(pcm, codec) {
+  switch (codec) {
+    case 'ulaw': return pcm16ToMulaw(pcm).toString('base64');
+    case 'alaw': return pcm16ToAlaw(pcm).toString('base64');
+    default: return pcm.toString('base64');
+  }
+}
+
 /**
  * Valida si un string es base64 válido
  */
@@ -0,0 +1,100 @@
+/**
+ * Items de la conversación en OpenAI
+ *
+ * El Realtime API no permite consultar la conversación: el bridge mantiene una copia
+ * (sin audio) a partir de los eventos conversation.item.*, response.output_item.done
+ * y de transcripción. La copia se reinicia con cada conexión, cuando el historial se
+ * vuelve a reproducir con los mismos item_id.
+ */
+
+import { randomBytes } from 'crypto';
+
+export const INJECTABLE_ROLES = ['system', 'assistant', 'user'];
+
+/**
+ * Id para un item creado por el bridge (OpenAI acepta ids propios de hasta 32 caracteres)
+ */
+export function newItemId() {
+  return `item_${randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Agrega o actualiza un item en la copia local
+ * @param {Object[]} items - Copia local, en el orden de la conversación
+ * @param {Object} item - Item tal como llega en el evento
+ * @param {string|null} previousItemId - Item anterior (null = al inicio, undefined = al final)
+ */
+export function trackItem(items, item, previousItemId) {
+  if (!item?.id) return;
+  const stored = {
+    id: item.id,
+    type: item.type,
+    role: item.role ?? null,
+    status: item.status ?? null,
+    content: (item.content || []).map(({ audio, ...part }) => part), // el audio no se guarda
+    ...(item.call_id !== undefined && { call_id: item.call_id }),
+    ...(item.name !== undefined && { name: item.name }),
+    ...(item.arguments !== undefined && { arguments: item.arguments }),
+    ...(item.output !== undefined && { output: item.output }),
+  };
+
+  const existing = items.findIndex((i) => i.id === item.id);
+  if (existing !== -1) {
+    // Un item en curso llega sin contenido: no se pisa lo que ya se conocía
+    items[existing] = { ...items[existing], ...stored, content: stored.content.length ? stored.content : items[existing].content };
+    return;
+  }
+  if (previousItemId === undefined) {
+    items.push(stored);
+    return;
+  }
+  const previous = previousItemId === null ? -1 : items.findIndex((i) => i.id === previousItemId);
+  items.splice(previous === -1 && previousItemId !== null ? items.length : previous + 1, 0, stored);
+}
+
+/**
+ * Completa la transcripción de un item de audio del usuario
+ */
+export function setItemTranscript(items, itemId, contentIndex, transcript) {
+  const part = items.find((i) => i.id === itemId)?.content[contentIndex || 0];
+  if (part) part.transcript = transcript;
+}
+
+export function findItem(items, itemId) {
+  return items.find((i) => i.id === itemId) || null;
+}
+
+export function hasAudioContent(item) {
+  return item.content.some((part) => part.type === 'audio' || part.type === 'output_audio');
+}
+
+/**
+ * Representación de un item para la API
+ */
+export function toPublicItem(item) {
+  return {
+    item_id: item.id,
+    type: item.type,
+    role: item.role,
+    status: item.status,
+    text: item.content.map((part) => part.text ?? part.transcript ?? '').join('') || null,
+    content_types: item.content.map((part) => part.type),
+    ...(item.call_id !== undefined && { call_id: item.call_id }),
+    ...(item.name !== undefined && { name: item.name }),
+    ...(item.arguments !== undefined && { arguments: item.arguments }),
+    ...(item.output !== undefined && { output: item.output }),
+    ...(item.audio_end_ms !== undefined && { audio_end_ms: item.audio_end_ms }),
+  };
+}
+
+/**
+ * Parte de un texto que se alcanzó a escuchar si su audio se cortó en heardMs
+ * (proporcional a la duración, sin cortar palabras)
+ */
+export function heardText(text, heardMs, totalMs) {
+  if (!(totalMs > 0) || heardMs >= totalMs) return text;
+  const cut = Math.floor((text.length * heardMs) / totalMs);
+  if (cut >= text.length || /\s/.test(text[cut])) return text.slice(0, cut).trimEnd();
+  const space = text.lastIndexOf(' ', cut);
+  return text.slice(0, Math.max(space, 0)).trimEnd();
+}
@@ -0,0 +1,202 @@
+/**
+ * Respuestas en JSON
+ *
+ * El Realtime API no tiene un modo de salida estructurada: el bridge le pide al modelo
+ * que responda solo con JSON (y con qué forma, si hay un JSON Schema), interpreta el
+ * texto y lo valida contra el schema.
+ *
+ * La validación cubre el subconjunto de JSON Schema que se usa para describir respuestas:
+ * type, enum, const, properties, required, additionalProperties, items, minItems,
+ * maxItems, minLength, maxLength, pattern, minimum y maximum.
+ */
+
+const JSON_TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+
+/**
+ * Valida un JSON Schema recibido por la API
+ * @param {Object} schema
+ * @param {string} field - Nombre del campo en el body (para el mensaje de error)
+ * @returns {Object|null} El schema, o null si no se envió
+ */
+export function validateJsonSchema(schema, field = 'schema') {
+  if (schema === undefined || schema === null) return null;
+  checkSchemaNode(schema, field, '$');
+  return schema;
+}
+
+// Recorre el schema completo: un error en un subschema (p. ej. un "pattern" que no
+// compila) tiene que salir aquí como 400, no al validar la respuesta del modelo
+function checkSchemaNode(schema, field, path) {
+  const fail = (reason) => {
+    throw new Error(`El campo "${field}" es inválido: ${path === '$' ? '' : `${path}: `}${reason}`);
+  };
+  if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+    fail('debe ser un JSON Schema (objeto)');
+  }
+
+  const types = [].concat(schema.type ?? []);
+  if (types.some((type) => !JSON_TYPES.includes(type))) {
+    fail(`"type" debe ser ${JSON_TYPES.join(', ')}`);
+  }
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) fail('"enum" debe ser un array');
+  if (schema.required !== undefined &&
+      (!Array.isArray(schema.required) || schema.required.some((key) => typeof key !== 'string'))) {
+    fail('"required" debe ser un array de textos');
+  }
+  for (const keyword of ['minItems', 'maxItems', 'minLength', 'maxLength', 'minimum', 'maximum']) {
+    if (schema[keyword] !== undefined && (typeof schema[keyword] !== 'number' || !Number.isFinite(schema[keyword]))) {
+      fail(`"${keyword}" debe ser un número`);
+    }
+  }
+  if (schema.pattern !== undefined) {
+    if (typeof schema.pattern !== 'string') fail('"pattern" debe ser un texto');
+    try {
+      new RegExp(schema.pattern, 'u');
+    } catch (err) {
+      fail(`"pattern" no es una expresión regular válida (${err.message})`);
+    }
+  }
+
+  if (schema.properties !== undefined) {
+    if (typeof schema.properties !== 'object' || schema.properties === null || Array.isArray(schema.properties)) {
+      fail('"properties" debe ser un objeto');
+    }
+    for (const [key, property] of Object.entries(schema.properties)) {
+      checkSchemaNode(property, field, `${path}.${key}`);
+    }
+  }
+  if (schema.items !== undefined) checkSchemaNode(schema.items, field, `${path}[]`);
+  if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== 'boolean') {
+    checkSchemaNode(schema.additionalProperties, field, `${path}.*`);
+  }
+}
+
+/**
+ * Indicaciones para que el modelo responda solo con JSON (con la forma del schema, si hay)
+ */
+export function jsonOutputInstructions(schema) {
+  return 'Responde solo con un objeto JSON válido, sin texto adicional ni bloques de código.' +
+    (schema ? `\nEl JSON debe cumplir este JSON Schema:\n${JSON.stringify(schema)}` : '');
+}
+
+/**
+ * Interpreta la respuesta del modelo como JSON. Tolera un bloque de código
+ * (```json ... ```) o texto alrededor del objeto.
+ * @returns {*} El valor interpretado
+ * @throws {Error} Si el texto no es JSON
+ */
+export function parseJsonOutput(text) {
+  const trimmed = String(text ?? '').trim();
+  const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  const candidates = [fenced ? fenced[1] : trimmed];
+  const start = trimmed.search(/[{[]/);
+  const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+  if (start !== -1 && end > start) candidates.push(trimmed.slice(start, end + 1));
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // probar el siguiente
+    }
+  }
+  throw new Error(`La respuesta no es JSON válido: "${trimmed.substring(0, 100)}${trimmed.length > 100 ? '...' : ''}"`);
+}
+
+/**
+ * Interpreta y valida una respuesta del modelo
+ * @param {string} text
+ * @param {Object|null} schema
+ * @returns {{ value: *, errors: string[] }} errors vacío si la respuesta es válida
+ */
+export function checkJsonOutput(text, schema) {
+  let value;
+  try {
+    value = parseJsonOutput(text);
+  } catch (err) {
+    return { value: undefined, errors: [err.message] };
+  }
+  return { value, errors: schema ? validateAgainstSchema(value, schema) : [] };
+}
+
+/**
+ * Valida un valor contra un JSON Schema
+ * @returns {string[]} Errores ("$.campo: motivo"); vacío si es válido
+ */
+export function validateAgainstSchema(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+
+  const types = [].concat(schema.type ?? []);
+  if (types.length > 0 && !types.some((type) => matchesType(value, type))) {
+    return [`${path}: debe ser de tipo ${types.join(' o ')}`];
+  }
+  if (schema.enum && !schema.enum.some((option) => isEqual(option, value))) {
+    errors.push(`${path}: debe ser uno de ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    errors.push(`${path}: debe ser ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: debe tener al menos ${schema.minLength} caracteres`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: debe tener como máximo ${schema.maxLength} caracteres`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${path}: debe cumplir el patrón ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: debe ser mayor o igual a ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: debe ser menor o igual a ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: debe tener al menos ${schema.minItems} elementos`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: debe tener como máximo ${schema.maxItems} elementos`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (matchesType(value, 'object')) {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!Object.hasOwn(value, key)) errors.push(`${path}.${key}: es requerido`);
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateAgainstSchema(propertyValue, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: no está permitido`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateAgainstSchema(propertyValue, schema.additionalProperties, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,225 @@
+/**
+ * Métricas en formato de texto de Prometheus (sin dependencias)
+ *
+ * Registro global con contadores, gauges e histogramas con labels.
+ * `GET /metrics` devuelve `renderMetrics()`; cada réplica del bridge expone
+ * las suyas y Prometheus las agrega (usa el label `instance` del scrape).
+ *
+ * En modo cluster los workers comparten el puerto, así que cualquiera puede recibir
+ * el scrape: junta los registros de todos (`snapshotMetrics`) y los expone con un
+ * label `worker` por serie (`renderClusterMetrics`).
+ */
+
+const registry = new Map(); // nombre → métrica
+
+// Buckets de latencia (segundos) pensados para turnos de voz: de 100ms a 1 minuto
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 3, 5, 8, 13, 21, 34, 60];
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map(); // labels serializados → valor
+    registry.set(name, this);
+  }
+
+  _key(labels = {}) {
+    return this.labelNames.map((label) => `${label}="${escapeLabel(labels[label] ?? '')}"`).join(',');
+  }
+
+  // Actualiza los valores que se calculan al momento del scrape
+  refresh() {}
+
+  render() {
+    this.refresh();
+    return renderMetric(this, this.values);
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels, value = 1) {
+    const key = this._key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+}
+
+class Gauge extends Metric {
+  /**
+   * @param {Function} collect - Si se pasa, el valor se lee en cada scrape (sin labels)
+   */
+  constructor(name, help, labelNames, collect) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.values.set(this._key(labels), value);
+  }
+
+  refresh() {
+    if (this.collect) this.values.set('', this.collect());
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = LATENCY_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const key = this._key(labels);
+    let series = this.values.get(key);
+    if (!series) {
+      series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, series);
+    }
+    this.buckets.forEach((bucket, i) => {
+      if (value <= bucket) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+}
+
+/**
+ * Texto de una métrica
+ * @param {{type, name, help, buckets?}} metric
+ * @param {Iterable<[string, *]>} series - labels serializados → valor (o { counts, sum, count } en histogramas)
+ */
+function renderMetric({ type, name, help, buckets }, series) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const [key, value] of series) {
+    if (type !== 'histogram') {
+      lines.push(`${name}${key ? `{${key}}` : ''} ${value}`);
+      continue;
+    }
+    const prefix = key ? `${key},` : '';
+    buckets.forEach((bucket, i) => {
+      lines.push(`${name}_bucket{${prefix}le="${bucket}"} ${value.counts[i]}`);
+    });
+    lines.push(`${name}_bucket{${prefix}le="+Inf"} ${value.count}`);
+    lines.push(`${name}_sum${key ? `{${key}}` : ''} ${value.sum}`);
+    lines.push(`${name}_count${key ? `{${key}}` : ''} ${value.count}`);
+  }
+  return lines.join('\n');
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// ─────────────────────────────────────────────
+//  Métricas del bridge
+// ─────────────────────────────────────────────
+
+export const metrics = {
+  sessionsCreated: new Counter(
+    'bridge_sessions_created_total',
+    'Sesiones abiertas con OpenAI (origin: new = POST /sessions, restored = reanudada del store)',
+    ['origin'],
+  ),
+  sessionsClosed: new Counter(
+    'bridge_sessions_closed_total',
+    'Sesiones desconectadas de OpenAI por motivo (deleted, idle, reconnect_failed, shutdown)',
+    ['reason'],
+  ),
+  httpRequests: new Counter(
+    'bridge_http_requests_total',
+    'Requests HTTP por ruta y código de estado',
+    ['method', 'route', 'status'],
+  ),
+  responseDuration: new Histogram(
+    'bridge_response_duration_seconds',
+    'Latencia de los turnos completados (sendText / sendAudio), desde que se envían a OpenAI',
+    ['type'],
+  ),
+  responseTimeouts: new Counter(
+    'bridge_response_timeouts_total',
+    'Turnos sin respuesta de OpenAI dentro de RESPONSE_TIMEOUT_MS',
+    ['type'],
+  ),
+  openaiErrors: new Counter(
+    'bridge_openai_errors_total',
+    'Eventos de error de OpenAI por código (ignored = no fatal, no interrumpe el turno)',
+    ['code', 'ignored'],
+  ),
+  reconnects: new Counter(
+    'bridge_openai_reconnects_total',
+    'Intentos de reconexión del WebSocket con OpenAI por resultado (success, failure)',
+    ['result'],
+  ),
+  audioBytes: new Counter(
+    'bridge_audio_bytes_total',
+    'Bytes de audio PCM16 24kHz (in = del cliente hacia OpenAI, out = de OpenAI hacia el cliente)',
+    ['direction'],
+  ),
+};
+
+/**
+ * Gauge cuyo valor se calcula al momento del scrape (ej: sesiones activas)
+ */
+export function registerGauge(name, help, collect) {
+  return new Gauge(name, help, [], collect);
+}
+
+/**
+ * Todas las métricas en formato de texto de Prometheus (text/plain; version=0.0.4)
+ */
+export function renderMetrics() {
+  return [...registry.values()].map((metric) => metric.render()).join('\n') + '\n';
+}
+
+/**
+ * Estado del registro, serializable por IPC (modo cluster, ver renderClusterMetrics)
+ */
+export function snapshotMetrics() {
+  return [...registry.values()].map((metric) => {
+    metric.refresh();
+    const { type, name, help, buckets } = metric;
+    return { type, name, help, buckets, values: [...metric.values] };
+  });
+}
+
+/**
+ * Métricas de todos los workers del cluster en un solo texto: cada serie lleva el label
+ * `worker` (los contadores de un worker que se reinicia vuelven a 0 solo en sus series).
+ * `bridge_cluster_worker_up` indica qué workers respondieron.
+ * @param {Array<{worker, result?, error?}>} workers - Resultado de collect('metrics')
+ */
+export function renderClusterMetrics(workers) {
+  const merged = new Map(); // nombre → { metric, series }
+  for (const { worker, result } of workers) {
+    for (const metric of result || []) {
+      if (!merged.has(metric.name)) merged.set(metric.name, { metric, series: [] });
+      const label = `worker="${worker}"`;
+      for (const [key, value] of metric.values) {
+        merged.get(metric.name).series.push([key ? `${label},${key}` : label, value]);
+      }
+    }
+  }
+
+  const up = {
+    type: 'gauge',
+    name: 'bridge_cluster_worker_up',
+    help: 'Workers del cluster que respondieron al scrape (1) o no (0)',
+  };
+  return [
+    renderMetric(up, workers.map(({ worker, error }) => [`worker="${worker}"`, error ? 0 : 1])),
+    ...[...merged.values()].map(({ metric, series }) => renderMetric(metric, series)),
+  ].join('\n') + '\n';
+}
+
+/**
+ * Bytes decodificados de un string base64 (sin decodificarlo)
+ */
+export function base64ByteLength(base64 = '') {
+  const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+  return Math.floor(base64.length * 3 / 4) - padding;
+}
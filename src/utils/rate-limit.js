@@ -0,0 +1,141 @@
+/**
+ * Rate limiting con token buckets (en memoria, por réplica; en modo cluster los
+ * buckets viven en el primary y los workers los consultan por IPC)
+ *
+ * Cada límite se escribe como "<cantidad>/<periodo>" (ej: "30/min", "5/s", "1000/h"):
+ * se permiten ráfagas de hasta <cantidad> requests y se recargan a razón de
+ * <cantidad> por <periodo>. "0" (o vacío) desactiva el límite.
+ *
+ * Se aplica por clave de API y por IP, con buckets separados para cada tipo
+ * de operación (sessions, turns, chat). Al superarlo se responde 429 con Retry-After.
+ */
+
+import { log } from './logger.js';
+
+const PERIODS_MS = { s: 1000, sec: 1000, min: 60000, m: 60000, h: 3600000, hour: 3600000 };
+
+// Cada cuánto se descartan los buckets llenos (sin actividad reciente)
+const SWEEP_INTERVAL_MS = 60000;
+
+/**
+ * Interpreta un límite "<cantidad>/<periodo>"
+ * @returns {{capacity, refillPerMs}|null} null = sin límite
+ */
+export function parseRate(value, field = 'rate_limit') {
+  if (value === undefined || value === null || value === '' || value === '0' || value === 0) return null;
+  const match = typeof value === 'string' && value.trim().match(/^(\d+)\s*\/\s*([a-z]+)$/i);
+  const periodMs = match && PERIODS_MS[match[2].toLowerCase()];
+  if (!match || !periodMs || parseInt(match[1]) <= 0) {
+    throw new Error(`El campo "${field}" es inválido: usa "<cantidad>/<s|min|h>" (ej: "30/min") o "0"`);
+  }
+  const capacity = parseInt(match[1]);
+  return { capacity, refillPerMs: capacity / periodMs };
+}
+
+export class TokenBucketLimiter {
+  constructor() {
+    this.buckets = new Map(); // id → { tokens, updatedAt, rate }
+    this._sweepInterval = setInterval(() => this._sweep(), SWEEP_INTERVAL_MS);
+    this._sweepInterval.unref();
+  }
+
+  /**
+   * Consume un token del bucket
+   * @param {string} id - Identificador del bucket (ej: "turns:key:key_123")
+   * @param {{capacity, refillPerMs}} rate
+   * @returns {{allowed: boolean, retryAfterMs: number, remaining: number}}
+   */
+  take(id, rate) {
+    const now = Date.now();
+    let bucket = this.buckets.get(id);
+    if (!bucket || bucket.rate.capacity !== rate.capacity || bucket.rate.refillPerMs !== rate.refillPerMs) {
+      bucket = { tokens: rate.capacity, updatedAt: now, rate };
+      this.buckets.set(id, bucket);
+    }
+
+    bucket.tokens = Math.min(rate.capacity, bucket.tokens + (now - bucket.updatedAt) * rate.refillPerMs);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true, retryAfterMs: 0, remaining: Math.floor(bucket.tokens) };
+    }
+    return { allowed: false, retryAfterMs: Math.ceil((1 - bucket.tokens) / rate.refillPerMs), remaining: 0 };
+  }
+
+  // Un bucket que ya se recargó por completo equivale a uno nuevo: se puede descartar
+  _sweep() {
+    const now = Date.now();
+    for (const [id, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * bucket.rate.refillPerMs >= bucket.rate.capacity) {
+        this.buckets.delete(id);
+      }
+    }
+  }
+}
+
+/**
+ * Crea el middleware de rate limiting para un tipo de operación
+ * @param {TokenBucketLimiter|{take: Function}} limiter - take() puede devolver una promesa
+ *   (ej: el limiter del primary en modo cluster, ver ClusterWorker.rateLimiter)
+ * @param {string} name - sessions | turns | chat
+ * @param {Object} rates
+ * @param {Object|null} rates.perKey - Límite por clave (la clave puede sobreescribirlo en `rate_limits`)
+ * @param {Object|null} rates.perIp - Límite por IP
+ */
+export function createRateLimitMiddleware(limiter, name, { perKey, perIp }) {
+  return async (req, res, next) => {
+    const keyRate = req.apiKey?.rate_limits?.[name] !== undefined
+      ? parseRate(req.apiKey.rate_limits[name])
+      : perKey;
+
+    const checks = [
+      perIp && { id: `${name}:ip:${req.ip}`, rate: perIp, scope: 'IP' },
+      keyRate && req.apiKey && { id: `${name}:key:${req.apiKey.id}`, rate: keyRate, scope: 'clave' },
+    ].filter(Boolean);
+
+    for (const check of checks) {
+      let result;
+      try {
+        result = await limiter.take(check.id, check.rate);
+      } catch (err) {
+        // Sin respuesta del limiter (ej: el primary no contesta) el request pasa: el
+        // rate limiting no debe dejar el servicio fuera de línea
+        log.warn(`[RateLimit] No se pudo consultar el límite ${check.id}:`, err.message);
+        continue;
+      }
+      if (!result.allowed) {
+        const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+        log.warn(`[RateLimit] ${name} excedido por ${check.scope} ${check.id.split(':').pop()} (reintentar en ${retryAfter}s)`);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          error: `Límite de requests excedido (${name}, por ${check.scope}). Reintenta en ${retryAfter}s`,
+          limit: name,
+          retry_after_ms: result.retryAfterMs,
+        });
+      }
+    }
+    next();
+  };
+}
+
+/**
+ * Límites configurados por variables de entorno (RATE_LIMIT_<TIPO> y RATE_LIMIT_<TIPO>_PER_IP)
+ */
+export function loadRateLimits() {
+  const defaults = {
+    sessions: ['30/min', '60/min'],
+    turns: ['120/min', '240/min'],
+    chat: ['30/min', '60/min'],
+  };
+  const limits = {};
+  for (const [name, [perKey, perIp]] of Object.entries(defaults)) {
+    const env = `RATE_LIMIT_${name.toUpperCase()}`;
+    limits[name] = {
+      perKey: parseRate(process.env[env] ?? perKey, env),
+      perIp: parseRate(process.env[`${env}_PER_IP`] ?? perIp, `${env}_PER_IP`),
+    };
+  }
+  return limits;
+}
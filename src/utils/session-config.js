@@ -0,0 +1,223 @@
+/**
+ * Configuración de la sesión Realtime (lo que viaja en `session.update`)
+ *
+ * Campos aceptados por la API REST al crear (POST /sessions) o actualizar
+ * (POST /sessions/:id/update) una sesión:
+ * {
+ *   "modalities": ["text", "audio"],            // o ["text"]
+ *   "temperature": 0.8,                         // 0.6 - 1.2
+ *   "max_response_output_tokens": 1024,         // 1 - 4096 o "inf"
+ *   "turn_detection": {                         // null o { "type": "none" } = sin detección de turnos
+ *     "type": "server_vad",                     // "server_vad" | "semantic_vad"
+ *     "threshold": 0.5, "prefix_padding_ms": 300, "silence_duration_ms": 500,  // server_vad
+ *     "eagerness": "auto",                                                     // semantic_vad
+ *     "create_response": true, "interrupt_response": true
+ *   },
+ *   "transcription": { "model": "whisper-1", "language": "es", "prompt": "..." }, // null = desactivada
+ *   "noise_reduction": "near_field"             // "near_field" | "far_field" | null
+ * }
+ */
+
+export const SESSION_CONFIG_FIELDS = [
+  'modalities',
+  'temperature',
+  'max_response_output_tokens',
+  'turn_detection',
+  'transcription',
+  'noise_reduction',
+];
+
+export const DEFAULT_SESSION_CONFIG = {
+  modalities: ['text', 'audio'],
+  temperature: 0.8,
+  max_response_output_tokens: 'inf',
+  turn_detection: {
+    type: 'server_vad',
+    threshold: 0.5,
+    prefix_padding_ms: 300,
+    silence_duration_ms: 500,
+  },
+  transcription: { model: 'whisper-1' },
+  noise_reduction: null,
+};
+
+const TRANSCRIPTION_MODELS = ['whisper-1', 'gpt-4o-transcribe', 'gpt-4o-mini-transcribe'];
+const NOISE_REDUCTION_TYPES = ['near_field', 'far_field'];
+const EAGERNESS_LEVELS = ['low', 'medium', 'high', 'auto'];
+
+/**
+ * Valida el nombre de una voz (alloy, ash, ballad, coral, echo, sage, shimmer, verse...).
+ * No se fija la lista: OpenAI agrega voces nuevas con frecuencia.
+ */
+export function validateVoice(voice) {
+  if (typeof voice !== 'string' || !/^[a-z]{2,20}$/.test(voice)) {
+    throw invalid('voice', 'debe ser el nombre de una voz (ej: "alloy")');
+  }
+  return voice;
+}
+
+/**
+ * Extrae del body los campos de configuración presentes (sin validar)
+ */
+export function pickSessionConfig(body = {}) {
+  const config = {};
+  for (const field of SESSION_CONFIG_FIELDS) {
+    if (body[field] !== undefined) config[field] = body[field];
+  }
+  return config;
+}
+
+/**
+ * Valida los cambios de configuración y los aplica sobre la configuración base
+ * @param {Object} changes - Campos a cambiar (ver SESSION_CONFIG_FIELDS)
+ * @param {Object} base - Configuración actual (default: DEFAULT_SESSION_CONFIG)
+ * @returns {Object} Configuración efectiva completa
+ */
+export function normalizeSessionConfig(changes = {}, base = DEFAULT_SESSION_CONFIG) {
+  const config = { ...base };
+
+  if (changes.modalities !== undefined) {
+    config.modalities = normalizeModalities(changes.modalities);
+  }
+
+  if (changes.temperature !== undefined) {
+    const temperature = changes.temperature;
+    if (typeof temperature !== 'number' || temperature < 0.6 || temperature > 1.2) {
+      throw invalid('temperature', 'debe ser un número entre 0.6 y 1.2');
+    }
+    config.temperature = temperature;
+  }
+
+  if (changes.max_response_output_tokens !== undefined) {
+    const max = changes.max_response_output_tokens;
+    if (max !== 'inf' && !(Number.isInteger(max) && max >= 1 && max <= 4096)) {
+      throw invalid('max_response_output_tokens', 'debe ser un entero entre 1 y 4096 o "inf"');
+    }
+    config.max_response_output_tokens = max;
+  }
+
+  if (changes.turn_detection !== undefined) {
+    config.turn_detection = normalizeTurnDetection(changes.turn_detection);
+  }
+
+  if (changes.transcription !== undefined) {
+    config.transcription = normalizeTranscription(changes.transcription);
+  }
+
+  if (changes.noise_reduction !== undefined) {
+    const type = changes.noise_reduction;
+    if (type !== null && !NOISE_REDUCTION_TYPES.includes(type)) {
+      throw invalid('noise_reduction', `debe ser ${NOISE_REDUCTION_TYPES.join(', ')} o null`);
+    }
+    config.noise_reduction = type;
+  }
+
+  return config;
+}
+
+// Campos de la API REST que en `session.update` tienen otro nombre
+const OPENAI_FIELD_NAMES = {
+  transcription: 'input_audio_transcription',
+  noise_reduction: 'input_audio_noise_reduction',
+};
+
+/**
+ * Convierte la configuración efectiva a los campos de `session.update`
+ * @param {Object} config - Configuración efectiva
+ * @param {string[]} fields - Campos a incluir (default: todos)
+ */
+export function toOpenAISessionConfig(config, fields = SESSION_CONFIG_FIELDS) {
+  const session = {};
+  for (const field of fields) {
+    const value = field === 'noise_reduction'
+      ? (config.noise_reduction ? { type: config.noise_reduction } : null)
+      : config[field];
+    session[OPENAI_FIELD_NAMES[field] || field] = value;
+  }
+  return session;
+}
+
+function normalizeModalities(modalities) {
+  if (!Array.isArray(modalities) || modalities.some((m) => m !== 'text' && m !== 'audio')) {
+    throw invalid('modalities', 'debe ser ["text"] o ["text", "audio"]');
+  }
+  // El Realtime API siempre genera texto; el audio es opcional
+  return modalities.includes('audio') ? ['text', 'audio'] : ['text'];
+}
+
+function normalizeTurnDetection(turnDetection) {
+  if (turnDetection === null || turnDetection?.type === 'none') return null;
+  if (!isPlainObject(turnDetection)) {
+    throw invalid('turn_detection', 'debe ser un objeto o null');
+  }
+
+  const { type } = turnDetection;
+  const normalized = { type };
+
+  if (type === 'server_vad') {
+    const { threshold = 0.5, prefix_padding_ms = 300, silence_duration_ms = 500 } = turnDetection;
+    if (typeof threshold !== 'number' || threshold < 0 || threshold > 1) {
+      throw invalid('turn_detection.threshold', 'debe ser un número entre 0 y 1');
+    }
+    if (!isNonNegativeInteger(prefix_padding_ms)) {
+      throw invalid('turn_detection.prefix_padding_ms', 'debe ser un entero >= 0');
+    }
+    if (!isNonNegativeInteger(silence_duration_ms)) {
+      throw invalid('turn_detection.silence_duration_ms', 'debe ser un entero >= 0');
+    }
+    Object.assign(normalized, { threshold, prefix_padding_ms, silence_duration_ms });
+  } else if (type === 'semantic_vad') {
+    const { eagerness = 'auto' } = turnDetection;
+    if (!EAGERNESS_LEVELS.includes(eagerness)) {
+      throw invalid('turn_detection.eagerness', `debe ser ${EAGERNESS_LEVELS.join(', ')}`);
+    }
+    normalized.eagerness = eagerness;
+  } else {
+    throw invalid('turn_detection.type', 'debe ser "server_vad", "semantic_vad" o "none"');
+  }
+
+  for (const flag of ['create_response', 'interrupt_response']) {
+    if (turnDetection[flag] === undefined) continue;
+    if (typeof turnDetection[flag] !== 'boolean') {
+      throw invalid(`turn_detection.${flag}`, 'debe ser true o false');
+    }
+    normalized[flag] = turnDetection[flag];
+  }
+  return normalized;
+}
+
+function normalizeTranscription(transcription) {
+  if (transcription === null) return null;
+  if (!isPlainObject(transcription)) {
+    throw invalid('transcription', 'debe ser un objeto { model, language, prompt } o null');
+  }
+
+  const { model = 'whisper-1', language, prompt } = transcription;
+  if (!TRANSCRIPTION_MODELS.includes(model)) {
+    throw invalid('transcription.model', `debe ser ${TRANSCRIPTION_MODELS.join(', ')}`);
+  }
+  if (language !== undefined && (typeof language !== 'string' || !/^[a-z]{2}$/.test(language))) {
+    throw invalid('transcription.language', 'debe ser un código ISO-639-1 (ej: "es")');
+  }
+  if (prompt !== undefined && typeof prompt !== 'string') {
+    throw invalid('transcription.prompt', 'debe ser un texto');
+  }
+
+  return {
+    model,
+    ...(language && { language }),
+    ...(prompt && { prompt }),
+  };
+}
+
+function invalid(field, reason) {
+  return new Error(`El campo "${field}" es inválido: ${reason}`);
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
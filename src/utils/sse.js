@@ -0,0 +1,97 @@
+/**
+ * Utilidades de Server-Sent Events (SSE) para respuestas en streaming
+ *
+ * Se activa con `?stream=true` o con el header `Accept: text/event-stream`.
+ * Cada evento se envía como:
+ *
+ *   event: text.delta
+ *   data: {"delta":"Hola"}
+ *
+ * y el stream termina con un evento `done` (resumen del turno) o `error`.
+ */
+
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Indica si el cliente pidió la respuesta en streaming
+ */
+export function wantsEventStream(req) {
+  const stream = String(req.query?.stream || '').toLowerCase();
+  if (stream === 'true' || stream === '1') return true;
+  return (req.headers.accept || '').includes('text/event-stream');
+}
+
+/**
+ * Prepara un stream SSE sobre la respuesta HTTP.
+ * Los headers se envían con el primer evento: si el turno falla antes de
+ * producir eventos (ej: sesión no encontrada), `fail` devuelve false y la ruta
+ * puede responder con el status HTTP y JSON de siempre.
+ *
+ * @param {import('express').Response} res
+ * @returns {{send: Function, done: Function, fail: Function}}
+ */
+export function openEventStream(res) {
+  let started = false;
+  let closed = false;
+
+  const start = () => {
+    if (started) return;
+    started = true;
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no', // evita buffering en nginx
+    });
+    res.flushHeaders();
+  };
+
+  // Comentario periódico para que proxies no corten la conexión
+  // mientras se espera a OpenAI o a un webhook de herramienta
+  const heartbeat = setInterval(() => {
+    if (closed) return;
+    start();
+    res.write(': ping\n\n');
+  }, HEARTBEAT_MS);
+
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+  });
+
+  const write = (event, data) => {
+    if (closed) return;
+    start();
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const end = () => {
+    clearInterval(heartbeat);
+    if (!closed) res.end();
+    closed = true;
+  };
+
+  return {
+    // Recibe los eventos de SessionManager ({ type, ...datos })
+    send: ({ type, ...data }) => write(type, data),
+
+    // Resumen final del turno (el audio ya se envió en eventos audio.delta)
+    done: (result) => {
+      const { audio_base64, audio_wav_base64, ...summary } = result;
+      write('done', { success: true, ...summary });
+      end();
+    },
+
+    // Devuelve false si el stream no llegó a abrirse (la ruta responde con JSON)
+    fail: (status, message) => {
+      if (!started) {
+        clearInterval(heartbeat);
+        return false;
+      }
+      write('error', { success: false, status, error: message });
+      end();
+      return true;
+    },
+  };
+}
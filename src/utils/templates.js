@@ -0,0 +1,75 @@
+/**
+ * Plantillas de instrucciones
+ *
+ * Las instrucciones (y el saludo) de una sesión o de un perfil pueden tener variables
+ * que se reemplazan al iniciar la sesión y cada vez que /update cambia la metadata:
+ *
+ *   {{metadata.customer_name}}     → campo de la metadata (admite rutas: metadata.cliente.plan)
+ *   {{metadata.plan | básico}}     → con valor por defecto si falta
+ *   {{now}}                        → fecha y hora actual (zona horaria del servidor)
+ *   {{now:America/Bogota}}         → fecha y hora actual en esa zona horaria (IANA)
+ *   {{session_id}}                 → id de la sesión
+ *
+ * Una variable sin valor (ni default) se reemplaza por un texto vacío y se reporta
+ * en `missing_variables`.
+ */
+
+const VARIABLE_REGEX = /\{\{\s*([a-zA-Z_][\w.]*(?::[\w/+-]+)?)\s*(?:\|([^}]*))?\}\}/g;
+
+/**
+ * ¿El texto tiene variables? (sin ellas no hace falta volver a renderizar)
+ */
+export function hasTemplateVariables(text) {
+  return typeof text === 'string' && new RegExp(VARIABLE_REGEX.source).test(text);
+}
+
+/**
+ * Reemplaza las variables de una plantilla
+ * @param {string} template
+ * @param {Object} context
+ * @param {Object} context.metadata - Metadata de la sesión
+ * @param {string} context.sessionId
+ * @param {Date} context.now - Default: ahora
+ * @returns {{ text: string, missing: string[] }}
+ */
+export function renderTemplate(template, { metadata = {}, sessionId = null, now = new Date() } = {}) {
+  const missing = new Set();
+  const text = template.replace(VARIABLE_REGEX, (match, variable, fallback) => {
+    const value = resolveVariable(variable, { metadata, sessionId, now });
+    if (value !== undefined) return value;
+    if (fallback !== undefined) return fallback.trim();
+    missing.add(variable);
+    return '';
+  });
+  return { text, missing: [...missing] };
+}
+
+function resolveVariable(variable, { metadata, sessionId, now }) {
+  const [name, argument] = variable.split(':');
+  if (name === 'now') return formatNow(now, argument);
+  if (name === 'session_id') return sessionId ?? undefined;
+
+  const [namespace, ...path] = name.split('.');
+  if (namespace !== 'metadata' || path.length === 0) return undefined;
+  let value = metadata;
+  for (const key of path) {
+    if (value === null || typeof value !== 'object' || !Object.hasOwn(value, key)) return undefined;
+    value = value[key];
+  }
+  if (value === null || value === undefined || value === '') return undefined;
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// "domingo, 19 de octubre de 2026, 14:05 (America/Bogota)"; una zona inválida cuenta como faltante
+function formatNow(now, timeZone) {
+  try {
+    const formatted = new Intl.DateTimeFormat('es', {
+      dateStyle: 'full',
+      timeStyle: 'short',
+      ...(timeZone && { timeZone }),
+    }).format(now);
+    return timeZone ? `${formatted} (${timeZone})` : formatted;
+  } catch {
+    return undefined;
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * Utilidades de Function Calling (tools) para el Realtime API
+ *
+ * Cada herramienta de una sesión se asocia a una URL HTTP de callback
+ * (normalmente un webhook de N8N). Cuando el modelo llama la herramienta,
+ * el bridge hace POST de los argumentos a esa URL y devuelve la respuesta
+ * al modelo como `function_call_output`.
+ *
+ * Formato de una herramienta (tal como llega por la API REST):
+ * {
+ *   "name": "consultar_pedido",
+ *   "description": "Consulta el estado de un pedido por su número",
+ *   "parameters": { "type": "object", "properties": { "numero": { "type": "string" } } },
+ *   "webhook_url": "https://n8n.midominio.com/webhook/consultar-pedido",
+ *   "headers": { "X-Api-Key": "..." }   // opcional
+ * }
+ */
+
+import { log } from './logger.js';
+
+const TOOL_NAME_REGEX = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Valida y normaliza la lista de herramientas de una sesión
+ * @param {Array|undefined} tools - Herramientas tal como llegan en el body
+ * @returns {Array<{name, description, parameters, webhookUrl, headers}>}
+ */
+export function normalizeTools(tools) {
+  if (tools === undefined || tools === null) return [];
+  if (!Array.isArray(tools)) {
+    throw new Error('El campo "tools" es inválido: debe ser un array');
+  }
+
+  const names = new Set();
+  return tools.map((tool, index) => {
+    if (!tool || typeof tool !== 'object') {
+      throw new Error(`Herramienta inválida en la posición ${index}: debe ser un objeto`);
+    }
+
+    const { name, description, parameters, headers } = tool;
+    const webhookUrl = tool.webhook_url || tool.url;
+
+    if (typeof name !== 'string' || !TOOL_NAME_REGEX.test(name)) {
+      throw new Error(`Herramienta inválida en la posición ${index}: "name" debe tener 1-64 caracteres (letras, números, _ o -)`);
+    }
+    if (names.has(name)) {
+      throw new Error(`Herramienta inválida: el nombre "${name}" está duplicado`);
+    }
+    names.add(name);
+
+    if (!isHttpUrl(webhookUrl)) {
+      throw new Error(`Herramienta inválida "${name}": "webhook_url" debe ser una URL http(s)`);
+    }
+    if (parameters !== undefined && (typeof parameters !== 'object' || Array.isArray(parameters) || parameters === null)) {
+      throw new Error(`Herramienta inválida "${name}": "parameters" debe ser un JSON Schema (objeto)`);
+    }
+    if (headers !== undefined && (typeof headers !== 'object' || Array.isArray(headers) || headers === null)) {
+      throw new Error(`Herramienta inválida "${name}": "headers" debe ser un objeto`);
+    }
+
+    return {
+      name,
+      description: typeof description === 'string' ? description : '',
+      parameters: parameters || { type: 'object', properties: {} },
+      webhookUrl,
+      headers: headers || {},
+    };
+  });
+}
+
+/**
+ * Convierte las herramientas normalizadas al formato que espera `session.update`
+ * (sin la URL del webhook, que solo conoce el bridge)
+ */
+export function toOpenAITools(tools) {
+  return tools.map(({ name, description, parameters }) => ({
+    type: 'function',
+    name,
+    description,
+    parameters,
+  }));
+}
+
+/**
+ * Ejecuta una llamada a herramienta haciendo POST al webhook asociado.
+ * Nunca lanza: si el webhook falla, el error se devuelve como output
+ * para que el modelo pueda responder al usuario de forma controlada.
+ *
+ * @param {Object} tool - Herramienta normalizada (ver normalizeTools)
+ * @param {Object} call - Llamada del modelo { call_id, name, arguments }
+ * @param {Object} context
+ * @param {string} context.sessionId
+ * @param {Object} context.metadata - Metadata de la sesión
+ * @param {number} context.timeoutMs - Timeout de la petición HTTP
+ * @returns {Promise<{name, call_id, arguments, output, success, error, duration_ms}>}
+ */
+export async function executeToolCall(tool, call, context = {}) {
+  const startTime = Date.now();
+  const trace = {
+    name: call.name,
+    call_id: call.call_id,
+    arguments: parseArguments(call.arguments),
+    output: null,
+    success: false,
+    duration_ms: 0,
+  };
+
+  try {
+    const res = await fetch(tool.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...tool.headers },
+      body: JSON.stringify({
+        session_id: context.sessionId,
+        call_id: call.call_id,
+        tool: call.name,
+        arguments: trace.arguments,
+        metadata: context.metadata || {},
+      }),
+      signal: AbortSignal.timeout(context.timeoutMs || 15000),
+    });
+
+    const body = await res.text();
+    if (!res.ok) {
+      throw new Error(`El webhook respondió HTTP ${res.status}`);
+    }
+
+    trace.output = body;
+    trace.success = true;
+  } catch (err) {
+    const message = err.name === 'TimeoutError'
+      ? `Timeout llamando al webhook (${context.timeoutMs || 15000}ms)`
+      : err.message;
+    log.warn(`[Session ${context.sessionId}] Herramienta "${call.name}" falló: ${message}`);
+    trace.error = message;
+    trace.output = JSON.stringify({ error: message });
+  }
+
+  trace.duration_ms = Date.now() - startTime;
+  return trace;
+}
+
+function parseArguments(rawArguments) {
+  if (!rawArguments) return {};
+  try {
+    return JSON.parse(rawArguments);
+  } catch {
+    return { _raw: rawArguments };
+  }
+}
+
+function isHttpUrl(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
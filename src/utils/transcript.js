@@ -0,0 +1,172 @@
+/**
+ * Exportación del historial de una sesión como transcripción
+ *
+ * Formatos:
+ * - txt: una línea por mensaje, con el offset desde el inicio de la sesión
+ * - markdown: para pegar en tickets o documentación
+ * - csv: una fila por mensaje (RFC 4180)
+ * - srt / vtt: subtítulos, un cue por turno, para superponer a la grabación
+ *
+ * Los offsets (start_ms / end_ms) se miden desde el created_at de la sesión. Los
+ * mensajes de audio duran lo que su audio; los de texto, un tiempo de lectura estimado
+ * (hasta el mensaje siguiente).
+ * Mensajes guardados antes de que existieran los offsets se ubican por su timestamp.
+ */
+
+export const TRANSCRIPT_FORMATS = {
+  txt: 'text/plain; charset=utf-8',
+  markdown: 'text/markdown; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  srt: 'application/x-subrip; charset=utf-8',
+  vtt: 'text/vtt; charset=utf-8',
+};
+
+const FORMAT_ALIASES = { text: 'txt', md: 'markdown', webvtt: 'vtt' };
+
+const ROLE_LABELS = { user: 'Usuario', assistant: 'Asistente', system: 'Sistema' };
+
+// Velocidad de lectura para la duración de los mensajes de texto (estándar de subtítulos)
+const READING_CHARS_PER_SECOND = 15;
+const MIN_CUE_MS = 1000;
+const MAX_CUE_MS = 7000;
+
+/**
+ * Nombre normalizado de un formato de transcripción, o null si no es soportado
+ */
+export function resolveTranscriptFormat(value) {
+  const format = String(value).toLowerCase();
+  const name = FORMAT_ALIASES[format] || format;
+  return TRANSCRIPT_FORMATS[name] ? name : null;
+}
+
+/**
+ * Convierte el historial al formato pedido
+ * @param {Object} history - Resultado de SessionManager.getHistory ({ session_id, created_at, messages })
+ * @param {string} format - txt | markdown | csv | srt | vtt
+ * @returns {string}
+ */
+export function formatTranscript(history, format) {
+  const turns = toTimedTurns(history);
+  switch (format) {
+    case 'txt': return toTxt(turns);
+    case 'markdown': return toMarkdown(history, turns);
+    case 'csv': return toCsv(turns);
+    case 'srt': return toSrt(turns);
+    case 'vtt': return toVtt(turns);
+    default: throw new Error(`Formato de transcripción no soportado: ${format}`);
+  }
+}
+
+function toTimedTurns({ created_at: createdAt, messages }) {
+  const origin = new Date(createdAt).getTime();
+  const turns = messages
+    .filter((message) => message.content)
+    .map((message, index) => ({
+      index: index + 1,
+      message,
+      startMs: message.start_ms ?? Math.max(0, new Date(message.timestamp).getTime() - origin),
+      speaker: ROLE_LABELS[message.role] || message.role,
+    }));
+
+  // Los mensajes de texto duran el tiempo de lectura, sin pisar al siguiente
+  turns.forEach((turn, i) => {
+    const { end_ms: endMs, content_type: contentType, has_audio: hasAudio } = turn.message;
+    if ((contentType === 'audio' || hasAudio) && endMs > turn.startMs) {
+      turn.endMs = endMs;
+      return;
+    }
+    const nextStartMs = turns[i + 1]?.startMs;
+    const estimatedMs = turn.startMs + readingMs(turn.message.content);
+    turn.endMs = nextStartMs > turn.startMs ? Math.min(estimatedMs, nextStartMs) : estimatedMs;
+  });
+  return turns;
+}
+
+function readingMs(text) {
+  const ms = (text.length / READING_CHARS_PER_SECOND) * 1000;
+  return Math.round(Math.min(MAX_CUE_MS, Math.max(MIN_CUE_MS, ms)));
+}
+
+function toTxt(turns) {
+  return turns
+    .map(({ message, startMs, speaker }) => `[${formatClock(startMs)}] ${speaker}: ${message.content}${toolNote(message)}`)
+    .join('\n') + '\n';
+}
+
+function toMarkdown(history, turns) {
+  const lines = [
+    `# Transcripción de la sesión ${history.session_id}`,
+    '',
+    `Inicio: ${history.created_at} · ${turns.length} mensajes`,
+    '',
+  ];
+  for (const { message, startMs, speaker } of turns) {
+    lines.push(`**${speaker}** \`${formatClock(startMs)}\`${message.content_type === 'audio' ? ' 🎙️' : ''}`);
+    lines.push('');
+    lines.push(message.content.split('\n').map((line) => `> ${line}`).join('\n'));
+    if (message.tool_calls?.length) {
+      lines.push('');
+      lines.push(`_Herramientas: ${message.tool_calls.map((call) => `\`${call.name}\``).join(', ')}_`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+function toCsv(turns) {
+  const header = ['index', 'role', 'start', 'end', 'start_ms', 'end_ms', 'timestamp', 'content_type', 'source', 'tools', 'content'];
+  const rows = turns.map(({ index, message, startMs, endMs }) => [
+    index,
+    message.role,
+    formatClock(startMs, '.'),
+    formatClock(endMs, '.'),
+    startMs,
+    endMs,
+    message.timestamp || '',
+    message.content_type || 'text',
+    message.source || 'http',
+    (message.tool_calls || []).map((call) => call.name).join(' '),
+    message.content,
+  ]);
+  return [header, ...rows].map((row) => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function toSrt(turns) {
+  return turns
+    .map(({ index, message, startMs, endMs, speaker }) =>
+      `${index}\n${formatClock(startMs, ',')} --> ${formatClock(endMs, ',')}\n${speaker}: ${message.content.replace(/\n{2,}/g, '\n')}\n`)
+    .join('\n');
+}
+
+function toVtt(turns) {
+  const cues = turns.map(({ index, message, startMs, endMs, speaker }) =>
+    `${index}\n${formatClock(startMs, '.')} --> ${formatClock(endMs, '.')}\n<v ${speaker}>${escapeVtt(message.content)}\n`);
+  return ['WEBVTT\n', ...cues].join('\n');
+}
+
+/**
+ * HH:MM:SS (txt/markdown) o HH:MM:SS<sep>mmm (subtítulos: "," en SRT, "." en WebVTT)
+ */
+function formatClock(ms, separator = null) {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const clock = [hours, minutes, seconds].map((n) => String(n).padStart(2, '0')).join(':');
+  return separator ? `${clock}${separator}${String(total % 1000).padStart(3, '0')}` : clock;
+}
+
+function toolNote(message) {
+  if (!message.tool_calls?.length) return '';
+  return ` (herramientas: ${message.tool_calls.map((call) => call.name).join(', ')})`;
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Un "-->" o una línea vacía en el texto romperían el cue (en SRT solo la línea vacía)
+function escapeVtt(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n{2,}/g, '\n');
+}
@@ -0,0 +1,134 @@
+/**
+ * Contabilidad de tokens y costo estimado del Realtime API
+ *
+ * Cada `response.done` de OpenAI trae un bloque `usage`:
+ * {
+ *   "total_tokens": 1200, "input_tokens": 900, "output_tokens": 300,
+ *   "input_token_details": {
+ *     "text_tokens": 400, "audio_tokens": 500, "cached_tokens": 256,
+ *     "cached_tokens_details": { "text_tokens": 256, "audio_tokens": 0 }
+ *   },
+ *   "output_token_details": { "text_tokens": 60, "audio_tokens": 240 }
+ * }
+ *
+ * Se normaliza a un objeto plano (ver EMPTY_USAGE) que se puede sumar entre
+ * turnos, sesiones y ventanas de tiempo.
+ */
+
+import { log } from './logger.js';
+
+// USD por millón de tokens. Los tokens cacheados se cobran aparte (más baratos).
+// Se pueden sobreescribir con OPENAI_PRICING (JSON con la misma forma, por prefijo de modelo).
+const DEFAULT_PRICING = {
+  'gpt-4o-mini-realtime': {
+    text_input: 0.6, text_cached_input: 0.3, text_output: 2.4,
+    audio_input: 10, audio_cached_input: 0.3, audio_output: 20,
+  },
+  'gpt-4o-realtime': {
+    text_input: 5, text_cached_input: 2.5, text_output: 20,
+    audio_input: 40, audio_cached_input: 2.5, audio_output: 80,
+  },
+  'gpt-realtime': {
+    text_input: 4, text_cached_input: 0.4, text_output: 16,
+    audio_input: 32, audio_cached_input: 0.4, audio_output: 64,
+  },
+};
+
+export const EMPTY_USAGE = {
+  responses: 0,
+  input_text_tokens: 0,
+  input_audio_tokens: 0,
+  input_cached_text_tokens: 0,
+  input_cached_audio_tokens: 0,
+  output_text_tokens: 0,
+  output_audio_tokens: 0,
+  total_tokens: 0,
+  cost_usd: 0,
+};
+
+let pricing = DEFAULT_PRICING;
+if (process.env.OPENAI_PRICING) {
+  try {
+    pricing = { ...DEFAULT_PRICING, ...JSON.parse(process.env.OPENAI_PRICING) };
+  } catch (err) {
+    log.warn('[Usage] OPENAI_PRICING no es un JSON válido, se usan los precios por defecto:', err.message);
+  }
+}
+
+/**
+ * Precios del modelo (por prefijo más largo: "gpt-4o-mini-realtime-preview-2024-12-17" → "gpt-4o-mini-realtime")
+ * @returns {Object|null}
+ */
+export function getModelPricing(model = '') {
+  const prefix = Object.keys(pricing)
+    .filter((key) => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? pricing[prefix] : null;
+}
+
+/**
+ * Normaliza el `usage` de un response.done y calcula su costo estimado
+ * @param {Object} usage - Bloque usage de OpenAI
+ * @param {string} model
+ * @returns {Object} Con la forma de EMPTY_USAGE (responses = 1)
+ */
+export function normalizeUsage(usage = {}, model) {
+  const input = usage.input_token_details || {};
+  const output = usage.output_token_details || {};
+  const cachedDetails = input.cached_tokens_details;
+
+  // Sin el detalle, los tokens cacheados se atribuyen al texto (instrucciones e historial)
+  const cachedText = cachedDetails ? (cachedDetails.text_tokens || 0) : (input.cached_tokens || 0);
+  const cachedAudio = cachedDetails ? (cachedDetails.audio_tokens || 0) : 0;
+
+  const normalized = {
+    responses: 1,
+    input_text_tokens: input.text_tokens || 0,
+    input_audio_tokens: input.audio_tokens || 0,
+    input_cached_text_tokens: cachedText,
+    input_cached_audio_tokens: cachedAudio,
+    output_text_tokens: output.text_tokens || 0,
+    output_audio_tokens: output.audio_tokens || 0,
+    total_tokens: usage.total_tokens || 0,
+    cost_usd: 0,
+  };
+  normalized.cost_usd = estimateCost(normalized, model);
+  return normalized;
+}
+
+/**
+ * Costo estimado en USD. Los tokens de entrada incluyen los cacheados,
+ * que se cobran a su propia tarifa.
+ */
+export function estimateCost(usage, model) {
+  const price = getModelPricing(model);
+  if (!price) return 0;
+
+  const uncachedText = Math.max(usage.input_text_tokens - usage.input_cached_text_tokens, 0);
+  const uncachedAudio = Math.max(usage.input_audio_tokens - usage.input_cached_audio_tokens, 0);
+  const cost =
+    uncachedText * price.text_input +
+    usage.input_cached_text_tokens * price.text_cached_input +
+    uncachedAudio * price.audio_input +
+    usage.input_cached_audio_tokens * price.audio_cached_input +
+    usage.output_text_tokens * price.text_output +
+    usage.output_audio_tokens * price.audio_output;
+
+  return roundCost(cost / 1_000_000);
+}
+
+/**
+ * Suma dos acumulados de uso (devuelve uno nuevo)
+ */
+export function addUsage(total = EMPTY_USAGE, usage = EMPTY_USAGE) {
+  const sum = {};
+  for (const key of Object.keys(EMPTY_USAGE)) {
+    sum[key] = (total[key] || 0) + (usage[key] || 0);
+  }
+  sum.cost_usd = roundCost(sum.cost_usd);
+  return sum;
+}
+
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
@@ -0,0 +1,121 @@
+/**
+ * Webhooks salientes con eventos del ciclo de vida de las sesiones
+ *
+ * El bridge hace POST de cada evento a la URL global (WEBHOOK_URL) y a la
+ * `webhook_url` de la sesión, si tiene. Cuerpo:
+ * {
+ *   "id": "evt_...",                 // único por evento (sirve para deduplicar reintentos)
+ *   "type": "response.done",
+ *   "created_at": "2025-01-15T10:30:00.000Z",
+ *   "session_id": "...",
+ *   "metadata": { ... },             // metadata de la sesión
+ *   "data": { ... }                  // específico de cada tipo
+ * }
+ *
+ * Firma (si WEBHOOK_SECRET está configurado):
+ *   X-Bridge-Signature: t=<unix segundos>,v1=<hex HMAC-SHA256 de "<t>.<body>">
+ *
+ * Las entregas fallidas (error de red, timeout, 429 o 5xx) se reintentan con
+ * backoff exponencial. Los eventos se envían en segundo plano: un webhook lento
+ * o caído nunca bloquea la conversación.
+ */
+
+import { createHmac } from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { log } from './logger.js';
+
+/**
+ * Valida una webhook_url recibida por la API
+ * @returns {string|null} La URL, o null si no se configuró
+ */
+export function validateWebhookUrl(url) {
+  if (url === undefined || url === null || url === '') return null;
+  try {
+    const { protocol } = new URL(url);
+    if (protocol === 'http:' || protocol === 'https:') return url;
+  } catch {
+    // cae al error de abajo
+  }
+  throw new Error('El campo "webhook_url" es inválido: debe ser una URL http(s)');
+}
+
+/**
+ * Construye el evento con el formato común
+ */
+export function buildWebhookEvent(type, session, data = {}) {
+  return {
+    id: `evt_${uuidv4()}`,
+    type,
+    created_at: new Date().toISOString(),
+    session_id: session.id,
+    metadata: session.metadata,
+    data,
+  };
+}
+
+/**
+ * Firma el cuerpo del webhook: HMAC-SHA256 de "<timestamp>.<body>"
+ */
+export function signWebhookPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Entrega un evento a una URL, con reintentos. Nunca lanza: los fallos se registran en el log.
+ * @param {string} url
+ * @param {Object} event - Ver buildWebhookEvent
+ * @param {Object} options
+ * @param {string} options.secret - Secreto para la firma HMAC (opcional)
+ * @param {number} options.maxAttempts
+ * @param {number} options.baseDelayMs - Espera antes del primer reintento (se duplica en cada uno)
+ * @param {number} options.timeoutMs - Timeout de cada intento
+ * @returns {Promise<boolean>} true si se entregó
+ */
+export async function deliverWebhook(url, event, { secret, maxAttempts = 5, baseDelayMs = 1000, timeoutMs = 10000 } = {}) {
+  const body = JSON.stringify(event);
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    let error;
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'openai-realtime-voice-bridge',
+          'X-Bridge-Event': event.type,
+          'X-Bridge-Delivery': event.id,
+          ...(secret && { 'X-Bridge-Signature': signWebhookPayload(body, secret) }),
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      // Solo importa el status: el body se descarta para liberar la conexión
+      response.body?.cancel().catch(() => {});
+
+      if (response.ok) {
+        log.debug(`[Webhook] ${event.type} entregado a ${url} (intento ${attempt})`);
+        return true;
+      }
+      error = `HTTP ${response.status}`;
+
+      // Un 4xx (salvo 429) no se arregla reintentando
+      if (response.status < 500 && response.status !== 429) {
+        log.warn(`[Webhook] ${event.type} rechazado por ${url}: ${error}, no se reintenta`);
+        return false;
+      }
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `timeout (${timeoutMs}ms)` : (err.cause?.message || err.message);
+    }
+
+    if (attempt === maxAttempts) {
+      log.error(`[Webhook] ${event.type} [${event.id}] no se pudo entregar a ${url} tras ${maxAttempts} intentos: ${error}`);
+      return false;
+    }
+
+    const delay = baseDelayMs * 2 ** (attempt - 1);
+    log.warn(`[Webhook] ${event.type} falló en ${url} (${error}), reintento ${attempt + 1}/${maxAttempts} en ${delay}ms`);
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+  return false;
+}